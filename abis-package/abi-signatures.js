@@ -0,0 +1,25 @@
+/**
+ * Canonical ABI signatures, as hashed into function selectors and event topics.
+ *
+ * Shared by the build (selectors, changelog keys, NatSpec lookup) and the wrapper generators
+ * (overload keys, ethers method signatures) so both name an entry the same way. The shipped
+ * runtime/abi-decoder.js keeps its own copy: it must not depend on the builder.
+ */
+
+// Canonical ABI type of a parameter, expanding tuples: (uint256,address)[]
+const canonicalType = (param) => {
+  if (param.type.startsWith('tuple')) {
+    const components = (param.components || []).map(canonicalType).join(',');
+    return `(${components})${param.type.slice('tuple'.length)}`;
+  }
+  return param.type;
+};
+
+// Canonical signature used to hash selectors/topics: name(type1,type2)
+const canonicalSignature = (entry) =>
+  `${entry.name}(${(entry.inputs || []).map(canonicalType).join(',')})`;
+
+module.exports = {
+  canonicalType,
+  canonicalSignature
+};
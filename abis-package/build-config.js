@@ -3,40 +3,135 @@
  * 
  * This file contains the contracts and deployment addresses that will be included
  * in the generated npm package. Modify this file to add/remove contracts or update
- * deployment addresses.
+ * deployment addresses. Any field can be overridden per run from the command line or
+ * ABI_* environment variables (see `node cli.js --help`).
  */
 
 // List of specific contracts to include
-// Set to ['*'] to scan src/ directory recursively for ALL contracts (excludes interfaces)
-// Example: List specific contracts
-// const CONTRACT_NAMES = ["Counter"];
+// Set to ['*'] to scan the CONTRACT_INCLUDE sources for ALL contracts of the CONTRACT_KINDS below
+// Example: List specific contracts, by name or fully qualified (source path:contract name)
+// const CONTRACT_NAMES = ["Counter", "src/tokens/Token.sol:Token"];
 
 // Default: Use wildcard to scan src/ for ALL contracts
 const CONTRACT_NAMES = ['*'];
 
 // Allow mismatched contract names (filename vs contract name inside file)
-// When true, scans compiled artifacts to find actual contract names
+// When true, the wildcard scan packages every contract a file defines, not only the one named
+// after the file (each contract left out is reported)
 const ALLOW_MISMATCHED_NAMES = false;
 
+// Source files the wildcard scan reads, as globs relative to the project root.
+// '**' matches any number of directories. Dependencies can be published too, e.g.
+// 'lib/forge-std/src/interfaces/IERC20.sol' (only files forge compiled have artifacts).
+const CONTRACT_INCLUDE = ['src/**/*.sol'];
+
+// Source files to leave out of the wildcard scan, e.g. ['src/**/mocks/**', 'src/**/*.t.sol']
+const CONTRACT_EXCLUDE = [];
+
+// Kinds of contracts the wildcard scan packages, read from the compiled artifacts:
+// 'contract', 'abstract', 'interface' and/or 'library'
+const CONTRACT_KINDS = ['contract'];
+
 // Allow interfaces to be included in the ABI package
-// When true, includes interface files (starting with 'I') in the build
+// Shorthand for adding 'interface' to CONTRACT_KINDS
 const ALLOW_INTERFACES = false;
 
 // Generate changelog by comparing against previous versions
 // When false, skips changelog generation to speed up builds
 const ALLOW_CHANGELOG = true;
 
-// Deployment addresses for each network
+// Generate typed contract factories (getCounter(providerOrClient, chainIdOrNetwork)) wired
+// to the deployment addresses: 'ethers' (v6) -> dist/ethers.js, 'viem' -> dist/viem.js.
+// The libraries become optional peer dependencies of the package.
+const CONTRACT_WRAPPERS = [];
+
+// Where the changelog finds the ABIs of the previous release (the latest v* tag):
+//   'git'      - the tag's committed abi-snapshot.json (`node cli.js snapshot`), or else the
+//                tag compiled with forge in a temporary worktree. The changelog history is the
+//                tag's committed changes.json, or else the published package's.
+//   'registry' - the package published for that version (needs registry access)
+//   a path     - a package tarball (.tgz), an unpacked package or dist/ directory, or an
+//                ABI snapshot .json (relative to this directory)
+const CHANGELOG_BASELINE = 'git';
+
+// Registries the package is published to. The first is the one the README's install
+// instructions, `make abi-setup-local` and the 'registry' baseline use; `node cli.js publish`
+// publishes to all of them. Each entry is a URL, or an object with more detail:
+//   {
+//     url: "http://localhost:4873",  // e.g. a local Verdaccio
+//     auth: "token",                 // 'github' (personal access token), 'token' or 'none' (public);
+//                                    // guessed from the URL when omitted
+//     tokenEnv: "VERDACCIO_TOKEN",   // variable holding the publish token (default NODE_AUTH_TOKEN)
+//   }
+// Leave it empty to use publishConfig.registry from package.json (or npmjs.com).
+const REGISTRIES = [
+  { url: "https://npm.pkg.github.com", auth: "github" },
+];
+
+// Ship <Contract>Artifact.json with creation/deployed bytecode (plus link and immutable
+// references) and record solc version, optimizer and EVM settings in build-info.json.
+// Off by default: bytecode makes the package considerably larger.
+const INCLUDE_ARTIFACTS = false;
+
+// Fail the build when the changelog finds breaking ABI changes (removed functions,
+// changed outputs, ...) but the package version is not a major bump over the baseline
+// (a minor bump for 0.x versions). Requires ALLOW_CHANGELOG.
+const STRICT_SEMVER = false;
+
+// Fail the build (exit non-zero) when a contract could not be packaged or the build has a
+// blocking warning: missing artifacts, unsafe storage layout changes, a changelog baseline
+// that could not be loaded, a failed tsc run, ... Informational warnings (skipped broadcast
+// deployments, unchecked storage layouts, skipped Solidity interfaces) do not fail it. dist/
+// and build-report.json are still written, so the problems can be inspected.
+const STRICT_BUILD = false;
+
+// Import deployment addresses from Foundry broadcast files
+// (broadcast/<Script>.s.sol/<chainId>/run-latest.json, written by `make deploy` / `make deploy-anvil`).
+// Every CREATE/CREATE2 transaction is recorded with its tx hash and block number; the
+// `deployments` below are merged on top and win on conflicts.
+const IMPORT_BROADCASTS = true;
+
+// Reject deployment addresses that are not EIP-55 checksummed.
+// When false, all-lowercase/all-uppercase addresses are normalized to their checksummed
+// form; mixed-case addresses with a wrong checksum always fail the build.
+const REQUIRE_CHECKSUMS = false;
+
+// Optional network alias for each chain id (usable in getDeployment('Anvil', 'Counter'))
+const NETWORKS = {
+  31337: "Anvil",
+  11155111: "Testnet",
+};
+
+// Deployment addresses keyed by chain id, then by contract name (as in CONTRACT_NAMES).
+// Each entry is an address, or an object with more detail:
+//   Counter: {
+//     address: "0x...",          // the address users call (the proxy for upgradeable contracts)
+//     implementation: "0x...",   // optional implementation behind a proxy
+//     blockNumber: 123,          // optional deployment block
+//     txHash: "0x...",           // optional deployment transaction
+//   }
 const deployments = {
-  "Testnet": {
-    "CounterCA": "0x1234567890123456789012345678901234567890",
+  11155111: {
+    Counter: "0x1234567890123456789012345678901234567890",
   }
 };
 
 module.exports = {
   CONTRACT_NAMES,
   deployments,
+  IMPORT_BROADCASTS,
+  NETWORKS,
+  REQUIRE_CHECKSUMS,
   ALLOW_MISMATCHED_NAMES,
+  CONTRACT_INCLUDE,
+  CONTRACT_EXCLUDE,
+  CONTRACT_KINDS,
   ALLOW_INTERFACES,
-  ALLOW_CHANGELOG
+  ALLOW_CHANGELOG,
+  CHANGELOG_BASELINE,
+  REGISTRIES,
+  CONTRACT_WRAPPERS,
+  STRICT_SEMVER,
+  STRICT_BUILD,
+  INCLUDE_ARTIFACTS
 };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Build report: the outcome of a build for CI. build-report.json (next to package.json, not
+ * shipped in the package) lists every selected contract with its status, source and artifact,
+ * the warnings of the build and how long each step took. The same outcome is printed as a
+ * summary at the end of the build log and, on GitHub Actions, as annotations and a job summary.
+ */
+
+const REPORT_FILE = 'build-report.json';
+const REPORT_FORMAT_VERSION = 1;
+
+// Kinds of warnings, and whether they block a STRICT_BUILD: blocking warnings mean the package
+// is incomplete or may be wrong, the others note expected gaps the build works around
+const WARNING_KINDS = {
+  // Sources without compiled artifact, artifacts without compiler metadata
+  artifact: true,
+  // Foundry broadcast files that could not be read
+  broadcast: true,
+  // A baseline that could not be loaded, so the changes are unknown
+  changelog: true,
+  // Unsafe storage layout changes
+  'storage-layout': true,
+  // Missing git metadata
+  git: true,
+  // A failed tsc run (no .d.ts files)
+  typescript: true,
+  // Contracts of unknown kind, packaged as contracts
+  'contract-kind': false,
+  // Contracts not packaged because they are not named after their file (ALLOW_MISMATCHED_NAMES=false)
+  'dropped-contract': false,
+  // Broadcast deployments of contracts that are not packaged
+  deployments: false,
+  // ABIs a Solidity interface cannot declare
+  interface: false,
+  // Storage layouts missing in an artifact or the baseline, so upgrade safety is not checked
+  'storage-unchecked': false
+};
+
+// Unknown kinds block, so a new warning is not silently let through
+const isBlocking = kind => WARNING_KINDS[kind] !== false;
+
+// Overall status: 'failed' with configuration or STRICT_SEMVER errors or a contract that could
+// not be packaged, 'warnings' with a blocking warning, otherwise 'passed' (with informational
+// warnings, if any)
+const STATUS_TEXT = { passed: 'passed', warnings: 'passed with warnings', failed: 'failed' };
+const STATUS_ICONS = { passed: '✅', warnings: '⚠️', failed: '❌' };
+
+const CONTRACT_ICONS = { built: '✅', unchanged: '✅', failed: '❌' };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const duration = ms => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+
+/**
+ * Report of a build.
+ * @param {object} plan from planBuild() (only { errors, warnings } when the configuration is invalid)
+ * @param {{ strict: boolean, startedAt: number, writeTimings?: object|null }} options
+ *   strict is STRICT_BUILD, startedAt the build's start (Date.now()) and writeTimings the result of
+ *   writeBuild(), null when dist/ was not written
+ * @returns {object} the build-report.json content
+ */
+const createBuildReport = (plan, { strict, startedAt, writeTimings = null }) => {
+  const warnings = (plan.warnings || []).map(warning => ({ ...warning, blocking: isBlocking(warning.kind) }));
+  const blocking = warnings.filter(warning => warning.blocking).length;
+  const failed = new Map((plan.failedContracts || []).map(({ contract, reason }) => [contract, reason]));
+  const { contracts: contractTimings = {}, ...stepTimings } = plan.timings || {};
+
+  const contracts = Object.entries(plan.origins || {}).map(([name, origin]) => {
+    const status = failed.has(name) ? 'failed' : plan.rebuiltContracts.includes(name) ? 'built' : 'unchanged';
+    return {
+      name,
+      status,
+      ...origin,
+      ...(status === 'failed' ? { error: failed.get(name) } : { files: plan.contracts[name].files }),
+      warnings: warnings.filter(warning => (warning.contracts || []).includes(name)).map(warning => warning.message),
+      durationMs: contractTimings[name]
+    };
+  });
+  const errors = [
+    ...plan.errors,
+    // The STRICT_SEMVER messages without their ❌ and indentation
+    ...(plan.semverErrors || []).map(line => line.replace(/^❌\s*/, '').trim())
+  ];
+  const count = status => contracts.filter(contract => contract.status === status).length;
+
+  return {
+    formatVersion: REPORT_FORMAT_VERSION,
+    package: plan.packageJson
+      ? { name: plan.packageJson.name, version: plan.packageVersion, distTag: plan.distTag, gitCommit: plan.gitMetadata.gitCommit }
+      : null,
+    status: errors.length > 0 || failed.size > 0 ? 'failed' : blocking > 0 ? 'warnings' : 'passed',
+    strict,
+    written: writeTimings !== null,
+    startedAt: new Date(startedAt).toISOString(),
+    summary: {
+      contracts: contracts.length,
+      built: count('built'),
+      unchanged: count('unchanged'),
+      failed: count('failed'),
+      warnings: warnings.length,
+      blocking
+    },
+    contracts,
+    warnings,
+    errors,
+    timings: { ...stepTimings, ...(writeTimings || {}), totalMs: Date.now() - startedAt }
+  };
+};
+
+/**
+ * Write build-report.json into a directory.
+ * @returns {string} the file written
+ */
+const writeBuildReport = (report, dir) => {
+  const file = path.join(dir, REPORT_FILE);
+  fs.writeFileSync(file, `${JSON.stringify(report, null, 2)}\n`);
+  return file;
+};
+
+// One line with the outcome and the counts
+const summaryLine = ({ status, summary, timings }) => `Build ${STATUS_TEXT[status]}: ` +
+  `${plural(summary.contracts, 'contract')} (${summary.built} built, ${summary.unchanged} unchanged, ${summary.failed} failed), ` +
+  `${plural(summary.warnings, 'warning')} (${summary.blocking} blocking), ${duration(timings.totalMs)}`;
+
+// GitHub Actions workflow command data: %, CR and LF must be escaped
+const escapeAnnotation = value => String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+
+// Markdown job summary of a report
+const renderStepSummary = report => `## ABI package build: ${STATUS_ICONS[report.status]} ${STATUS_TEXT[report.status]}
+
+${summaryLine(report)}
+
+| Contract | Status | Source | Artifact | Time |
+|----------|--------|--------|----------|------|
+${report.contracts.map(contract => `| \`${contract.name}\` | ${CONTRACT_ICONS[contract.status]} ${contract.status}${contract.error ? `: ${contract.error}` : ''} | ` +
+  `${contract.source || '–'} | ${contract.artifact || '–'} | ${duration(contract.durationMs || 0)} |`).join('\n')}
+${report.warnings.length > 0 ? `\n### Warnings\n\n${report.warnings.map(warning => `- ${warning.blocking ? '⚠️' : '📝'} **${warning.kind}**: ${warning.message}`).join('\n')}\n` : ''}${report.errors.length > 0 ? `\n### Errors\n\n${report.errors.map(error => `- ${error}`).join('\n')}\n` : ''}`;
+
+/**
+ * Print the report for the build log: the outcome, one line per contract and every warning.
+ * On GitHub Actions (GITHUB_ACTIONS=true) failures and warnings are also emitted as annotations,
+ * and the report is appended to the job summary when GITHUB_STEP_SUMMARY is set.
+ * @param {object} report from createBuildReport()
+ * @param {object} [env]
+ */
+const printBuildSummary = (report, env = process.env) => {
+  const width = Math.max(0, ...report.contracts.map(contract => contract.name.length));
+  console.log('');
+  console.log(`📊 ${summaryLine(report)}`);
+  report.contracts.forEach(contract => {
+    const detail = contract.status === 'failed' ? contract.error : `${contract.source || contract.artifact || ''}`;
+    console.log(`   ${CONTRACT_ICONS[contract.status]} ${contract.name.padEnd(width)}  ${contract.status.padEnd(9)}  ${detail} (${duration(contract.durationMs || 0)})`);
+  });
+  report.warnings.forEach(warning => console.log(`   ${warning.blocking ? '⚠️ ' : '📝'} [${warning.kind}] ${warning.message}`));
+
+  if (env.GITHUB_ACTIONS === 'true') {
+    report.contracts
+      .filter(contract => contract.status === 'failed')
+      .forEach(contract => console.log(`::error title=ABI build::${escapeAnnotation(`${contract.name}: ${contract.error}`)}`));
+    report.warnings.forEach(warning => console.log(`::${warning.blocking ? 'warning' : 'notice'} title=ABI build (${warning.kind})::${escapeAnnotation(warning.message)}`));
+  }
+  if (env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(env.GITHUB_STEP_SUMMARY, renderStepSummary(report));
+  }
+};
+
+module.exports = {
+  REPORT_FILE,
+  WARNING_KINDS,
+  isBlocking,
+  createBuildReport,
+  writeBuildReport,
+  printBuildSummary
+};
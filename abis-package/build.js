@@ -1,126 +1,678 @@
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const { execSync, execFileSync } = require('child_process');
+const { keccak256 } = require('./keccak');
+const { canonicalType, canonicalSignature } = require('./abi-signatures');
+const { BOOLEAN_OPTIONS, loadConfig } = require('./config-loader');
+const { WRAPPER_LIBRARIES, PEER_DEPENDENCIES, RENDERERS: WRAPPER_RENDERERS, formatJsDoc } = require('./wrappers');
+const { extractStorageLayout, diffStorageLayouts, renderStorageChanges } = require('./storage-layout');
+const { renderSolidityInterface } = require('./solidity-interface');
+const { parseVersion, branchVersion, getCurrentBranch, writePackageJson } = require('./release');
+const { NPM_TIMEOUT_MS, validateRegistries, resolveRegistries, withRegistryAuth, renderInstallInstructions } = require('./registries');
+const { CHANGES_FILE, versionEntry, parseHistory, mergeHistory, renderVersionSection, renderChangelogFile } = require('./changelog');
+const { REPORT_FILE, isBlocking, createBuildReport, writeBuildReport, printBuildSummary } = require('./build-report');
+
+// State of one build: its configuration and the warnings collected for the build report.
+// Functions that read the configuration or warn take it as their first argument.
+const createContext = (buildConfig, warnings = []) => ({ config: buildConfig, warnings });
+
+// Log a warning and record it in the warnings of a build context (or a plan), with the
+// contracts it concerns. Kinds are listed in build-report.js, with whether they block STRICT_BUILD.
+const warn = (context, kind, message, contracts = []) => {
+  context.warnings.push({ kind, ...(contracts.length > 0 ? { contracts } : {}), message });
+  console.warn(isBlocking(kind) ? `⚠️  ${message}` : `📝 ${message}`);
+};
+
+// Contract kinds that can be selected with CONTRACT_KINDS
+const CONTRACT_KINDS = ['contract', 'abstract', 'interface', 'library'];
+
+// Kinds packaged by the wildcard scan; ALLOW_INTERFACES is a shorthand for adding 'interface'
+const selectedKinds = config => [...new Set([
+  ...(config.CONTRACT_KINDS || ['contract']),
+  ...(config.ALLOW_INTERFACES ? ['interface'] : [])
+])];
+
+// Kind of a compiled contract (contract, abstract, interface or library). Taken from the
+// artifact's AST when forge emits it, otherwise from the declaration in the source file.
+const findContractKind = (contractData, contractName, sourcePath) => {
+  const definition = ((contractData.ast || {}).nodes || []).find(node =>
+    node.nodeType === 'ContractDefinition' && node.name === contractName
+  );
+  if (definition) {
+    return definition.abstract ? 'abstract' : definition.contractKind;
+  }
+
+  const source = fs.readFileSync(sourcePath, 'utf8')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\/\/.*$/gm, '');
+  const declaration = source.match(new RegExp(`\\b(abstract\\s+contract|contract|interface|library)\\s+${contractName}\\b`));
+  if (!declaration) {
+    return null;
+  }
+  return declaration[1].startsWith('abstract') ? 'abstract' : declaration[1];
+};
+
+// Glob pattern on a source path relative to the project root -> RegExp.
+// '**' matches any number of directories, '*' and '?' stay within one path segment.
+const globToRegExp = (pattern) => {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern.startsWith('**/', i)) {
+      regex += '(?:.*/)?';
+      i += 2;
+    } else if (pattern.startsWith('**', i)) {
+      regex += '.*';
+      i += 1;
+    } else if (pattern[i] === '*') {
+      regex += '[^/]*';
+    } else if (pattern[i] === '?') {
+      regex += '[^/]';
+    } else {
+      regex += pattern[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+};
+
+// Directory a glob pattern can match in: its segments before the first wildcard
+const globBase = (pattern) => {
+  const segments = pattern.split('/');
+  const wildcard = segments.findIndex(segment => /[*?]/.test(segment));
+  return (wildcard === -1 ? segments.slice(0, -1) : segments.slice(0, wildcard)).join('/');
+};
+
+// Solidity files selected by CONTRACT_INCLUDE / CONTRACT_EXCLUDE, relative to rootDir
+const findSourceFiles = (config, rootDir) => {
+  const include = (config.CONTRACT_INCLUDE || ['src/**/*.sol']).map(globToRegExp);
+  const exclude = (config.CONTRACT_EXCLUDE || []).map(globToRegExp);
+  const files = new Set();
+
+  const scanDirectory = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory() && !['node_modules', '.git'].includes(item.name)) {
+        scanDirectory(fullPath);
+      } else if (item.isFile() && item.name.endsWith('.sol')) {
+        files.add(path.relative(rootDir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  };
+  new Set((config.CONTRACT_INCLUDE || ['src/**/*.sol']).map(globBase))
+    .forEach(base => scanDirectory(path.join(rootDir, base)));
 
-// Load build configuration
-const config = require('./build-config.js');
+  return [...files]
+    .filter(file => include.some(pattern => pattern.test(file)) && !exclude.some(pattern => pattern.test(file)))
+    .sort();
+};
+
+// Compiled artifacts of the given source files: { [sourcePath]: [{ contractName, jsonPath }] }.
+// Artifacts are matched to sources through the compilation target in their metadata, since forge
+// nests the output of same-named files from different directories (out/<dir>/<File>.sol/).
+// Artifacts that are not valid JSON (an interrupted forge build) are skipped and collected in
+// `invalid` as { jsonPath, error }.
+const findArtifacts = (rootDir, sourcePaths, { invalid = [] } = {}) => {
+  const fileNames = new Set(sourcePaths.map(sourcePath => path.basename(sourcePath)));
+  const artifacts = {};
+
+  const scanDirectory = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!item.isDirectory() || item.name === 'build-info') continue;
+      const fullPath = path.join(dir, item.name);
+      if (!item.name.endsWith('.sol')) {
+        scanDirectory(fullPath);
+        continue;
+      }
+      if (!fileNames.has(item.name)) continue;
+
+      fs.readdirSync(fullPath).filter(file => file.endsWith('.json')).forEach(file => {
+        const jsonPath = path.join(fullPath, file);
+        let contractData;
+        try {
+          contractData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+        } catch (e) {
+          invalid.push({ jsonPath, error: e.message });
+          return;
+        }
+        const metadata = parseMetadata(contractData) || {};
+        const [target] = Object.entries((metadata.settings || {}).compilationTarget || {});
+        // Without metadata, fall back to the file name when only one source has it
+        const candidates = sourcePaths.filter(sourcePath => path.basename(sourcePath) === item.name);
+        const [sourcePath, contractName] = target || [candidates.length === 1 ? candidates[0] : null, file.replace('.json', '')];
+        if (sourcePaths.includes(sourcePath)) {
+          (artifacts[sourcePath] = artifacts[sourcePath] || []).push({ contractName, jsonPath });
+        }
+      });
+    }
+  };
+  scanDirectory(path.join(rootDir, 'out'));
+  return artifacts;
+};
+
+// Fully-qualified contract name: src/tokens/Token.sol:Token
+const parseQualifiedName = (entry) => {
+  const separator = entry.lastIndexOf(':');
+  return separator === -1
+    ? { sourcePath: null, contractName: entry }
+    : { sourcePath: entry.slice(0, separator), contractName: entry.slice(separator + 1) };
+};
+
+// Resolve contract names (supports wildcard '*') in a Foundry project (this repository by default).
+// The wildcard packages every contract in the CONTRACT_INCLUDE sources whose kind is selected; with
+// ALLOW_MISMATCHED_NAMES all contracts of a file are included, otherwise only the one named after
+// the file. Explicit names can be fully qualified (src/tokens/Token.sol:Token). Contracts are
+// packaged under their own name, so two selected contracts with the same name are an error.
+const resolveContractNames = (context, rootDir = path.join(__dirname, '..')) => {
+  const { config } = context;
+  const validContracts = [];
+  const contractMappings = {};
+  const errors = [];
+  const labels = {};
+  const wildcard = config.CONTRACT_NAMES.length === 1 && config.CONTRACT_NAMES[0] === '*';
+  const addContract = (contractName, mapping, label) => {
+    if (contractMappings[contractName]) {
+      const hint = wildcard
+        ? 'exclude one of the files with CONTRACT_EXCLUDE, or list the contracts to publish in CONTRACT_NAMES'
+        : 'list only one of them';
+      errors.push(`${contractName}: ${labels[contractName]} and ${label} would both be packaged as ${contractName}ABI (${hint})`);
+      return;
+    }
+    validContracts.push(contractName);
+    contractMappings[contractName] = mapping;
+    labels[contractName] = label;
+  };
+  // A half-written artifact is reported and skipped rather than failing the whole scan
+  const findReadableArtifacts = sourcePaths => {
+    const invalid = [];
+    const artifacts = findArtifacts(rootDir, sourcePaths, { invalid });
+    invalid.forEach(({ jsonPath, error }) => {
+      warn(context, 'artifact', `Skipping unreadable artifact ${path.relative(rootDir, jsonPath)} (${error}), rerun forge build`);
+    });
+    return artifacts;
+  };
 
-// Resolve contract names (supports wildcard '*')
-const resolveContractNames = () => {
-  if (config.CONTRACT_NAMES.length === 1 && config.CONTRACT_NAMES[0] === '*') {
-    console.log('🔍 Using wildcard - scanning for all contracts in src/ directory');
+  if (wildcard) {
+    const include = config.CONTRACT_INCLUDE || ['src/**/*.sol'];
+    console.log(`🔍 Using wildcard - scanning for all contracts in ${include.join(', ')}`);
     try {
-      const srcDir = path.join(__dirname, '../src');
-      const contractNames = [];
-      
-      // Recursive function to scan directories
-      const scanDirectory = (dir) => {
-        const items = fs.readdirSync(dir, { withFileTypes: true });
-        
-        for (const item of items) {
-          const fullPath = path.join(dir, item.name);
-          
-          if (item.isDirectory()) {
-            // Skip interfaces directory
-            if (item.name !== 'interfaces') {
-              scanDirectory(fullPath);
-            }
-          } else if (item.isFile() && item.name.endsWith('.sol')) {
-            // Extract contract name without .sol extension
-            const contractName = item.name.replace('.sol', '');
-            
-            // Skip interface files (starting with 'I') unless ALLOW_INTERFACES is true
-            if (!contractName.startsWith('I') || config.ALLOW_INTERFACES) {
-              contractNames.push(contractName);
-            }
-          }
+      const sourceFiles = findSourceFiles(config, rootDir);
+      const artifacts = findReadableArtifacts(sourceFiles);
+      const kinds = selectedKinds(config);
+      const skipped = [];
+
+      for (const sourcePath of sourceFiles) {
+        const name = path.basename(sourcePath, '.sol');
+        if (!artifacts[sourcePath]) {
+          warn(context, 'artifact', `No compiled artifact for ${sourcePath} (run forge build)`);
         }
-      };
-      
-      scanDirectory(srcDir);
-      
-      // Filter out contracts that don't have compiled artifacts
-      const validContracts = [];
-      const contractMappings = {};
-      
-      for (const name of contractNames) {
-        if (config.ALLOW_MISMATCHED_NAMES) {
-          // Check if the output directory exists
-          const outDir = path.join(__dirname, `../out/${name}.sol`);
-          if (fs.existsSync(outDir)) {
-            // Find JSON files that match our source file
-            const jsonFiles = fs.readdirSync(outDir).filter(file => 
-              file.endsWith('.json') && (!file.startsWith('I') || config.ALLOW_INTERFACES)
-            );
-            
-            if (jsonFiles.length > 0) {
-              // Map source filename to actual contract name(s)
-              for (const jsonFile of jsonFiles) {
-                const contractName = jsonFile.replace('.json', '');
-                validContracts.push(contractName);
-                contractMappings[contractName] = {
-                  sourceFile: name,
-                  jsonPath: path.join(outDir, jsonFile)
-                };
-              }
+
+        // The contract named after the file (with ALLOW_MISMATCHED_NAMES: every contract it
+        // defines). Only files with compiled artifacts are packaged.
+        (artifacts[sourcePath] || [])
+          .filter(({ contractName }) => {
+            if (config.ALLOW_MISMATCHED_NAMES === true || contractName === name) return true;
+            warn(context, 'dropped-contract', `Not packaging ${contractName} from ${sourcePath}: it is not named after the file (set ALLOW_MISMATCHED_NAMES=true to package it)`, [contractName]);
+            return false;
+          })
+          .forEach(({ contractName, jsonPath }) => {
+            const kind = findContractKind(JSON.parse(fs.readFileSync(jsonPath, 'utf8')), contractName, path.join(rootDir, sourcePath));
+            if (!kind) {
+              warn(context, 'contract-kind', `Could not determine the kind of ${contractName} in ${sourcePath}, treating it as a contract`, [contractName]);
             }
-          }
-        } else {
-          // Original logic - exact name match
-          const jsonPath = path.join(__dirname, `../out/${name}.sol/${name}.json`);
-          if (fs.existsSync(jsonPath)) {
-            validContracts.push(name);
-            contractMappings[name] = {
-              sourceFile: name,
-              jsonPath: jsonPath
-            };
-          }
-        }
+            if (!kinds.includes(kind || 'contract')) {
+              skipped.push(`${contractName} (${kind})`);
+              return;
+            }
+            addContract(contractName, { sourceFile: name, sourcePath, kind: kind || 'contract', jsonPath }, `${sourcePath}:${contractName}`);
+          });
+      }
+
+      console.log(`📋 Found ${validContracts.length} contracts: ${validContracts.join(', ')}`);
+      if (skipped.length > 0) {
+        console.log(`   Skipped by CONTRACT_KINDS (${kinds.join(', ')}): ${skipped.join(', ')}`);
       }
-      
-      console.log(`📋 Found ${validContracts.length} contracts in src/: ${validContracts.join(', ')}`);
-      return { validContracts, contractMappings };
+      return { validContracts, contractMappings, errors };
     } catch (e) {
-      console.warn('⚠️  Could not scan src/ directory, falling back to configured contracts');
+      warn(context, 'artifact', `Could not scan the contract sources (${e.message}), falling back to configured contracts`);
       const fallbackContracts = config.CONTRACT_NAMES.filter(name => name !== '*');
       const fallbackMappings = {};
       fallbackContracts.forEach(contract => {
         fallbackMappings[contract] = {
           sourceFile: contract,
-          jsonPath: path.join(__dirname, `../out/${contract}.sol/${contract}.json`)
+          jsonPath: path.join(rootDir, 'out', `${contract}.sol`, `${contract}.json`)
         };
       });
-      return { validContracts: fallbackContracts, contractMappings: fallbackMappings };
+      return { validContracts: fallbackContracts, contractMappings: fallbackMappings, errors: [] };
     }
   }
   
-  // Handle non-wildcard mode
-  const contractNames = config.CONTRACT_NAMES;
-  const contractMappings = {};
-  contractNames.forEach(contract => {
-    contractMappings[contract] = {
-      sourceFile: contract,
-      jsonPath: path.join(__dirname, `../out/${contract}.sol/${contract}.json`)
+  // Handle non-wildcard mode: out/<Name>.sol/<Name>.json, or the artifact of a fully-qualified name
+  const qualifiedNames = config.CONTRACT_NAMES.map(parseQualifiedName);
+  const qualifiedSources = qualifiedNames.map(({ sourcePath }) => sourcePath).filter(Boolean);
+  const artifacts = qualifiedSources.length > 0 ? findReadableArtifacts(qualifiedSources) : {};
+
+  config.CONTRACT_NAMES.forEach((entry, i) => {
+    const { sourcePath, contractName } = qualifiedNames[i];
+    const sourceFile = sourcePath ? path.basename(sourcePath, '.sol') : contractName;
+    const artifact = sourcePath && (artifacts[sourcePath] || []).find(candidate => candidate.contractName === contractName);
+    addContract(contractName, {
+      sourceFile,
+      ...(sourcePath ? { sourcePath } : {}),
+      jsonPath: artifact ? artifact.jsonPath : path.join(rootDir, 'out', `${sourceFile}.sol`, `${contractName}.json`)
+    }, entry);
+  });
+  return { validContracts, contractMappings, errors };
+};
+
+// Read CREATE/CREATE2 deployments from Foundry broadcast files
+// (broadcast/<Script>.s.sol/<chainId>/run-latest.json), oldest run first
+const readBroadcastDeployments = (context) => {
+  const broadcastDir = path.join(__dirname, '../broadcast');
+  if (!fs.existsSync(broadcastDir)) {
+    return [];
+  }
+
+  const records = [];
+  fs.readdirSync(broadcastDir, { withFileTypes: true })
+    .filter(item => item.isDirectory())
+    .forEach(scriptDir => {
+      const scriptPath = path.join(broadcastDir, scriptDir.name);
+      fs.readdirSync(scriptPath, { withFileTypes: true })
+        .filter(item => item.isDirectory() && /^\d+$/.test(item.name))
+        .forEach(chainDir => {
+          const runPath = path.join(scriptPath, chainDir.name, 'run-latest.json');
+          if (!fs.existsSync(runPath)) return;
+
+          try {
+            const run = JSON.parse(fs.readFileSync(runPath, 'utf8'));
+            const receipts = new Map((run.receipts || []).map(receipt => [receipt.transactionHash, receipt]));
+
+            (run.transactions || [])
+              .filter(tx => ['CREATE', 'CREATE2'].includes(tx.transactionType) && tx.contractName && tx.contractAddress)
+              .forEach(tx => {
+                const receipt = receipts.get(tx.hash);
+                records.push({
+                  chainId: Number(chainDir.name),
+                  script: scriptDir.name,
+                  contractName: tx.contractName,
+                  address: tx.contractAddress,
+                  txHash: tx.hash,
+                  blockNumber: receipt && receipt.blockNumber != null ? Number(receipt.blockNumber) : null,
+                  timestamp: run.timestamp || 0
+                });
+              });
+          } catch (e) {
+            warn(context, 'broadcast', `Could not read broadcast file ${path.relative(path.join(__dirname, '..'), runPath)}: ${e.message}`);
+          }
+        });
+    });
+
+  return records.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Normalize a deployment entry: either an address string or
+// { address, implementation?, blockNumber?, txHash? }
+const normalizeDeploymentEntry = (entry) => (typeof entry === 'string' ? { address: entry } : { ...entry });
+
+// Merge broadcast deployments with the ones from build-config.js (config wins) into
+// { [chainId]: { chainId, network?, contracts: { [ContractName]: DeploymentRecord } } }
+const resolveDeployments = (context) => {
+  const { config } = context;
+  const merged = {};
+  const networkNames = config.NETWORKS || {};
+  const broadcastRecords = config.IMPORT_BROADCASTS ? readBroadcastDeployments(context) : [];
+
+  const chainEntry = (chainId) => {
+    if (!merged[chainId]) {
+      merged[chainId] = {
+        chainId: Number(chainId),
+        ...(networkNames[chainId] ? { network: networkNames[chainId] } : {}),
+        contracts: {}
+      };
+    }
+    return merged[chainId];
+  };
+
+  broadcastRecords.forEach(record => {
+    chainEntry(record.chainId).contracts[record.contractName] = {
+      address: record.address,
+      ...(record.blockNumber !== null ? { blockNumber: record.blockNumber } : {}),
+      txHash: record.txHash
     };
   });
-  return { validContracts: contractNames, contractMappings };
+
+  Object.entries(config.deployments || {}).forEach(([chainId, contracts]) => {
+    const chain = chainEntry(chainId);
+    Object.entries(contracts).forEach(([contractName, entry]) => {
+      const override = normalizeDeploymentEntry(entry);
+      const existing = chain.contracts[contractName];
+      // Same address as the broadcast: keep its tx hash / block unless overridden
+      const sameAddress = existing && String(override.address).toLowerCase() === existing.address.toLowerCase();
+      chain.contracts[contractName] = sameAddress ? { ...existing, ...override } : override;
+    });
+  });
+
+  if (broadcastRecords.length > 0) {
+    console.log(`📡 Imported ${broadcastRecords.length} deployments from Foundry broadcast files`);
+  }
+
+  return merged;
+};
+
+// EIP-55 mixed-case checksum encoding of an address
+const toChecksumAddress = (address) => {
+  const lower = address.slice(2).toLowerCase();
+  const hash = keccak256(lower).slice(2);
+  return `0x${[...lower].map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('')}`;
+};
+
+// Check an address and return its checksummed form, or the problem with it.
+// Single-case addresses carry no checksum and are normalized unless REQUIRE_CHECKSUMS is set.
+const checkAddress = (value, label, requireChecksums) => {
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return { error: `${label}: ${JSON.stringify(value)} is not a 20-byte hex address` };
+  }
+  if (/^0x0{40}$/.test(value)) {
+    return { error: `${label}: zero address` };
+  }
+
+  const checksummed = toChecksumAddress(value);
+  const body = value.slice(2);
+  const singleCase = body === body.toLowerCase() || body === body.toUpperCase();
+  if (value !== checksummed && (!singleCase || requireChecksums)) {
+    const problem = singleCase ? 'is not checksummed' : 'has an invalid EIP-55 checksum';
+    return { error: `${label}: ${value} ${problem} (expected ${checksummed})` };
+  }
+  return { address: checksummed };
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isChainId = key => /^[1-9]\d*$/.test(String(key));
+
+const DEPLOYMENT_FIELDS = ['address', 'implementation', 'blockNumber', 'txHash'];
+
+// Source path globs are relative to the project root and use forward slashes
+const validateGlobs = (field, patterns) => patterns
+  .map((pattern, i) => {
+    if (typeof pattern !== 'string' || pattern.trim() === '') return `${field}[${i}]: must be a non-empty glob pattern`;
+    if (path.isAbsolute(pattern) || pattern.split('/').includes('..')) {
+      return `${field}[${i}]: "${pattern}" must be relative to the project root (e.g. src/**/*.sol)`;
+    }
+    return null;
+  })
+  .filter(Boolean);
+
+// Validators for every build-config.js field; each gets the value and the whole configuration
+// and returns a list of problems
+const CONFIG_VALIDATORS = {
+  CONTRACT_NAMES: (value) => {
+    if (!Array.isArray(value)) return ['CONTRACT_NAMES: must be an array of contract names'];
+    const errors = [];
+    if (value.includes('*') && value.length > 1) {
+      errors.push("CONTRACT_NAMES: '*' cannot be combined with explicit contract names");
+    }
+    value.forEach((name, i) => {
+      if (typeof name !== 'string' || !(name === '*' || /^([^:]+\.sol:)?[A-Za-z_$][A-Za-z0-9_$]*$/.test(name))) {
+        errors.push(`CONTRACT_NAMES[${i}]: ${JSON.stringify(name)} is not a valid contract name or fully-qualified name (src/File.sol:Name)`);
+      } else if (value.indexOf(name) !== i) {
+        errors.push(`CONTRACT_NAMES[${i}]: duplicate entry "${name}"`);
+      }
+    });
+    return errors;
+  },
+
+  CONTRACT_INCLUDE: (value) => {
+    if (!Array.isArray(value) || value.length === 0) return ['CONTRACT_INCLUDE: must be a non-empty array of glob patterns'];
+    return validateGlobs('CONTRACT_INCLUDE', value);
+  },
+
+  CONTRACT_EXCLUDE: (value) => {
+    if (!Array.isArray(value)) return ['CONTRACT_EXCLUDE: must be an array of glob patterns'];
+    return validateGlobs('CONTRACT_EXCLUDE', value);
+  },
+
+  CONTRACT_KINDS: (value) => {
+    if (!Array.isArray(value) || value.length === 0) return [`CONTRACT_KINDS: must be a non-empty array of kinds (${CONTRACT_KINDS.join(', ')})`];
+    return value
+      .map((kind, i) => {
+        if (!CONTRACT_KINDS.includes(kind)) {
+          return `CONTRACT_KINDS[${i}]: ${JSON.stringify(kind)} is not a contract kind (expected ${CONTRACT_KINDS.join(', ')})`;
+        }
+        return value.indexOf(kind) !== i ? `CONTRACT_KINDS[${i}]: duplicate entry "${kind}"` : null;
+      })
+      .filter(Boolean);
+  },
+
+  NETWORKS: (value) => {
+    if (!isPlainObject(value)) return ['NETWORKS: must be an object of chainId -> network alias'];
+    const errors = [];
+    const seen = {};
+    Object.entries(value).forEach(([chainId, alias]) => {
+      if (!isChainId(chainId)) errors.push(`NETWORKS.${chainId}: key must be a numeric chain id`);
+      if (typeof alias !== 'string' || alias.trim() === '') {
+        errors.push(`NETWORKS.${chainId}: alias must be a non-empty string`);
+      } else if (seen[alias]) {
+        errors.push(`NETWORKS.${chainId}: alias "${alias}" is already used by chain ${seen[alias]}`);
+      } else {
+        seen[alias] = chainId;
+      }
+    });
+    return errors;
+  },
+
+  deployments: (value, buildConfig) => {
+    if (!isPlainObject(value)) return ['deployments: must be an object keyed by chain id'];
+    const errors = [];
+    Object.entries(value).forEach(([chainId, contracts]) => {
+      if (!isChainId(chainId)) {
+        errors.push(`deployments.${chainId}: key must be a numeric chain id`);
+      }
+      if (!isPlainObject(contracts)) {
+        errors.push(`deployments.${chainId}: must be an object keyed by contract name`);
+        return;
+      }
+
+      Object.entries(contracts).forEach(([contractName, entry]) => {
+        const label = `deployments.${chainId}.${contractName}`;
+        if (typeof entry !== 'string' && !isPlainObject(entry)) {
+          errors.push(`${label}: must be an address or { address, implementation?, blockNumber?, txHash? }`);
+          return;
+        }
+
+        const record = normalizeDeploymentEntry(entry);
+        Object.keys(record)
+          .filter(field => !DEPLOYMENT_FIELDS.includes(field))
+          .forEach(field => errors.push(`${label}.${field}: unknown field (expected ${DEPLOYMENT_FIELDS.join(', ')})`));
+
+        const address = checkAddress(record.address, `${label}.address`, buildConfig.REQUIRE_CHECKSUMS);
+        if (address.error) errors.push(address.error);
+        if (record.implementation !== undefined) {
+          const implementation = checkAddress(record.implementation, `${label}.implementation`, buildConfig.REQUIRE_CHECKSUMS);
+          if (implementation.error) {
+            errors.push(implementation.error);
+          } else if (address.address === implementation.address) {
+            errors.push(`${label}.implementation: same as the proxy address`);
+          }
+        }
+        if (record.blockNumber !== undefined && !(Number.isInteger(record.blockNumber) && record.blockNumber >= 0)) {
+          errors.push(`${label}.blockNumber: must be a non-negative integer`);
+        }
+        if (record.txHash !== undefined && !/^0x[0-9a-fA-F]{64}$/.test(String(record.txHash))) {
+          errors.push(`${label}.txHash: must be a 32-byte hex transaction hash`);
+        }
+      });
+    });
+    return errors;
+  },
+
+  CONTRACT_WRAPPERS: (value) => {
+    if (!Array.isArray(value)) return [`CONTRACT_WRAPPERS: must be an array of libraries (${WRAPPER_LIBRARIES.join(', ')})`];
+    return value
+      .map((library, i) => {
+        if (!WRAPPER_LIBRARIES.includes(library)) {
+          return `CONTRACT_WRAPPERS[${i}]: ${JSON.stringify(library)} is not supported (expected ${WRAPPER_LIBRARIES.join(', ')})`;
+        }
+        return value.indexOf(library) !== i ? `CONTRACT_WRAPPERS[${i}]: duplicate entry "${library}"` : null;
+      })
+      .filter(Boolean);
+  },
+
+  CHANGELOG_BASELINE: (value) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return ["CHANGELOG_BASELINE: must be 'git', 'registry' or the path of a package tarball, directory or ABI snapshot"];
+    }
+    if (value === 'git' || value === 'registry' || fs.existsSync(path.resolve(__dirname, value))) return [];
+    return [`CHANGELOG_BASELINE: ${value} does not exist`];
+  },
+
+  REGISTRIES: validateRegistries
+};
+
+// Boolean switches of the build configuration
+BOOLEAN_OPTIONS.forEach(flag => {
+  CONFIG_VALIDATORS[flag] = value => (typeof value === 'boolean' ? [] : [`${flag}: must be true or false (got ${JSON.stringify(value)})`]);
+});
+
+// Validate every field of the build configuration, collecting all problems
+const validateConfig = (buildConfig) => {
+  const errors = [];
+  Object.keys(buildConfig)
+    .filter(field => !CONFIG_VALIDATORS[field])
+    .forEach(field => errors.push(`${field}: unknown build configuration field`));
+
+  Object.entries(CONFIG_VALIDATORS).forEach(([field, validate]) => {
+    if (buildConfig[field] === undefined) {
+      if (field === 'CONTRACT_NAMES') errors.push('CONTRACT_NAMES: missing');
+      return;
+    }
+    errors.push(...validate(buildConfig[field], buildConfig));
+  });
+  return errors;
+};
+
+// Configured deployments must reference contracts whose ABI is in the package
+const validateDeploymentNames = (config, packagedContracts) => {
+  const errors = [];
+  if (!isPlainObject(config.deployments)) return errors;
+
+  Object.entries(config.deployments).forEach(([chainId, contracts]) => {
+    if (!isPlainObject(contracts)) return;
+    Object.keys(contracts)
+      .filter(contractName => !packagedContracts.includes(contractName))
+      .forEach(contractName => {
+        errors.push(`deployments.${chainId}.${contractName}: "${contractName}" is not one of the packaged contracts (${packagedContracts.join(', ') || 'none'})`);
+      });
+  });
+  return errors;
+};
+
+// Checksum every resolved address and reject addresses shared by several contracts
+// on the same chain. Deployments of contracts outside the package are dropped
+// (configured ones are reported by validateDeploymentNames, broadcast ones only warned about).
+const finalizeDeployments = (context, resolvedDeployments, packagedContracts) => {
+  const { config } = context;
+  const errors = [];
+
+  Object.values(resolvedDeployments).forEach(chain => {
+    const configured = (config.deployments || {})[chain.chainId] || {};
+    const owners = {};
+
+    Object.entries(chain.contracts).forEach(([contractName, deployment]) => {
+      const label = `deployments.${chain.chainId}.${contractName}`;
+      if (!packagedContracts.includes(contractName)) {
+        if (configured[contractName] === undefined) {
+          warn(context, 'deployments', `Skipping broadcast deployment of ${contractName} on chain ${chain.chainId}: not in the package`, [contractName]);
+        }
+        delete chain.contracts[contractName];
+        return;
+      }
+
+      // Config entries were validated already; this normalizes their case and checks broadcast ones
+      ['address', 'implementation'].forEach(field => {
+        if (deployment[field] === undefined) return;
+        const checked = checkAddress(deployment[field], `${label}.${field}`, config.REQUIRE_CHECKSUMS);
+        if (checked.error) {
+          errors.push(checked.error);
+        } else {
+          deployment[field] = checked.address;
+        }
+      });
+
+      if (owners[deployment.address]) {
+        errors.push(`${label}: address ${deployment.address} is also used by ${owners[deployment.address]}`);
+      } else {
+        owners[deployment.address] = contractName;
+      }
+    });
+  });
+
+  return { deployments: resolvedDeployments, errors: [...new Set(errors)] };
+};
+
+// Print all validation problems at once. Returns whether there were any.
+const reportValidationErrors = (errors) => {
+  if (errors.length === 0) return false;
+  console.error(`❌ Build configuration has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`);
+  errors.forEach(error => console.error(`   - ${error}`));
+  return true;
+};
+
+/**
+ * Validate the configuration and resolve the contracts and deployments to package.
+ * Contract and deployment resolution only run when their config fields are usable,
+ * so every problem is reported in one go. Nothing is written.
+ * @param {object} buildConfig
+ * @param {{ warnings?: Array }} [options] warnings collects the { kind, contracts?, message } of each warning
+ * @returns {{ contracts: string[], contractMappings: object, packagedContracts: string[], deployments: object, errors: string[] }}
+ */
+const resolveContracts = (buildConfig, { warnings = [] } = {}) => {
+  const context = createContext(buildConfig, warnings);
+  const { config } = context;
+  const configErrors = validateConfig(config);
+  const hasFieldErrors = field => configErrors.some(error => error.startsWith(field));
+
+  const { validContracts: contracts, contractMappings, errors: contractErrors } = ['CONTRACT_NAMES', 'CONTRACT_INCLUDE', 'CONTRACT_EXCLUDE', 'CONTRACT_KINDS'].some(hasFieldErrors)
+    ? { validContracts: [], contractMappings: {}, errors: [] }
+    : resolveContractNames(context);
+
+  const packagedContracts = contracts.filter(contract =>
+    contractMappings[contract] && fs.existsSync(contractMappings[contract].jsonPath)
+  );
+  const { deployments, errors: deploymentErrors } = hasFieldErrors('deployments') || hasFieldErrors('NETWORKS')
+    ? { deployments: {}, errors: [] }
+    : finalizeDeployments(context, resolveDeployments(context), packagedContracts);
+
+  const deploymentNameErrors = hasFieldErrors('CONTRACT_NAMES') ? [] : validateDeploymentNames(config, packagedContracts);
+
+  return {
+    contracts,
+    contractMappings,
+    packagedContracts,
+    deployments,
+    errors: [...configErrors, ...contractErrors, ...deploymentNameErrors, ...deploymentErrors]
+  };
 };
 
 // Get git metadata for traceability
-const getGitMetadata = () => {
+const getGitMetadata = (context) => {
   try {
     const gitCommit = execSync('git rev-parse HEAD', { encoding: 'utf8' }).trim();
     const gitCommitShort = execSync('git rev-parse --short HEAD', { encoding: 'utf8' }).trim();
+    const gitCommitDate = execSync('git log -1 --format=%cs HEAD', { encoding: 'utf8' }).trim();
     
     return {
       gitCommit,
-      gitCommitShort
+      gitCommitShort,
+      gitCommitDate
     };
   } catch (e) {
-    console.warn('⚠️  Could not get git metadata:', e.message);
+    warn(context, 'git', `Could not get git metadata: ${e.message}`);
     return {
       gitCommit: 'unknown',
-      gitCommitShort: 'unknown'
+      gitCommitShort: 'unknown',
+      gitCommitDate: new Date().toISOString().slice(0, 10)
     };
   }
 };
@@ -130,46 +682,91 @@ const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.jso
 const packageName = packageJson.name;
 const packageScope = packageName.split('/')[0];
 const packageShortName = packageName.split('/')[1] || packageName;
+// SPDX identifier in the header of the generated Solidity interfaces
+const packageLicense = packageJson.license || 'UNLICENSED';
 
-// Get current git branch and modify version accordingly
-const getCurrentBranch = () => {
-  try {
-    return execSync('git branch --show-current', { encoding: 'utf8' }).trim();
-  } catch (e) {
-    console.warn('⚠️  Could not determine git branch, using default version');
-    return 'main';
-  }
-};
+// Registries the package is published to (REGISTRIES, else publishConfig.registry)
+const packageRegistries = config => resolveRegistries(config.REGISTRIES, packageJson);
+const distDir = path.join(__dirname, 'dist');
+
+// Build manifest shipped in dist/: content hashes of the input artifacts and of every generated file
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
 
-const currentBranch = getCurrentBranch();
-// Extract base version (remove any existing branch suffix)
-const baseVersion = packageJson.version.split('-')[0];
-const packageVersion = currentBranch === 'main' ? baseVersion : `${baseVersion}-${currentBranch}`;
+// Current content of a dist/ file, or null when it does not exist
+const readDistFile = (relativePath) => {
+  const filePath = path.join(distDir, relativePath);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+};
 
-// Determine npm dist tag
-const distTag = currentBranch === 'main' ? 'latest' : currentBranch;
+// Write a file to dist/ unless it already has this content. Returns whether it was written.
+const writeDistFile = (relativePath, content) => {
+  const existing = readDistFile(relativePath);
+  if (existing && sha256(existing) === sha256(content)) {
+    return false;
+  }
 
-// Get git metadata
-const gitMetadata = getGitMetadata();
+  const filePath = path.join(distDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return true;
+};
 
-// Resolve which contracts to include
-const { validContracts: CONTRACT_NAMES, contractMappings } = resolveContractNames();
-const deployments = config.deployments;
+// Emitting the declarations takes seconds; a tsc run past this is stuck
+const TSC_TIMEOUT_MS = 5 * 60 * 1000;
 
-console.log(`📦 Building package version: ${packageVersion} (branch: ${currentBranch})`);
-console.log(`🏷️  Dist tag: ${distTag}`);
-console.log(`🔗 Git commit: ${gitMetadata.gitCommitShort}`);
+// TypeScript modules of a build; tsc emits a .d.ts for each of them
+const isTypeScriptModule = file => file.endsWith('.ts') && !file.endsWith('.d.ts');
 
-// Update package.json with the new version and git metadata
-const updatedPackageJson = { 
-  ...packageJson, 
-  version: packageVersion,
-  gitMetadata: {
-    commit: gitMetadata.gitCommit,
-    commitShort: gitMetadata.gitCommitShort
+// Previous build's manifest, or an empty one
+const readManifest = () => {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(distDir, MANIFEST_FILE), 'utf8'));
+    return manifest.manifestVersion === MANIFEST_VERSION ? manifest : { contracts: {}, files: {} };
+  } catch (e) {
+    return { contracts: {}, files: {} };
   }
 };
-fs.writeFileSync(path.join(__dirname, 'package.json'), JSON.stringify(updatedPackageJson, null, 2));
+
+// Fingerprint of everything besides the artifact that shapes a contract's files: the generator
+// code, the options it reads and the package.json fields written into them (the license of the
+// Solidity interfaces). A change invalidates every contract of the previous build.
+const generatorHash = config => sha256([
+  ...['build.js', 'abi-signatures.js', 'wrappers.js', 'storage-layout.js', 'solidity-interface.js', 'runtime/abi-decoder.js', 'runtime/abi-decoder.d.ts']
+    .map(file => fs.readFileSync(path.join(__dirname, file), 'utf8')),
+  JSON.stringify({ INCLUDE_ARTIFACTS: Boolean(config.INCLUDE_ARTIFACTS), license: packageLicense })
+].join('\0'));
+
+// Files of dist/ (relative paths) that are not among the given build outputs
+const findStaleFiles = (outputs, dir = distDir) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(item => {
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) return findStaleFiles(outputs, fullPath);
+    const relativePath = path.relative(distDir, fullPath).split(path.sep).join('/');
+    return relativePath === MANIFEST_FILE || outputs.has(relativePath) ? [] : [relativePath];
+  });
+};
+
+// Remove outputs of renamed or deleted contracts (and disabled features), then empty directories
+const pruneDist = (outputs) => {
+  const staleFiles = findStaleFiles(outputs);
+  staleFiles.forEach(file => fs.rmSync(path.join(distDir, file)));
+
+  const removeEmptyDirectories = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(item => item.isDirectory())
+      .forEach(item => {
+        const fullPath = path.join(dir, item.name);
+        removeEmptyDirectories(fullPath);
+        if (fs.readdirSync(fullPath).length === 0) fs.rmdirSync(fullPath);
+      });
+  };
+  removeEmptyDirectories(distDir);
+  return staleFiles;
+};
 
 // Extract organization/project name from package name for display
 const displayName = packageScope.replace('@', '').split('-').map(word => 
@@ -188,13 +785,13 @@ const formatFunctionSignature = (functionABI) => {
   const inputs = functionABI.inputs || [];
   const inputsStr = inputs.map(input => {
     const paramName = input.name || '_param';
-    return `${input.type} ${paramName}`;
+    return `${canonicalType(input)} ${paramName}`;
   }).join(', ');
   
   // Format outputs
   const outputs = functionABI.outputs || [];
   const outputsStr = outputs.length > 0 
-    ? ` returns (${outputs.map(output => output.type).join(', ')})`
+    ? ` returns (${outputs.map(canonicalType).join(', ')})`
     : '';
   
   // Add state mutability if relevant
@@ -206,278 +803,1139 @@ const formatFunctionSignature = (functionABI) => {
   return `${name}(${inputsStr})${modifierStr}${outputsStr}`;
 };
 
+// Human readable signature for any ABI entry (functions, events, errors, constructor, fallback/receive)
+const formatEntrySignature = (entry) => {
+  const params = (entry.inputs || []).map(input => {
+    const indexed = entry.type === 'event' && input.indexed ? ' indexed' : '';
+    const paramName = input.name ? ` ${input.name}` : '';
+    return `${canonicalType(input)}${indexed}${paramName}`;
+  }).join(', ');
+  const payable = entry.stateMutability === 'payable' ? ' payable' : '';
+
+  switch (entry.type) {
+    case 'function':
+      return formatFunctionSignature(entry);
+    case 'event':
+      return `event ${entry.name}(${params})${entry.anonymous ? ' anonymous' : ''}`;
+    case 'error':
+      return `error ${entry.name}(${params})`;
+    case 'constructor':
+      return `constructor(${params})${payable}`;
+    default:
+      // fallback / receive
+      return `${entry.type}()${payable}`;
+  }
+};
+
+// Stable key identifying an ABI entry across versions. Functions, events and errors
+// are keyed by their canonical signature so overloads stay distinct; the constructor,
+// fallback and receive can only appear once per contract.
+const abiEntryKey = (entry) => {
+  if (['function', 'event', 'error'].includes(entry.type)) {
+    return `${entry.type} ${canonicalSignature(entry)}`;
+  }
+  return entry.type;
+};
+
+// 4-byte selector for functions/errors, topic0 for (non-anonymous) events
+const abiEntrySelector = (entry) => {
+  if (entry.type === 'function' || entry.type === 'error') {
+    return keccak256(canonicalSignature(entry)).slice(0, 10);
+  }
+  if (entry.type === 'event' && !entry.anonymous) {
+    return keccak256(canonicalSignature(entry));
+  }
+  return null;
+};
+
+// ABI entry type -> changelog category
+const ABI_CATEGORIES = {
+  function: 'functions',
+  event: 'events',
+  error: 'errors',
+  constructor: 'special',
+  fallback: 'special',
+  receive: 'special'
+};
+
+// Changelog section labels, in rendering order
+const CHANGE_SECTIONS = [
+  ['functions', 'functions'],
+  ['events', 'events'],
+  ['errors', 'errors'],
+  ['special', 'constructor/fallback/receive']
+];
+
+const emptyChanges = () => Object.fromEntries(
+  [...new Set(Object.values(ABI_CATEGORIES))].map(category => [category, { added: [], removed: [], modified: [] }])
+);
+
+const describeEntry = (entry) => ({
+  key: abiEntryKey(entry),
+  selector: abiEntrySelector(entry),
+  signature: formatEntrySignature(entry)
+});
+
+// Semver levels in increasing order of impact
+const SEMVER_LEVELS = ['patch', 'minor', 'major'];
+const maxBump = (a, b) => (SEMVER_LEVELS.indexOf(a) >= SEMVER_LEVELS.indexOf(b) ? a : b);
+
+// List what changed between two ABI entries sharing the same key, and how
+// disruptive it is for callers (renames are cosmetic, mutability/output/indexing
+// changes break existing calls or log decoding)
+const diffAbiEntry = (oldEntry, newEntry) => {
+  const details = [];
+  let impact = 'patch';
+  const note = (description, level) => {
+    details.push(description);
+    impact = maxBump(impact, level);
+  };
+  const paramNames = params => (params || []).map(param => param.name || '').join(',');
+  const paramTypes = params => `(${(params || []).map(canonicalType).join(', ')})`;
+
+  const oldMutability = oldEntry.stateMutability || 'none';
+  const newMutability = newEntry.stateMutability || 'none';
+  if (oldMutability !== newMutability) {
+    // Accepting ETH where it was previously rejected doesn't break existing callers
+    const level = oldMutability === 'nonpayable' && newMutability === 'payable' ? 'minor' : 'major';
+    note(`stateMutability: ${oldMutability} → ${newMutability}`, level);
+  }
+  if (oldEntry.type === 'function' && paramTypes(oldEntry.outputs) !== paramTypes(newEntry.outputs)) {
+    note(`outputs: ${paramTypes(oldEntry.outputs)} → ${paramTypes(newEntry.outputs)}`, 'major');
+  }
+  if (oldEntry.type === 'constructor' && paramTypes(oldEntry.inputs) !== paramTypes(newEntry.inputs)) {
+    note(`inputs: ${paramTypes(oldEntry.inputs)} → ${paramTypes(newEntry.inputs)}`, 'major');
+  }
+  if (oldEntry.type === 'event') {
+    const indexedFlags = entry => (entry.inputs || []).map(input => (input.indexed ? 'indexed' : '-')).join(',');
+    if (indexedFlags(oldEntry) !== indexedFlags(newEntry)) {
+      note(`indexed: (${indexedFlags(oldEntry)}) → (${indexedFlags(newEntry)})`, 'major');
+    }
+    if (Boolean(oldEntry.anonymous) !== Boolean(newEntry.anonymous)) {
+      note(`anonymous: ${Boolean(oldEntry.anonymous)} → ${Boolean(newEntry.anonymous)}`, 'major');
+    }
+  }
+  if (paramNames(oldEntry.inputs) !== paramNames(newEntry.inputs) ||
+      paramNames(oldEntry.outputs) !== paramNames(newEntry.outputs)) {
+    note('parameter names', 'patch');
+  }
+  if (details.length === 0 && JSON.stringify(oldEntry) !== JSON.stringify(newEntry)) {
+    note('internal types', 'patch');
+  }
+  return { details, impact };
+};
+
 // Utility function to compare ABIs
 const compareABIs = (oldABI, newABI, contractName) => {
-  const changes = {
-    added: [],
-    removed: [],
-    modified: []
-  };
+  const changes = emptyChanges();
+  const indexABI = abi => new Map(
+    (abi || []).filter(entry => ABI_CATEGORIES[entry.type]).map(entry => [abiEntryKey(entry), entry])
+  );
+
+  const oldEntries = indexABI(oldABI);
+  const newEntries = indexABI(newABI);
+
+  // Find added entries (in new but not in old). For new contracts this is everything.
+  newEntries.forEach((newEntry, key) => {
+    if (!oldEntries.has(key)) {
+      changes[ABI_CATEGORIES[newEntry.type]].added.push(describeEntry(newEntry));
+    }
+  });
 
   if (!oldABI) {
-    // For new contracts, show all functions as added
-    const allFunctions = newABI.filter(item => item.type === 'function');
-    changes.added = allFunctions.map(func => formatFunctionSignature(func));
     return { isNew: true, changes };
   }
 
-  const oldFunctions = oldABI.filter(item => item.type === 'function');
-  const newFunctions = newABI.filter(item => item.type === 'function');
+  oldEntries.forEach((oldEntry, key) => {
+    const newEntry = newEntries.get(key);
+    const category = changes[ABI_CATEGORIES[oldEntry.type]];
 
-  // Find added functions (in new but not in old)
-  newFunctions.forEach(newFunc => {
-    const exists = oldFunctions.find(oldFunc => oldFunc.name === newFunc.name);
-    if (!exists) {
-      changes.added.push(formatFunctionSignature(newFunc));
+    // Find removed entries (in old but not in new)
+    if (!newEntry) {
+      category.removed.push(describeEntry(oldEntry));
+      return;
     }
-  });
 
-  // Find removed functions (in old but not in new)
-  oldFunctions.forEach(oldFunc => {
-    const exists = newFunctions.find(newFunc => newFunc.name === oldFunc.name);
-    if (!exists) {
-      changes.removed.push(formatFunctionSignature(oldFunc));
+    // Find modified entries (same signature, different mutability/outputs/indexing/names)
+    const { details, impact } = diffAbiEntry(oldEntry, newEntry);
+    if (details.length > 0) {
+      const { key: entryKey, selector } = describeEntry(newEntry);
+      category.modified.push({
+        key: entryKey,
+        selector,
+        oldSignature: formatEntrySignature(oldEntry),
+        newSignature: formatEntrySignature(newEntry),
+        details,
+        impact
+      });
     }
   });
 
-  // Find modified functions (same name but different signature)
-  oldFunctions.forEach(oldFunc => {
-    const newFunc = newFunctions.find(f => f.name === oldFunc.name);
-    if (newFunc && JSON.stringify(oldFunc) !== JSON.stringify(newFunc)) {
-      const oldSig = formatFunctionSignature(oldFunc);
-      const newSig = formatFunctionSignature(newFunc);
-      changes.modified.push({ oldSignature: oldSig, newSignature: newSig });
+  return { isNew: false, changes };
+};
+
+// True when a comparison found at least one added/removed/modified entry
+const hasABIChanges = (changes) => Object.values(changes).some(category =>
+  category.added.length > 0 || category.removed.length > 0 || category.modified.length > 0
+);
+
+// Compare every contract with its baseline ABI. Only new, changed and removed
+// contracts are listed.
+const diffAbis = (previousABIs, currentABIs) => {
+  const changes = {};
+  Object.entries(currentABIs).forEach(([contract, abi]) => {
+    const comparison = compareABIs(previousABIs[contract], abi, contract);
+    if (comparison.isNew || hasABIChanges(comparison.changes)) {
+      changes[contract] = comparison;
     }
   });
 
-  return { isNew: false, changes };
+  // Check for removed contracts
+  Object.keys(previousABIs).forEach(contract => {
+    if (!currentABIs[contract]) {
+      changes[contract] = { isRemoved: true };
+    }
+  });
+  return changes;
 };
 
-// Function to get previous package version ABIs using git history
-const getPreviousABIs = () => {
-  try {
-    // Find the latest published version tag in current branch's git history
-    const getBaselineVersion = () => {
-      try {
-        const latestTag = execSync('git tag --merged HEAD | sort -V | tail -1', { encoding: 'utf8' }).trim();
-        if (latestTag && latestTag.startsWith('v')) {
-          return latestTag.replace('v', '');
-        }
-        return '0.0.0'; // No tags in history = first version
-      } catch (e) {
-        return '0.0.0';
-      }
-    };
+// Classify one contract comparison as a major/minor/patch change, with the reasons
+const classifyComparison = (change) => {
+  if (change.isRemoved) {
+    return { level: 'major', reasons: ['contract removed'] };
+  }
+  if (change.isNew) {
+    return { level: 'minor', reasons: ['new contract'] };
+  }
 
-    const baselineVersion = getBaselineVersion();
-    
-    if (baselineVersion === '0.0.0') {
-      console.log('📝 No previous version found in git history, treating all contracts as new');
-      return {};
-    }
-    
-    console.log(`📝 Comparing against baseline version ${baselineVersion} from git history`);
-    const previousABIs = {};
-    
-    // Try to download and extract the previous package
-    const tempDir = require('os').tmpdir();
-    
-    try {
-      // Download the previous package using the baseline version
-      execSync(`npm pack ${packageName}@${baselineVersion} --pack-destination ${tempDir}`, { stdio: 'pipe' });
-      
-      // Generate expected filename from package name
-      // @scope/name becomes scope-name-version.tgz
-      const expectedFilename = packageName.replace('@', '').replace('/', '-') + `-${baselineVersion}.tgz`;
-      
-      // Find the downloaded file
-      const files = require('fs').readdirSync(tempDir);
-      let packageFile = files.find(f => f === expectedFilename);
-      
-      // Fallback: just find any .tgz file that contains the version
-      if (!packageFile) {
-        packageFile = files.find(f => f.endsWith('.tgz') && f.includes(baselineVersion));
-      }
-      
-      // Last resort: any .tgz file
-      if (!packageFile) {
-        packageFile = files.find(f => f.endsWith('.tgz'));
-      }
-      
-      console.log(`📝 Selected package file: ${packageFile || 'none found'}`);
-      
-      if (packageFile) {
-        const actualPackagePath = require('path').join(tempDir, packageFile);
-        
-        // Extract it
-        const extractDir = require('path').join(tempDir, `extracted-package-${Date.now()}`);
-        execSync(`mkdir -p ${extractDir} && tar -xf ${actualPackagePath} -C ${extractDir} --strip-components=1`, { stdio: 'pipe' });
-        
-        // Read ABIs from the extracted package
-        const distPath = require('path').join(extractDir, 'dist');
-        if (require('fs').existsSync(distPath)) {
-          const files = require('fs').readdirSync(distPath);
-          files.forEach(file => {
-            if (file.endsWith('ABI.json')) {
-              try {
-                const contractName = file.replace('ABI.json', '');
-                const abiContent = require('fs').readFileSync(require('path').join(distPath, file), 'utf8');
-                previousABIs[contractName] = JSON.parse(abiContent);
-              } catch (e) {
-                // Skip invalid files
-              }
-            }
-          });
-        }
-        
-        console.log(`📝 Found ${Object.keys(previousABIs).length} contracts in baseline version`);
-        
-        // Cleanup
-        try {
-          require('fs').unlinkSync(actualPackagePath);
-          execSync(`rm -rf ${extractDir}`, { stdio: 'pipe' });
-        } catch (e) {
-          // Ignore cleanup errors
-        }
-        
-      } else {
-        console.log(`⚠️  Could not find package file for version ${baselineVersion}`);
+  let level = 'patch';
+  const reasons = [];
+  CHANGE_SECTIONS.forEach(([category, label]) => {
+    const { added, removed, modified } = change.changes[category];
+    removed.forEach(entry => {
+      level = maxBump(level, 'major');
+      reasons.push(`removed \`${entry.signature}\``);
+    });
+    modified.forEach(modification => {
+      level = maxBump(level, modification.impact);
+      if (modification.impact !== 'patch') {
+        reasons.push(`changed \`${modification.newSignature}\` (${modification.details.join('; ')})`);
       }
-      
-    } catch (e) {
-      console.log(`⚠️  Could not download baseline package v${baselineVersion}: ${e.message}`);
-      return {};
+    });
+    if (added.length > 0) {
+      level = maxBump(level, 'minor');
+      reasons.push(`added ${added.length} ${label}`);
     }
-    
-    return previousABIs;
-  } catch (e) {
-    console.log(`⚠️  Error getting previous ABIs: ${e.message}`);
-    return {};
-  }
+  });
+  return { level, reasons };
 };
 
-// Create dist directory
-const distDir = path.join(__dirname, 'dist');
-if (!fs.existsSync(distDir)) fs.mkdirSync(distDir);
+// Aggregate per-contract classifications into the recommended version bump
+const classifyChanges = (changes) => {
+  const contracts = {};
+  let recommendedBump = 'patch';
+  Object.entries(changes).forEach(([contract, change]) => {
+    contracts[contract] = classifyComparison(change);
+    recommendedBump = maxBump(recommendedBump, contracts[contract].level);
+  });
+  return { recommendedBump, contracts };
+};
 
-// Track successfully processed contracts and failures
-const successfulContracts = [];
-const failedContracts = [];
+// Whether going from baseline to version is allowed to carry breaking changes.
+// Like npm's caret ranges, 0.x versions treat a minor bump as breaking.
+const isBreakingBump = (baseline, version) => {
+  const from = parseVersion(baseline);
+  const to = parseVersion(version);
+  if (to.major !== from.major) return to.major > from.major;
+  return from.major === 0 && to.minor > from.minor;
+};
 
-CONTRACT_NAMES.forEach(contract => {
-  const mapping = contractMappings[contract];
-  if (!mapping) {
-    failedContracts.push({ contract, reason: 'No mapping found' });
-    console.error(`❌ Failed to process ${contract}: No mapping found`);
-    return;
-  }
-  
-  const contractPath = mapping.jsonPath;
-  
+// ABI snapshot committed next to this script ({ [ContractName]: abi }), written by `node cli.js snapshot`
+const SNAPSHOT_FILE = path.join(__dirname, 'abi-snapshot.json');
+
+// Storage layouts committed with it ({ [ContractName]: storageLayout })
+const STORAGE_SNAPSHOT_FILE = path.join(__dirname, 'storage-layout-snapshot.json');
+
+// Changelog history committed with it (the changes.json of the last build)
+const HISTORY_SNAPSHOT_FILE = path.join(__dirname, CHANGES_FILE);
+
+// Latest v* release tag in the current branch's history. Tags on HEAD itself are skipped:
+// when building a release, its own tag is not the baseline.
+const getBaselineTag = () => {
   try {
-    // Extract just the ABI
-    const contractData = JSON.parse(fs.readFileSync(contractPath, 'utf8'));
-    const abi = contractData.abi;
-    
-    // Save ABI to dist with ABI suffix
-    fs.writeFileSync(
-      path.join(distDir, `${contract}ABI.json`),
-      JSON.stringify(abi, null, 2)
-    );
-    
-    // Track successful contract
-    successfulContracts.push(contract);
-    
-    console.log(`✅ Extracted ABI for ${contract}ABI`);
+    const tags = execSync('git tag --merged HEAD --no-contains HEAD --list "v[0-9]*" --sort=-v:refname', {
+      cwd: __dirname,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    return tags.split('\n')[0] || null;
   } catch (e) {
-    // Track failed contract with simplified reason
-    const reason = e.code === 'ENOENT' ? 'Contract not found' : e.message;
-    failedContracts.push({ contract, reason });
-    console.error(`❌ Failed to process ${contract}: ${reason}`);
+    return null;
   }
-});
-
-// Save deployments
-fs.writeFileSync(
-  path.join(distDir, 'deployments.json'),
-  JSON.stringify(deployments, null, 2)
-);
-
-// Save build metadata
-const buildInfo = {
-  packageName,
-  packageVersion,
-  distTag,
-  gitCommit: gitMetadata.gitCommit,
-  gitCommitShort: gitMetadata.gitCommitShort
 };
 
-fs.writeFileSync(
-  path.join(distDir, 'build-info.json'),
-  JSON.stringify(buildInfo, null, 2)
-);
+// Find the latest published version in current branch's git history
+const getBaselineVersion = () => {
+  const tag = getBaselineTag();
+  return tag ? tag.slice(1) : '0.0.0'; // No tags in history = first version
+};
 
-// Generate TypeScript and JavaScript index files
-const generateIndexFile = () => {
-  const indexContent = `// Auto-generated exports for ${displayName} smart contracts
-${successfulContracts.map(contract => 
-  `export { default as ${contract}ABI } from './${contract}ABI.json';`
-).join('\n')}
+// First lines of npm/git/forge output name the problem (npm's last line is its log path)
+const commandFailure = e => (e.stderr && e.stderr.toString().trim().split('\n').slice(0, 2).join(' ')) || e.message;
 
-export { default as deployments } from './deployments.json';
-export { default as buildInfo } from './build-info.json';
+const makeTempDir = prefix => fs.mkdtempSync(path.join(require('os').tmpdir(), prefix));
 
-// Type definitions
-export interface Deployment {
-  [network: string]: {
-    [contractName: string]: string;
-  };
+// Read <Contract><suffix> files (ABI.json, StorageLayout.json) from an unpacked package (or its dist directory)
+const readPackageFiles = (packageDir, suffix) => {
+  const distPath = fs.existsSync(path.join(packageDir, 'dist')) ? path.join(packageDir, 'dist') : packageDir;
+  const contents = {};
+  fs.readdirSync(distPath)
+    .filter(file => file.endsWith(suffix))
+    .forEach(file => {
+      try {
+        contents[file.slice(0, -suffix.length)] = JSON.parse(fs.readFileSync(path.join(distPath, file), 'utf8'));
+      } catch (e) {
+        // Skip invalid files
+      }
+    });
+  return contents;
+};
+
+// Changelog history of an unpacked package (or its dist directory), null before changes.json was shipped
+const readPackageHistory = (packageDir) => {
+  const file = [path.join(packageDir, 'dist', CHANGES_FILE), path.join(packageDir, CHANGES_FILE)].find(candidate => fs.existsSync(candidate));
+  return file ? parseHistory(fs.readFileSync(file, 'utf8')) : null;
+};
+
+// ABIs, storage layouts and changelog history of an unpacked package
+const readPackageContracts = packageDir => ({
+  abis: readPackageFiles(packageDir, 'ABI.json'),
+  storageLayouts: readPackageFiles(packageDir, 'StorageLayout.json'),
+  history: readPackageHistory(packageDir)
+});
+
+const readPackageVersion = (packageDir) => {
+  const packageJsonPath = path.join(packageDir, 'package.json');
+  return fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).version : null;
+};
+
+const extractTarball = (tarball) => {
+  const extractDir = makeTempDir('abis-baseline-');
+  execFileSync('tar', ['-xzf', tarball, '-C', extractDir, '--strip-components=1'], { stdio: 'pipe' });
+  return extractDir;
+};
+
+// Download the published package of a version from the first registry that has it
+const packFromRegistries = (config, version, packDir) => {
+  let lastError = null;
+  const found = packageRegistries(config).some((registry) => {
+    try {
+      withRegistryAuth(registry, packageName, args => execFileSync('npm', ['pack', `${packageName}@${version}`, '--pack-destination', packDir, ...args], {
+        cwd: __dirname,
+        stdio: 'pipe',
+        timeout: NPM_TIMEOUT_MS
+      }));
+      return true;
+    } catch (e) {
+      lastError = e;
+      return false;
+    }
+  });
+  if (!found) {
+    throw lastError;
+  }
+};
+
+// Published package of the baseline version
+const loadRegistryBaseline = (config, version) => {
+  const packDir = makeTempDir('abis-pack-');
+  try {
+    packFromRegistries(config, version, packDir);
+
+    // @scope/name becomes scope-name-version.tgz
+    const expectedFilename = packageName.replace('@', '').replace('/', '-') + `-${version}.tgz`;
+    if (!fs.existsSync(path.join(packDir, expectedFilename))) {
+      throw new Error(`npm pack did not produce ${expectedFilename}`);
+    }
+
+    const extractDir = extractTarball(path.join(packDir, expectedFilename));
+    try {
+      return readPackageContracts(extractDir);
+    } finally {
+      fs.rmSync(extractDir, { recursive: true, force: true });
+    }
+  } finally {
+    fs.rmSync(packDir, { recursive: true, force: true });
+  }
+};
+
+// A snapshot file as committed at a tag, or null
+const readTagSnapshot = (tag, file) => {
+  try {
+    return JSON.parse(execFileSync('git', ['show', `${tag}:./${path.basename(file)}`], {
+      cwd: __dirname,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024
+    }));
+  } catch (e) {
+    return null;
+  }
+};
+
+// Changelog history of a tag: the changes.json committed at the tag (`node cli.js snapshot`),
+// otherwise the one of the package published for it. Releases tagged by the publish workflow
+// commit no snapshot, so without the fallback every CI release would restart the history.
+const loadTagHistory = (context, tag, { offline = false } = {}) => {
+  const committed = parseHistory(readTagSnapshot(tag, HISTORY_SNAPSHOT_FILE));
+  if (committed || offline) {
+    return committed;
+  }
+  try {
+    const { history } = loadRegistryBaseline(context.config, tag.slice(1));
+    if (history) {
+      console.log(`📝 Using the changelog history of the published ${tag.slice(1)} package`);
+    }
+    return history;
+  } catch (e) {
+    warn(context, 'changelog', `No changelog history committed at ${tag} and the published package could not be read: ${commandFailure(e)}`);
+    return null;
+  }
+};
+
+// The tag's committed snapshots, or its contracts compiled in a temporary worktree, with the
+// changelog history of the tag
+const loadGitBaseline = (context, tag, { offline = false } = {}) => {
+  const history = loadTagHistory(context, tag, { offline });
+  const snapshot = readTagSnapshot(tag, SNAPSHOT_FILE);
+  if (snapshot) {
+    console.log(`📝 Using the ABI snapshot committed at ${tag}`);
+    return { abis: snapshot, storageLayouts: readTagSnapshot(tag, STORAGE_SNAPSHOT_FILE) || {}, history };
+  }
+
+  const projectRoot = path.join(__dirname, '..');
+  const repoRoot = execFileSync('git', ['rev-parse', '--show-toplevel'], { cwd: __dirname, encoding: 'utf8' }).trim();
+  const worktreeParent = makeTempDir('abis-worktree-');
+  const worktree = path.join(worktreeParent, 'tree');
+  execFileSync('git', ['worktree', 'add', '--detach', worktree, tag], { cwd: __dirname, stdio: 'pipe' });
+
+  try {
+    const worktreeRoot = path.join(worktree, path.relative(repoRoot, projectRoot));
+
+    // Submodules are not checked out in a new worktree; reuse this checkout's libraries
+    const libDir = path.join(projectRoot, 'lib');
+    if (fs.existsSync(libDir)) {
+      fs.mkdirSync(path.join(worktreeRoot, 'lib'), { recursive: true });
+      fs.readdirSync(libDir).forEach(library => {
+        const target = path.join(worktreeRoot, 'lib', library);
+        if (fs.existsSync(target) && fs.readdirSync(target).length > 0) return;
+        fs.rmSync(target, { recursive: true, force: true });
+        fs.symlinkSync(path.join(libDir, library), target);
+      });
+    }
+
+    console.log(`📝 Compiling ${tag} in a temporary worktree`);
+    execSync('forge build', { cwd: worktreeRoot, stdio: 'pipe', timeout: 15 * 60 * 1000 });
+
+    // Warnings about the tag's sources are not this build's
+    const { validContracts, contractMappings } = resolveContractNames(createContext(context.config), worktreeRoot);
+    const abis = {};
+    const storageLayouts = {};
+    validContracts
+      .filter(contract => fs.existsSync(contractMappings[contract].jsonPath))
+      .forEach(contract => {
+        const contractData = JSON.parse(fs.readFileSync(contractMappings[contract].jsonPath, 'utf8'));
+        abis[contract] = contractData.abi;
+        const layout = extractStorageLayout(contractData);
+        if (layout) storageLayouts[contract] = layout;
+      });
+    return { abis, storageLayouts, history };
+  } finally {
+    execFileSync('git', ['worktree', 'remove', '--force', worktree], { cwd: __dirname, stdio: 'pipe' });
+    fs.rmSync(worktreeParent, { recursive: true, force: true });
+  }
+};
+
+// A package tarball, an unpacked package or dist directory, or an ABI snapshot file
+// (with the storage layout snapshot next to it, if there is one)
+const loadLocalBaseline = (target) => {
+  const readSnapshots = (abiSnapshot) => {
+    const storageSnapshot = path.join(path.dirname(abiSnapshot), path.basename(STORAGE_SNAPSHOT_FILE));
+    return {
+      abis: JSON.parse(fs.readFileSync(abiSnapshot, 'utf8')),
+      storageLayouts: fs.existsSync(storageSnapshot) ? JSON.parse(fs.readFileSync(storageSnapshot, 'utf8')) : {},
+      history: readPackageHistory(path.dirname(abiSnapshot))
+    };
+  };
+
+  if (target.endsWith('.json')) {
+    return { version: null, ...readSnapshots(target) };
+  }
+  if (fs.statSync(target).isDirectory()) {
+    const snapshot = path.join(target, path.basename(SNAPSHOT_FILE));
+    if (fs.existsSync(snapshot)) {
+      return { version: readPackageVersion(target), ...readSnapshots(snapshot) };
+    }
+    return { version: readPackageVersion(target), ...readPackageContracts(target) };
+  }
+
+  const extractDir = extractTarball(target);
+  try {
+    return { version: readPackageVersion(extractDir), ...readPackageContracts(extractDir) };
+  } finally {
+    fs.rmSync(extractDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Load the ABIs of the previous version for the changelog, from CHANGELOG_BASELINE:
+ * 'git' (last v* tag), 'registry' (its published package) or a local path.
+ * Git and registry problems are reported and yield no ABIs (STRICT_SEMVER then fails);
+ * an unreadable local path is an error.
+ * @param {object} buildConfig
+ * @param {{ warnings?: Array, offline?: boolean }} [options] warnings collects the problems, as for
+ *   resolveContracts(). offline only reads what is on disk (a local path or the snapshot committed at
+ *   the tag) and returns null when the baseline would have to be downloaded or compiled.
+ * @returns {{ version: string, label: string|null, abis: Object<string, Array>, storageLayouts: Object<string, object>,
+ *   history: Array|null }|null}
+ *   version is compared with the package version, label names the baseline in the changelog, history
+ *   lists the versions of the baseline's changes.json (null when it has none)
+ */
+const loadBaseline = (buildConfig, { warnings = [], offline = false } = {}) => {
+  const context = createContext(buildConfig, warnings);
+  const source = buildConfig.CHANGELOG_BASELINE || 'registry';
+
+  if (source !== 'git' && source !== 'registry') {
+    const target = path.resolve(__dirname, source);
+    const { version, abis, storageLayouts, history } = loadLocalBaseline(target);
+    const baseline = { version: version || getBaselineVersion(), label: path.relative(process.cwd(), target), abis, storageLayouts, history };
+    console.log(`📝 Comparing against ${baseline.label} (${Object.keys(abis).length} contracts)`);
+    return baseline;
+  }
+
+  const tag = getBaselineTag();
+  if (!tag) {
+    console.log('📝 No previous version found in git history, treating all contracts as new');
+    return { version: '0.0.0', label: null, abis: {}, storageLayouts: {}, history: null };
+  }
+
+  const version = tag.slice(1);
+  if (offline && (source === 'registry' || !readTagSnapshot(tag, SNAPSHOT_FILE))) {
+    console.log(`📝 Baseline ${tag} not loaded: it has to be ${source === 'registry' ? 'downloaded' : 'compiled'}`);
+    return null;
+  }
+  console.log(`📝 Comparing against baseline version ${version} (${source === 'git' ? `git tag ${tag}` : 'registry'})`);
+  try {
+    const { abis, storageLayouts, history } = source === 'git'
+      ? loadGitBaseline(context, tag, { offline })
+      : loadRegistryBaseline(buildConfig, version);
+    console.log(`📝 Found ${Object.keys(abis).length} contracts in baseline version`);
+    return { version, label: tag, abis, storageLayouts, history };
+  } catch (e) {
+    warn(context, 'changelog', `Could not load baseline ${tag} from ${source}: ${commandFailure(e)}`);
+    return { version, label: tag, abis: {}, storageLayouts: {}, history: null };
+  }
+};
+
+// <exportName>.ts (readonly `as const` literal) with its CommonJS (.js) and ES module (.mjs)
+// counterparts, keyed by file name. The matching .d.ts is emitted by tsc together with the
+// index declarations.
+const renderConstModule = (exportName, literal, comment, docComment = '') => ({
+  [`${exportName}.ts`]: `// ${comment}
+${docComment}export const ${exportName} = ${literal} as const;
+
+export default ${exportName};
+`,
+  [`${exportName}.js`]: `// ${comment}
+Object.defineProperty(exports, '__esModule', { value: true });
+${docComment}exports.${exportName} = ${literal};
+exports.default = exports.${exportName};
+`,
+  [`${exportName}.mjs`]: `// ${comment}
+${docComment}export const ${exportName} = ${literal};
+
+export default ${exportName};
+`
+});
+
+// The contract's NatSpec becomes the JSDoc of the export, shown on hover in editors
+const renderAbiModule = (contract, abi, natspec) => {
+  const docLines = [...contractJsDocLines(natspec.contract), `@see docs/${contract}.md for the API reference`];
+  return renderConstModule(`${contract}ABI`, JSON.stringify(abi, null, 2), `Auto-generated ABI for ${contract}`, `${formatJsDoc(docLines)}\n`);
+};
+
+// Chain ids are emitted as numeric keys so `keyof typeof deployments` is a union of numbers
+const renderDeploymentsModule = (deployments) => {
+  const chains = Object.entries(deployments).map(([chainId, chain]) =>
+    `  ${chainId}: ${JSON.stringify(chain, null, 2).replace(/\n/g, '\n  ')}`
+  );
+  const literal = chains.length > 0 ? `{\n${chains.join(',\n')}\n}` : '{}';
+  return renderConstModule('deployments', literal, 'Auto-generated deployment addresses keyed by chain id');
+};
+
+// build-info.json as a module. It changes with every commit, so its declaration is written here
+// instead of by tsc, which then only reruns when the ABIs or deployments change.
+const renderBuildInfoModule = (buildInfo) => {
+  const comment = `// Auto-generated build metadata for ${displayName} smart contracts`;
+  const literal = JSON.stringify(buildInfo, null, 2);
+  return {
+    'build-info.js': `${comment}
+Object.defineProperty(exports, '__esModule', { value: true });
+exports.buildInfo = ${literal};
+exports.default = exports.buildInfo;
+`,
+    'build-info.mjs': `${comment}
+export const buildInfo = ${literal};
+
+export default buildInfo;
+`,
+    'build-info.d.ts': `${comment}
+export type SemverLevel = 'major' | 'minor' | 'patch';
+
+export interface CompilerInfo {
+  readonly version: string;
+  readonly optimizer: { readonly enabled: boolean; readonly runs?: number };
+  readonly evmVersion?: string;
+  readonly viaIR: boolean;
+}
+
+export interface StorageLayoutChange {
+  readonly kind: 'added' | 'removed' | 'moved' | 'retyped' | 'replaced' | 'renamed' | 'gap';
+  readonly label: string;
+  readonly description: string;
+  readonly safe: boolean;
+}
+
+export interface BuildInfo {
+  readonly packageName: string;
+  readonly packageVersion: string;
+  readonly distTag: string;
+  readonly gitCommit: string;
+  readonly gitCommitShort: string;
+  /** ABI changes against the baseline version; null when the changelog is disabled */
+  readonly semver: {
+    readonly baselineVersion: string;
+    readonly recommendedBump: SemverLevel | null;
+    readonly contracts: Readonly<Record<string, { readonly level: SemverLevel; readonly reasons: readonly string[] }>>;
+  } | null;
+  /** Storage layout changes against the baseline version; null when the changelog is disabled */
+  readonly storageLayout: {
+    readonly contracts: Readonly<Record<string, { readonly unsafe: boolean; readonly changes: readonly StorageLayoutChange[] }>>;
+    /** Contracts whose changes would corrupt the state of an upgraded proxy */
+    readonly unsafe: readonly string[];
+    /** Contracts without a storage layout in their artifact */
+    readonly missing: readonly string[];
+    /** Contracts without a storage layout in the baseline */
+    readonly unchecked: readonly string[];
+  } | null;
+  /** Compiler settings by contract (INCLUDE_ARTIFACTS) */
+  readonly compilers?: Readonly<Record<string, CompilerInfo | null>>;
 }
 
-export type ContractABI = any[];
+export declare const buildInfo: BuildInfo;
+
+export default buildInfo;
+`
+  };
+};
+
+// Function selectors, event topics and error selectors keyed by canonical signature
+const buildSelectors = (abi) => {
+  const selectors = { functions: {}, events: {}, errors: {} };
+  abi.forEach(entry => {
+    const selector = abiEntrySelector(entry);
+    if (selector && ['function', 'event', 'error'].includes(entry.type)) {
+      selectors[ABI_CATEGORIES[entry.type]][canonicalSignature(entry)] = selector;
+    }
+  });
+  return selectors;
+};
+
+// Creation/runtime bytecode with link references (unlinked library placeholders are kept as-is)
+const extractArtifact = (contract, contractData) => {
+  const bytecode = contractData.bytecode || {};
+  const deployedBytecode = contractData.deployedBytecode || {};
+  if (!bytecode.object) {
+    throw new Error('artifact has no bytecode');
+  }
+
+  return {
+    contractName: contract,
+    bytecode: {
+      object: bytecode.object,
+      linkReferences: bytecode.linkReferences || {}
+    },
+    deployedBytecode: {
+      object: deployedBytecode.object,
+      linkReferences: deployedBytecode.linkReferences || {},
+      immutableReferences: deployedBytecode.immutableReferences || {}
+    },
+    methodIdentifiers: contractData.methodIdentifiers || {}
+  };
+};
+
+// solc metadata of an artifact (Foundry stores it parsed, other tools as a string)
+const parseMetadata = (contractData) => (typeof contractData.metadata === 'string'
+  ? JSON.parse(contractData.metadata)
+  : contractData.metadata || (contractData.rawMetadata ? JSON.parse(contractData.rawMetadata) : null));
+
+// Compiler version and settings from the artifact's solc metadata
+const extractCompilerInfo = (contractData) => {
+  const metadata = parseMetadata(contractData);
+  if (!metadata) {
+    return null;
+  }
+
+  const settings = metadata.settings || {};
+  const optimizer = settings.optimizer || {};
+  return {
+    version: (metadata.compiler || {}).version,
+    optimizer: {
+      enabled: Boolean(optimizer.enabled),
+      runs: optimizer.runs
+    },
+    evmVersion: settings.evmVersion,
+    viaIR: Boolean(settings.viaIR)
+  };
+};
+
+// userdoc/devdoc section holding the NatSpec of each ABI entry type
+const NATSPEC_SECTIONS = {
+  function: 'methods',
+  constructor: 'methods',
+  event: 'events',
+  error: 'errors'
+};
+
+// NatSpec of a contract from the artifact's userdoc/devdoc (or their copies in the metadata):
+// { contract: { title, author, notice, details }, entries: { [abiEntryKey]: { notice, details, params, returns } } }
+// params are keyed by parameter name, returns by output name or _<index> for unnamed outputs.
+const extractNatspec = (contractData, abi) => {
+  const output = (parseMetadata(contractData) || {}).output || {};
+  const userdoc = contractData.userdoc || output.userdoc || {};
+  const devdoc = contractData.devdoc || output.devdoc || {};
+  // Errors can be declared more than once, so solc lists their docs as arrays
+  const lookup = (doc, section, key) => {
+    const value = (doc[section] || {})[key];
+    return (Array.isArray(value) ? value[0] : value) || {};
+  };
+
+  const entries = {};
+  abi.filter(entry => NATSPEC_SECTIONS[entry.type]).forEach(entry => {
+    const section = NATSPEC_SECTIONS[entry.type];
+    const key = entry.type === 'constructor' ? 'constructor' : canonicalSignature(entry);
+    const user = lookup(userdoc, section, key);
+    let dev = lookup(devdoc, section, key);
+
+    // Getters of public state variables are documented under stateVariables
+    const variable = (devdoc.stateVariables || {})[entry.name];
+    if (entry.type === 'function' && Object.keys(dev).length === 0 && variable) {
+      dev = { details: variable.details, returns: variable.returns || (variable.return ? { _0: variable.return } : {}) };
+    }
+
+    const doc = { notice: user.notice, details: dev.details, params: dev.params || {}, returns: dev.returns || {} };
+    if (doc.notice || doc.details || Object.keys(doc.params).length > 0 || Object.keys(doc.returns).length > 0) {
+      entries[abiEntryKey(entry)] = doc;
+    }
+  });
+
+  return {
+    contract: { title: devdoc.title, author: devdoc.author, notice: userdoc.notice, details: devdoc.details },
+    entries
+  };
+};
+
+// JSDoc lines for an ABI entry: notice and details, then @param / @returns tags
+const natspecJsDocLines = (doc, entry) => {
+  if (!doc) {
+    return [];
+  }
+  const outputs = entry.outputs || [];
+  const returns = outputs
+    .map((output, i) => [output.name || `_${i}`, doc.returns[output.name || `_${i}`]])
+    .filter(([, text]) => text);
+  return [
+    ...[doc.notice, doc.details].filter(Boolean).flatMap((text, i) => (i > 0 ? ['', text] : [text])),
+    ...(entry.inputs || []).filter(input => doc.params[input.name]).map(input => `@param ${input.name} ${doc.params[input.name]}`),
+    ...(returns.length === 1 && outputs.length === 1
+      ? [`@returns ${returns[0][1]}`]
+      : returns.map(([name, text]) => `@returns ${name} ${text}`))
+  ];
+};
+
+// JSDoc lines for a contract: title, notice, details and author
+const contractJsDocLines = (about) => [
+  ...[about.title, about.notice, about.details].filter(Boolean).flatMap((text, i) => (i > 0 ? ['', text] : [text])),
+  ...(about.author ? [`@author ${about.author}`] : [])
+];
+
+// Markdown API reference of a contract: every function, event and error with its signature and NatSpec
+const renderApiReference = (contract, abi, natspec) => {
+  const about = natspec.contract;
+  const cell = text => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  const paramTable = (heading, params, descriptionOf) => {
+    if (params.length === 0) {
+      return '';
+    }
+    const rows = params.map((param, i) =>
+      `| ${param.name ? `\`${param.name}\`` : `_${i}`} | \`${canonicalType(param)}\` | ${cell(descriptionOf(param, i) || '')} |`
+    );
+    return `| ${heading} | Type | Description |\n|---|---|---|\n${rows.join('\n')}`;
+  };
+
+  const renderEntry = (entry) => {
+    const doc = natspec.entries[abiEntryKey(entry)] || { params: {}, returns: {} };
+    const selector = abiEntrySelector(entry);
+    return `${[
+      `### ${entry.name ? `\`${entry.name}\`` : entry.type}`,
+      `\`\`\`solidity\n${formatEntrySignature(entry)}\n\`\`\``,
+      doc.notice,
+      doc.details && `*${doc.details}*`,
+      paramTable('Parameter', entry.inputs || [], input => doc.params[input.name]),
+      paramTable('Returns', entry.outputs || [], (output, i) => doc.returns[output.name || `_${i}`]),
+      selector && `${entry.type === 'event' ? 'Topic' : 'Selector'}: \`${selector}\``
+    ].filter(Boolean).join('\n\n')}\n`;
+  };
+
+  const sections = [
+    ['Constructor', abi.filter(entry => ['constructor', 'fallback', 'receive'].includes(entry.type))],
+    ['Functions', abi.filter(entry => entry.type === 'function')],
+    ['Events', abi.filter(entry => entry.type === 'event')],
+    ['Errors', abi.filter(entry => entry.type === 'error')]
+  ]
+    .filter(([, entries]) => entries.length > 0)
+    .map(([heading, entries]) => `## ${heading}\n\n${entries.map(renderEntry).join('\n')}`);
+
+  const header = [
+    about.title && `*${about.title}*`,
+    about.notice,
+    about.details,
+    about.author && `**Author:** ${about.author}`
+  ].filter(Boolean);
+
+  return `# ${contract}
+
+${header.length > 0 ? `${header.join('\n\n')}\n\n` : ''}ABI: \`${contract}ABI\` · [Package README](../README.md)
+
+${sections.join('\n') || '*This contract has no ABI entries.*\n'}`;
+};
+
+// The runtime decoder, wired to every packaged ABI (decodeRevert / decodeLog)
+const renderDecoderModule = (successfulContracts) => {
+  const runtime = Object.fromEntries(['abi-decoder.js', 'abi-decoder.d.ts'].map(file =>
+    [file, fs.readFileSync(path.join(__dirname, 'runtime', file), 'utf8')]
+  ));
+
+  const jsContent = `// Auto-generated decoders for ${displayName} smart contracts
+const { createDecoder } = require('./abi-decoder.js');
+
+const abis = {
+${successfulContracts.map(contract => `  ${contract}: require('./${contract}ABI.json')`).join(',\n')}
+};
+
+const { decodeRevert, decodeLog } = createDecoder(abis, require('./selectors.json'));
+
+exports.decodeRevert = decodeRevert;
+exports.decodeLog = decodeLog;
+`;
+
+  // The runtime decoder stays CommonJS; ES modules import it as a default export
+  const mjsContent = `// Auto-generated decoders for ${displayName} smart contracts
+import abiDecoder from './abi-decoder.js';
+${successfulContracts.map(contract => `import { ${contract}ABI } from './${contract}ABI.mjs';`).join('\n')}
+import { selectors } from './selectors.mjs';
+
+const abis = {
+${successfulContracts.map(contract => `  ${contract}: ${contract}ABI`).join(',\n')}
+};
+
+export const { decodeRevert, decodeLog } = abiDecoder.createDecoder(abis, selectors);
 `;
 
-  // Write TypeScript file
-  fs.writeFileSync(path.join(distDir, 'index.ts'), indexContent);
+  const dtsContent = `// Auto-generated decoders for ${displayName} smart contracts
+import type { Decoder } from './abi-decoder';
+
+export type { DecodedRevert, DecodedLog, RawLog } from './abi-decoder';
+
+/** Decode revert data against Error(string), Panic(uint256) and every packaged custom error */
+export declare const decodeRevert: Decoder['decodeRevert'];
+
+/** Decode a raw log ({ topics, data }) against every packaged event */
+export declare const decodeLog: Decoder['decodeLog'];
+`;
+
+  return { ...runtime, 'decode.js': jsContent, 'decode.mjs': mjsContent, 'decode.d.ts': dtsContent };
+};
 
-  // Generate JavaScript file for Node.js compatibility
+// getDeployment() of index.ts, index.js and index.mjs ('ts', 'cjs' or 'esm'): one lookup over the
+// deployments and ABIs keyed by string, so the three entry points cannot drift apart. The
+// preamble goes right before the implementation: its doc comment, and in TypeScript the
+// overloads that type the lookup.
+const renderDeploymentLookup = (language, preamble) => {
+  const ts = language === 'ts';
+  const lookupTables = {
+    ts: `const chains = deployments as unknown as Readonly<Record<string, ChainDeployments>>;
+const abisByName = abis as Readonly<Record<string, ContractABI>>;`,
+    cjs: `const chains = exports.deployments;
+const abisByName = exports.abis;`,
+    esm: `const chains = deployments;
+const abisByName = abis;`
+  }[language];
+  const signature = {
+    ts: 'export function getDeployment(chainIdOrNetwork: number | string, contractName: string) {',
+    cjs: 'exports.getDeployment = function getDeployment(chainIdOrNetwork, contractName) {',
+    esm: 'export function getDeployment(chainIdOrNetwork, contractName) {'
+  }[language];
+
+  return `${lookupTables}
+
+const describeChain = (chain${ts ? ': ChainDeployments' : ''}) =>
+  chain.network ? \`\${chain.chainId} (\${chain.network})\` : String(chain.chainId);
+
+${preamble}
+${signature}
+  const chain = chains[chainIdOrNetwork] || Object.keys(chains).map(key => chains[key]).find(entry => entry.network === chainIdOrNetwork);
+  if (!chain) {
+    const known = Object.keys(chains).map(key => describeChain(chains[key])).join(', ') || 'none';
+    throw new Error(\`Unknown chain "\${chainIdOrNetwork}". Known chains: \${known}\`);
+  }
+
+  const deployment = chain.contracts[contractName];
+  if (!deployment) {
+    const known = Object.keys(chain.contracts).join(', ') || 'none';
+    throw new Error(\`No \${contractName} deployment on chain \${describeChain(chain)}. Deployed contracts: \${known}\`);
+  }
+
+  return { ...deployment, chainId: chain.chainId, abi: abisByName[contractName] };
+}${language === 'cjs' ? ';' : ''}
+`;
+};
+
+// Entry point of the package as TypeScript (for the declarations), CommonJS and ES module,
+// all with the same exports. Every value lives in its own module so bundlers can drop the
+// ones an app does not import.
+const renderIndexModule = (config, successfulContracts) => {
+  const abiMap = successfulContracts.map(contract => `  ${contract}: ${contract}ABI`).join(',\n');
+  const artifacts = config.INCLUDE_ARTIFACTS ? successfulContracts : [];
+
+  // Only chains (and contracts) that are in the deployments type-check; a plain number or
+  // string has to be narrowed first
+  const deploymentOverloads = `/**
+ * Look up a deployment by chain id (or network alias) and contract name.
+ * Returns the deployment record together with the matching ABI.
+ * Throws for unknown chains or contracts not deployed on that chain.
+ */
+export function getDeployment<C extends ChainId, N extends DeployedContractName<C>>(chainId: C, contractName: N): DeploymentWithABI<C, N>;
+export function getDeployment<A extends NetworkName, N extends DeployedContractName<ChainIdOf<A>>>(network: A, contractName: N): DeploymentWithABI<ChainIdOf<A>, N>;
+// A chain id or alias only known to be one the contract is deployed on, as the wrappers take it
+export function getDeployment<N extends ContractName>(chainIdOrNetwork: DeploymentTarget<N>, contractName: N): DeploymentRecord & { readonly chainId: ChainId; readonly abi: (typeof abis)[N] };`;
+
+  const indexContent = `// Auto-generated exports for ${displayName} smart contracts
+${successfulContracts.map(contract => 
+  `import { ${contract}ABI } from './${contract}ABI';`
+).join('\n')}
+import { deployments } from './deployments';
+
+${successfulContracts.length > 0 ? `export { ${successfulContracts.map(contract => `${contract}ABI`).join(', ')} };` : ''}
+export { deployments };
+export { buildInfo } from './build-info';
+export { selectors } from './selectors';
+export { decodeRevert, decodeLog } from './decode';
+${artifacts.map(contract => `export { ${contract}Artifact } from './${contract}Artifact';`).join('\n')}
+export type { BuildInfo } from './build-info';
+export type { DecodedRevert, DecodedLog, RawLog } from './decode';
+
+// ABIs by contract name
+export const abis = {
+${abiMap}
+} as const;
+
+// Type definitions
+export type ContractName = keyof typeof abis;
+export type ContractABI = (typeof abis)[ContractName];
+
+export type Deployments = typeof deployments;
+export type ChainId = keyof Deployments;
+export type NetworkName = { [C in ChainId]: Deployments[C] extends { network: infer N } ? N : never }[ChainId];
+export type DeployedContractName<C extends ChainId> = keyof Deployments[C]['contracts'] & string;
+export type ChainIdOf<A extends NetworkName> = { [C in ChainId]: Deployments[C] extends { network: A } ? C : never }[ChainId];
+// Chain ids and network aliases with a deployment of the contract
+export type DeploymentTarget<N extends string> = {
+  [C in ChainId]: N extends DeployedContractName<C> ? C | (Deployments[C] extends { network: infer A } ? A : never) : never
+}[ChainId];
+
+export interface DeploymentRecord {
+  readonly address: string;
+  readonly implementation?: string;
+  readonly blockNumber?: number;
+  readonly txHash?: string;
+}
+
+export type DeploymentWithABI<C extends ChainId, N extends DeployedContractName<C>> =
+  Deployments[C]['contracts'][N] & {
+    readonly chainId: C;
+    readonly abi: N extends ContractName ? (typeof abis)[N] : undefined;
+  };
+
+interface ChainDeployments {
+  readonly chainId: number;
+  readonly network?: string;
+  readonly contracts: Readonly<Record<string, DeploymentRecord>>;
+}
+
+${renderDeploymentLookup('ts', deploymentOverloads)}`;
+
+  // JavaScript counterpart for Node.js compatibility
   const jsContent = `// Auto-generated exports for ${displayName} smart contracts
 ${successfulContracts.map(contract => 
-  `exports.${contract}ABI = require('./${contract}ABI.json');`
+  `exports.${contract}ABI = require('./${contract}ABI.js').${contract}ABI;`
 ).join('\n')}
 
-exports.deployments = require('./deployments.json');
-`;
+exports.deployments = require('./deployments.js').deployments;
+exports.buildInfo = require('./build-info.js').buildInfo;
+exports.selectors = require('./selectors.js').selectors;
+exports.decodeRevert = require('./decode.js').decodeRevert;
+exports.decodeLog = require('./decode.js').decodeLog;
+${artifacts.map(contract => `exports.${contract}Artifact = require('./${contract}Artifact.js').${contract}Artifact;`).join('\n')}
+
+// ABIs by contract name
+exports.abis = {
+${successfulContracts.map(contract => `  ${contract}: exports.${contract}ABI`).join(',\n')}
+};
 
-  fs.writeFileSync(path.join(distDir, 'index.js'), jsContent);
+${renderDeploymentLookup('cjs', '// Look up a deployment by chain id (or network alias) and contract name, with its ABI')}`;
 
-  // Compile TypeScript for .d.ts files
-  try {
-    execSync('npx --package=typescript tsc index.ts --declaration --emitDeclarationOnly --resolveJsonModule --esModuleInterop --target ES2020 --module commonjs --outDir .', { 
-      cwd: distDir,
-      stdio: 'pipe'
-    });
-    console.log('✅ Generated TypeScript declarations');
-  } catch (e) {
-    console.warn('⚠️  TypeScript compilation failed:', e.message);
-    console.warn('Package will be published without .d.ts files');
-  }
+  const mjsContent = `// Auto-generated exports for ${displayName} smart contracts
+${successfulContracts.map(contract => `import { ${contract}ABI } from './${contract}ABI.mjs';`).join('\n')}
+import { deployments } from './deployments.mjs';
+
+${successfulContracts.length > 0 ? `export { ${successfulContracts.map(contract => `${contract}ABI`).join(', ')} };` : ''}
+export { deployments };
+export { buildInfo } from './build-info.mjs';
+export { selectors } from './selectors.mjs';
+export { decodeRevert, decodeLog } from './decode.mjs';
+${artifacts.map(contract => `export { ${contract}Artifact } from './${contract}Artifact.mjs';`).join('\n')}
+
+// ABIs by contract name
+export const abis = {
+${abiMap}
+};
+
+${renderDeploymentLookup('esm', '// Look up a deployment by chain id (or network alias) and contract name, with its ABI')}`;
+
+  return { 'index.ts': indexContent, 'index.js': jsContent, 'index.mjs': mjsContent };
+};
+
+// Entry points of the package: subpath -> module in dist/ (without extension)
+const packageEntryPoints = (config, successfulContracts) => ({
+  '.': 'index',
+  ...Object.fromEntries(successfulContracts.map(contract => [`./${contract}`, `${contract}ABI`])),
+  ...(config.INCLUDE_ARTIFACTS
+    ? Object.fromEntries(successfulContracts.map(contract => [`./${contract}/artifact`, `${contract}Artifact`]))
+    : {}),
+  './deployments': 'deployments',
+  './selectors': 'selectors',
+  './build-info': 'build-info',
+  './decode': 'decode',
+  ...Object.fromEntries((config.CONTRACT_WRAPPERS || []).map(library => [`./${library}`, library]))
+});
+
+// package.json fields of the entry points: an exports map with the declarations, ES module and
+// CommonJS module of every subpath, and typesVersions for TypeScript's legacy node resolution.
+// Raw files (JSON ABIs, API reference) stay reachable under <package>/dist/*.
+const renderPackageExports = (config, successfulContracts) => {
+  const entryPoints = Object.entries(packageEntryPoints(config, successfulContracts));
+  return {
+    main: 'dist/index.js',
+    module: 'dist/index.mjs',
+    types: 'dist/index.d.ts',
+    exports: {
+      ...Object.fromEntries(entryPoints.map(([subpath, module]) => [subpath, {
+        types: `./dist/${module}.d.ts`,
+        import: `./dist/${module}.mjs`,
+        require: `./dist/${module}.js`
+      }])),
+      './dist/*': './dist/*',
+      './package.json': './package.json'
+    },
+    typesVersions: {
+      '*': Object.fromEntries(entryPoints
+        .filter(([subpath]) => subpath !== '.')
+        .map(([subpath, module]) => [subpath.slice(2), [`dist/${module}.d.ts`]]))
+    },
+    // Generated modules only define values, so bundlers can drop every one that is not imported
+    sideEffects: false
+  };
+};
+
+// Typed ethers/viem factories for the selected CONTRACT_WRAPPERS (dist/<library>.js, .mjs and .d.ts)
+const renderWrapperModules = (config, abisByContract, docsByContract) => Object.assign({},
+  ...(config.CONTRACT_WRAPPERS || []).map(library => {
+    const { js, mjs, dts } = WRAPPER_RENDERERS[library](abisByContract, displayName, docsByContract);
+    return { [`${library}.js`]: js, [`${library}.mjs`]: mjs, [`${library}.d.ts`]: dts };
+  })
+);
+
+// Solidity interface of a contract for Foundry consumers, documented with its NatSpec (none
+// when its ABI uses types an interface cannot declare)
+const renderInterfaceFile = (contract, abi, natspec) => {
+  const source = renderSolidityInterface(contract, abi, {
+    contractDoc: natspec.contract,
+    docFor: entry => natspec.entries[abiEntryKey(entry)],
+    license: packageLicense
+  });
+  return source ? { [`interfaces/I${contract}.sol`]: source } : {};
 };
 
-// Generate README with contract info
-const generateReadme = (changelogContent = '') => {
-  const contractList = successfulContracts.map(contract => `- \`${contract}ABI\``).join('\n');
+// README with contract info, deployments, the changelog and usage examples
+const renderReadme = ({ successfulContracts, failedContracts, deployments, abisByContract = {}, packageVersion, distTag, changelogContent = '',
+  registries = resolveRegistries(undefined, packageJson), wrappers = [] }) => {
+  const contractList = successfulContracts.map(contract => `- \`${contract}ABI\` – [API reference](./docs/${contract}.md)`).join('\n');
   
-  const deploymentList = Object.entries(deployments)
-    .map(([network, contracts]) => {
-      const contractEntries = Object.entries(contracts)
-        .map(([name, address]) => `  - **${name}**: \`${address}\``)
+  const deploymentList = Object.values(deployments)
+    .map(chain => {
+      const contractEntries = Object.entries(chain.contracts)
+        .map(([name, deployment]) => {
+          const implementation = deployment.implementation ? ` (implementation \`${deployment.implementation}\`)` : '';
+          const block = deployment.blockNumber !== undefined ? ` – block ${deployment.blockNumber}` : '';
+          return `  - **${name}**: \`${deployment.address}\`${implementation}${block}`;
+        })
         .join('\n');
-      return `### ${network}\n${contractEntries}`;
+      const heading = chain.network ? `${chain.network} (chain ${chain.chainId})` : `Chain ${chain.chainId}`;
+      return `### ${heading}\n${contractEntries}`;
     })
     .join('\n\n');
 
+  // Use a real deployment for the usage example when there is one
+  const exampleChain = Object.values(deployments).find(chain => Object.keys(chain.contracts).length > 0);
+  const exampleChainId = exampleChain ? exampleChain.chainId : 11155111;
+  const exampleContract = exampleChain ? Object.keys(exampleChain.contracts)[0] : (successfulContracts[0] || 'Counter');
+
   const usageImports = successfulContracts.map(contract => `  ${contract}ABI`).join(',\n');
+
+  // Typed factories, called with a parameterless view function of the example contract when there is one
+  const exampleVariable = exampleContract.charAt(0).toLowerCase() + exampleContract.slice(1);
+  const exampleRead = (abisByContract[exampleContract] || []).find(entry =>
+    entry.type === 'function' && ['view', 'pure'].includes(entry.stateMutability) && (entry.inputs || []).length === 0
+  );
+  const wrapperExamples = {
+    ethers: `// ethers v6: typed methods and ${exampleVariable}.filters.<Event>(...)
+import { get${exampleContract} } from '${packageName}/ethers';
+const ${exampleVariable} = get${exampleContract}(provider, ${exampleChainId});${exampleRead ? `\nawait ${exampleVariable}.${exampleRead.name}();` : ''}`,
+    viem: `// viem: read / write / simulate / watchEvent inferred from the ABI
+import { get${exampleContract} } from '${packageName}/viem';
+const ${exampleVariable} = get${exampleContract}(publicClient, ${exampleChainId});${exampleRead ? `\nawait ${exampleVariable}.read.${exampleRead.name}();` : ''}`
+  };
+  const wrapperSection = wrappers.length > 0 ? `
+## Contract Wrappers
+
+\`get<Contract>(providerOrClient, chainIdOrNetwork)\` returns a typed contract at its deployment
+(\`get<Contract>At(address, ...)\` for any address). Install the library you use alongside this package.
+
+\`\`\`typescript
+${wrappers.map(library => wrapperExamples[library]).join('\n\n')}
+\`\`\`
+` : '';
   
   // Add failed contracts section if any failures occurred
   const failedContractsSection = failedContracts.length > 0 ? `
@@ -489,18 +1947,14 @@ ${failedContracts.map(({ contract, reason }) => `- \`${contract}\`: ${reason}`).
 
 ` : '';
 
-  const readmeContent = `# ${displayName} Smart Contracts ABI
+  return `# ${displayName} Smart Contracts ABI
 ## ${packageScope}
 
 Smart Contract ABIs and deployment addresses for ${displayName} protocol.
 
 ## Installation
 
-\`\`\`bash
-echo "${packageScope}:registry=https://npm.pkg.github.com" >> .npmrc
-echo "//npm.pkg.github.com/:_authToken={GITHUB_PAT_TOKEN}" >> .npmrc
-npm install ${packageName}@${distTag}
-\`\`\`
+${renderInstallInstructions(registries, packageName, `${packageName}@${distTag}`)}
 
 ## Alternative Installation Methods
 
@@ -523,175 +1977,715 @@ ${contractList}
 
 ${deploymentList}
 
-${failedContractsSection}${(() => {
-  if (!changelogContent) return '';
-  
-  // Count lines in changelog content
-  const changelogLines = changelogContent.split('\n').length;
-  
-  if (changelogLines <= 200) {
-    // Show full changelog inline exactly as it appears in CHANGELOG.md
-    return `${changelogContent}\n`;
-  } else {
-    // Truncate to first 180 lines to stay under 200 total
-    const lines = changelogContent.split('\n');
-    const truncated = lines.slice(0, 180).join('\n');
-    return `${truncated}\n\n... (changelog truncated - see CHANGELOG.md in package for complete history)\n`;
-  }
-})()}
-## Usage
+${failedContractsSection}${changelogContent ? `${changelogContent}\n` : ''}## Usage
 
 \`\`\`typescript
 import { 
 ${usageImports},
-  deployments 
+  deployments,
+  getDeployment 
 } from '${packageName}';
 
+// Address and ABI of a contract on a chain (also accepts the network alias).
+// Throws for chains or contracts without a deployment.
+const { address, abi } = getDeployment(${exampleChainId}, '${exampleContract}');
+
 // Example with ethers.js
-const contract = new ethers.Contract(
-  deployments["Testnet"].CounterCA,
-  CounterABI,
-  provider
-);
+const contract = new ethers.Contract(address, abi, provider);
+
+// Example with viem - ABIs are exported \`as const\`, so function names,
+// arguments and return types are inferred
+const value = await client.readContract({
+  address,
+  abi,
+  functionName: 'number'
+});
+
+// Raw deployment data: deployments[chainId].contracts[ContractName]
 \`\`\`
 
+The package ships CommonJS and ES modules with the same exports. Each contract is also its
+own entry point, so bundlers only include the ABIs you import:
+
+\`\`\`typescript
+import { ${exampleContract}ABI } from '${packageName}/${exampleContract}';
+import { deployments } from '${packageName}/deployments';
+\`\`\`
+
+Raw JSON ABIs remain available at \`${packageName}/dist/<Contract>ABI.json\`.
+
+## Solidity Interfaces
+
+Each contract also ships as a Solidity interface, \`dist/interfaces/I<Contract>.sol\`, for
+Foundry projects that call it. Install the package with npm and add a remapping:
+
+\`\`\`solidity
+// remappings.txt: ${packageName}/=node_modules/${packageName}/
+import { I${exampleContract} } from "${packageName}/dist/interfaces/I${exampleContract}.sol";
+\`\`\`
+${wrapperSection}
 ---
 
 *This package is automatically generated from the smart contract compilation artifacts.*
 `;
+};
+
+// Render the added/removed/modified lists of one contract comparison
+const renderChangeSections = (changes) => {
+  let markdown = '';
+  const summary = [];
+  const formatEntry = ({ signature, selector }) => `\`${signature}\`${selector ? ` (\`${selector}\`)` : ''}`;
+
+  CHANGE_SECTIONS.forEach(([category, label]) => {
+    const { added, removed, modified } = changes[category];
+
+    if (added.length > 0) {
+      markdown += `- **Added ${label}**:\n`;
+      added.forEach(entry => {
+        markdown += `  - ${formatEntry(entry)}\n`;
+      });
+      summary.push(`Added ${added.length} ${label}`);
+    }
+
+    if (removed.length > 0) {
+      markdown += `- **Removed ${label}**:\n`;
+      removed.forEach(entry => {
+        markdown += `  - ${formatEntry(entry)}\n`;
+      });
+      summary.push(`Removed ${removed.length} ${label}`);
+    }
 
-  fs.writeFileSync(path.join(distDir, 'README.md'), readmeContent);
+    if (modified.length > 0) {
+      markdown += `- **Modified ${label}**:\n`;
+      modified.forEach(modification => {
+        markdown += `  - \`${modification.oldSignature}\` → \`${modification.newSignature}\` (${modification.details.join('; ')})\n`;
+      });
+      summary.push(`Modified ${modified.length} ${label}`);
+    }
+  });
+
+  return { markdown, summary };
 };
 
-// Generate changelog if this is a release
-const generateChangelog = () => {
-  const previousABIs = getPreviousABIs();
-  const changes = {};
-  
-  successfulContracts.forEach(contract => {
-    const abiPath = path.join(distDir, `${contract}ABI.json`);
-    if (fs.existsSync(abiPath)) {
-      const currentABI = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-      const comparison = compareABIs(previousABIs[contract], currentABI, contract);
-      if (comparison.isNew || comparison.changes.added.length > 0 || 
-          comparison.changes.removed.length > 0 || comparison.changes.modified.length > 0) {
-        changes[contract] = comparison;
-      }
+/**
+ * Render the changelog of the current ABIs against the baseline (from loadBaseline()): the entry
+ * of this version, added to the baseline's history.
+ * @param {{ version: string, label: string|null, abis: Object<string, Array>, history?: Array|null }} baseline
+ * @param {object} changes per-contract comparisons from diffAbis()
+ * @param {object|null} storage storage layout comparison from diffStorageLayouts()
+ * @param {{ version?: string, date?: string, gitCommit?: string }} release the version being built
+ *   ('Unreleased' by default) and its date
+ * @returns {{ status: string, entry: object, history: object, changelog: string, changelogContent: string, semverImpact: object }}
+ *   status is 'changed', 'unchanged', 'initial' (no baseline) or 'unavailable' (baseline ABIs could not
+ *   be loaded); history is the changes.json content and changelog the CHANGELOG.md rendering it;
+ *   changelogContent is the section shown in the README
+ */
+const renderChangelog = (baseline, changes, storage = null, release = {}) => {
+  const previousABIs = baseline.abis;
+  const storageChanged = Boolean(storage) && Object.keys(storage.contracts).length > 0;
+  const hasBaseline = Object.keys(previousABIs).length > 0;
+
+  // Semver impact is only meaningful when there is a baseline to compare against
+  const semverImpact = hasBaseline
+    ? { baselineVersion: baseline.version, ...classifyChanges(changes) }
+    : { baselineVersion: baseline.version, recommendedBump: null, contracts: {} };
+
+  let status = 'unchanged';
+  if (!hasBaseline) {
+    status = baseline.label ? 'unavailable' : 'initial';
+  } else if (Object.keys(changes).length > 0 || storageChanged) {
+    status = 'changed';
+  }
+
+  const { version = 'Unreleased', date = new Date().toISOString().slice(0, 10), gitCommit } = release;
+  const entry = versionEntry({ version, date, gitCommit, baseline, status, changes, semverImpact, storage });
+  const history = mergeHistory(baseline.history, entry, packageName);
+
+  // The README shows this version; CHANGELOG.md has every version
+  const earlier = history.versions.length - 1;
+  const changelogContent = `## Changelog
+
+${renderVersionSection(entry, 3)}${earlier > 0 ? `\nSee \`CHANGELOG.md\` in the package for the ${earlier} earlier version${earlier === 1 ? '' : 's'}.\n` : ''}`;
+
+  return { status, entry, history, changelog: renderChangelogFile(history), changelogContent, semverImpact };
+};
+
+// Compare the extracted ABIs and storage layouts with the baseline version (loaded unless given) and render the changelog
+const generateChangelog = (context, abisByContract, storageLayouts, release, baseline = loadBaseline(context.config, { warnings: context.warnings })) => {
+  const storage = diffStorageLayouts(baseline.storageLayouts, storageLayouts, Object.keys(baseline.abis));
+  const rendered = renderChangelog(baseline, diffAbis(baseline.abis, abisByContract), storage, release);
+
+  const messages = {
+    changed: '📝 Generated changelog with ABI changes',
+    initial: '📝 No previous version available for comparison, showing as new package',
+    unchanged: '📝 No ABI changes detected'
+  };
+  if (rendered.status === 'unavailable') {
+    warn(context, 'changelog', `Baseline ${baseline.label} has no ABIs, changes could not be determined`);
+  } else {
+    console.log(messages[rendered.status]);
+  }
+  // Versions released before changes.json existed have none; that is expected, not a problem
+  if (baseline.label && !baseline.history) {
+    console.log(`📝 No changelog history found for ${baseline.label}, ${CHANGES_FILE} starts at this version`);
+  }
+  if (storage.unsafe.length > 0) {
+    warn(context, 'storage-layout', `Unsafe storage layout changes in ${storage.unsafe.join(', ')}`, storage.unsafe);
+  }
+  if (storage.unchecked.length > 0) {
+    warn(context, 'storage-unchecked', `No baseline storage layout for ${storage.unchecked.join(', ')}, upgrade safety not checked`, storage.unchecked);
+  }
+  return { ...rendered, storageImpact: storage };
+};
+
+// Why STRICT_SEMVER rejects this build (breaking ABI changes under a non-major version, or no
+// baseline to check against), as the lines of the error message. Empty when the version is fine.
+const checkSemver = (semverImpact, packageVersion) => {
+  if (!semverImpact) {
+    return ['❌ STRICT_SEMVER requires changelog generation (ALLOW_CHANGELOG=true)'];
+  }
+
+  const { baselineVersion, recommendedBump, contracts } = semverImpact;
+  if (recommendedBump === null) {
+    return baselineVersion !== '0.0.0'
+      ? [`❌ STRICT_SEMVER: could not load baseline ABIs for v${baselineVersion}, unable to verify version bump`]
+      : [];
+  }
+
+  if (recommendedBump === 'major' && !isBreakingBump(baselineVersion, packageVersion)) {
+    return [
+      `❌ Breaking ABI changes cannot be published as ${packageVersion} (baseline ${baselineVersion}):`,
+      ...Object.entries(contracts)
+        .filter(([, classification]) => classification.level === 'major')
+        .map(([contract, classification]) => `   - ${contract}: ${classification.reasons.join(', ')}`),
+      '   Bump the major version (minor for 0.x) or disable STRICT_SEMVER.'
+    ];
+  }
+  return [];
+};
+
+// Why STRICT_SEMVER rejects the storage layout changes (variables an upgraded proxy would read
+// from the wrong slot), as the lines of the error message. Empty when every upgrade is safe.
+const checkStorageLayout = (storageImpact) => {
+  if (!storageImpact || storageImpact.unsafe.length === 0) {
+    return [];
+  }
+  return [
+    '❌ Unsafe storage layout changes against the baseline:',
+    ...storageImpact.unsafe.flatMap(contract => storageImpact.contracts[contract].changes
+      .filter(entry => !entry.safe)
+      .map(entry => `   - ${contract}: ${entry.kind} ${entry.description.replace(/`/g, '')}`)),
+    '   Keep existing variables in place (append new ones or use a __gap) or disable STRICT_SEMVER.'
+  ];
+};
+
+/**
+ * Read the ABI, NatSpec and selectors of each contract from its Foundry artifact, plus the
+ * storage layout (null when the artifact has none), and the bytecode and compiler settings with
+ * INCLUDE_ARTIFACTS. Contracts that cannot be read are reported in failedContracts.
+ * durationMs is the time it took to read each contract.
+ * @param {string[]} contracts
+ * @param {object} contractMappings from resolveContracts()
+ * @param {object} [buildConfig] INCLUDE_ARTIFACTS is read from it
+ * @returns {{ contracts: Object<string, { abi: Array, natspec: object, selectors: object, storageLayout: object|null,
+ *   source: string|null, artifactHash: string, durationMs: number, artifact?: object, compiler?: object|null }>,
+ *   failedContracts: Array<{ contract: string, reason: string, durationMs: number }> }}
+ */
+const extractAbis = (contracts, contractMappings, buildConfig = {}) => {
+  const extracted = {};
+  const failedContracts = [];
+
+  contracts.forEach(contract => {
+    const started = Date.now();
+    const mapping = contractMappings[contract];
+    if (!mapping) {
+      failedContracts.push({ contract, reason: 'No mapping found', durationMs: 0 });
+      console.error(`❌ Failed to process ${contract}: No mapping found`);
+      return;
+    }
+
+    try {
+      const artifactContent = fs.readFileSync(mapping.jsonPath);
+      const contractData = JSON.parse(artifactContent);
+      const abi = contractData.abi;
+      extracted[contract] = {
+        abi,
+        natspec: extractNatspec(contractData, abi),
+        selectors: buildSelectors(abi),
+        storageLayout: extractStorageLayout(contractData),
+        source: mapping.sourcePath || null,
+        artifactHash: sha256(artifactContent),
+        ...(buildConfig.INCLUDE_ARTIFACTS
+          ? { artifact: extractArtifact(contract, contractData), compiler: extractCompilerInfo(contractData) }
+          : {})
+      };
+      extracted[contract].durationMs = Date.now() - started;
+    } catch (e) {
+      // Track failed contract with simplified reason
+      const reason = e.code === 'ENOENT' ? 'Contract not found' : e.message;
+      failedContracts.push({ contract, reason, durationMs: Date.now() - started });
+      console.error(`❌ Failed to process ${contract}: ${reason}`);
     }
   });
 
-  // Check for removed contracts
-  Object.keys(previousABIs).forEach(contract => {
-    if (!successfulContracts.includes(contract)) {
-      changes[contract] = { isRemoved: true };
+  return { contracts: extracted, failedContracts };
+};
+
+// Previous build's files of a contract, when its artifact and the generator are unchanged
+// and the files were not modified since
+const reusableFiles = (previousManifest, generator, contract, artifactHash) => {
+  const previous = previousManifest.contracts[contract];
+  if (previousManifest.generator !== generator || !previous || previous.artifact !== artifactHash) {
+    return null;
+  }
+  const files = Object.fromEntries(previous.files.map(file => [file, readDistFile(file)]));
+  const intact = previous.files.every(file => files[file] && previousManifest.files[file] === sha256(files[file]));
+  return intact ? files : null;
+};
+
+// .d.ts files tsc emits for the TypeScript modules of a build
+const declarationFiles = files => Object.keys(files).filter(isTypeScriptModule).map(file => file.replace(/\.ts$/, '.d.ts'));
+
+/**
+ * Plan a build without writing anything: the branch version, the stamped package.json and the
+ * content of every dist/ file except the .d.ts declarations, which tsc emits in writeBuild().
+ * Only reads the artifacts, the previous dist/, git and the changelog baseline.
+ * @returns {object} { errors, warnings } alone when the configuration is invalid, otherwise also
+ *   { semverErrors, branch, packageVersion, distTag, gitMetadata, packageJson, files, contracts,
+ *   successfulContracts, rebuiltContracts, failedContracts, origins, semverImpact, storageImpact, generator,
+ *   timings }. files maps paths relative to dist/ to their content, contracts is the manifest entry of each
+ *   packaged contract; rebuiltContracts are those whose files could not be reused from the previous build.
+ *   origins has the kind, source and artifact path of every selected contract, warnings the
+ *   { kind, contracts?, message } of each warning (writeBuild() adds its own) and timings the
+ *   milliseconds each step and each contract took. changelogSkipped is set when no baseline was given.
+ * @param {object} buildConfig
+ * @param {{ baseline?: object|null }} [options] baseline from loadBaseline(), loaded when undefined;
+ *   null skips the changelog and the STRICT_SEMVER checks (for plans that are not written)
+ */
+const planBuild = (buildConfig, { baseline } = {}) => {
+  const context = createContext(buildConfig);
+  const { config } = context;
+  const started = Date.now();
+
+  // The package.json version with the branch suffix and dist tag, as `cli.js release` stamps it
+  const currentBranch = getCurrentBranch();
+  const { version: packageVersion, distTag } = branchVersion(packageJson.version, currentBranch);
+
+  // Get git metadata
+  const gitMetadata = getGitMetadata(context);
+
+  // Validate the configuration before anything is planned
+  const { contracts, contractMappings, deployments, errors } = resolveContracts(config, context);
+  if (errors.length > 0) {
+    return { errors, warnings: context.warnings };
+  }
+  const timings = { resolveMs: Date.now() - started, contracts: {} };
+
+  console.log(`📦 Building package version: ${packageVersion} (${currentBranch ? `branch: ${currentBranch}` : 'detached HEAD'})`);
+  console.log(`🏷️  Dist tag: ${distTag}`);
+  console.log(`🔗 Git commit: ${gitMetadata.gitCommitShort}`);
+
+  // package.json with the new version and git metadata
+  const updatedPackageJson = { 
+    ...packageJson, 
+    version: packageVersion,
+    gitMetadata: {
+      commit: gitMetadata.gitCommit,
+      commitShort: gitMetadata.gitCommitShort
     }
+  };
+
+  // The wrapper libraries are optional peers: only consumers of dist/<library> need them
+  const wrappers = config.CONTRACT_WRAPPERS || [];
+  delete updatedPackageJson.peerDependencies;
+  delete updatedPackageJson.peerDependenciesMeta;
+  if (wrappers.length > 0) {
+    updatedPackageJson.peerDependencies = Object.fromEntries(wrappers.map(library => [library, PEER_DEPENDENCIES[library]]));
+    updatedPackageJson.peerDependenciesMeta = Object.fromEntries(wrappers.map(library => [library, { optional: true }]));
+  }
+
+  const extractStarted = Date.now();
+  const { contracts: extracted, failedContracts } = extractAbis(contracts, contractMappings, config);
+  timings.extractMs = Date.now() - extractStarted;
+  failedContracts.forEach(({ contract, durationMs }) => {
+    timings.contracts[contract] = durationMs;
   });
+  const successfulContracts = contracts.filter(contract => extracted[contract]);
+  Object.assign(updatedPackageJson, renderPackageExports(config, successfulContracts));
+
+  // Contracts whose artifact and generator are unchanged since the previous build keep their files
+  const previousManifest = readManifest();
+  const generator = generatorHash(config);
+  const files = {};
+  const manifestContracts = {};
+  const selectorsByContract = {};
+  const abisByContract = {};
+  const docsByContract = {};
+  const storageLayouts = {};
+  const compilerInfo = {};
+  const rebuiltContracts = [];
+  const generateStarted = Date.now();
 
-  let changelogContent = '';
-  
-  // Only generate changelog if we successfully got previous ABIs
-  if (Object.keys(previousABIs).length > 0 && Object.keys(changes).length > 0) {
-    // Get the baseline version for the changelog header
-    const getBaselineVersion = () => {
-      try {
-        const latestTag = execSync('git tag --merged HEAD | sort -V | tail -1', { encoding: 'utf8' }).trim();
-        return latestTag || 'initial';
-      } catch (e) {
-        return 'initial';
-      }
+  successfulContracts.forEach(contract => {
+    const contractStarted = Date.now();
+    const { abi, natspec, selectors, storageLayout, source, artifactHash, artifact, compiler } = extracted[contract];
+    const reused = reusableFiles(previousManifest, generator, contract, artifactHash);
+    if (!reused) {
+      rebuiltContracts.push(contract);
+    }
+    const contractFiles = reused || {
+      // The ABI as JSON and as a typed module so viem/wagmi can infer from it, documented
+      // with the contract's NatSpec, plus a markdown API reference
+      [`${contract}ABI.json`]: JSON.stringify(abi, null, 2),
+      ...renderAbiModule(contract, abi, natspec),
+      [`docs/${contract}.md`]: renderApiReference(contract, abi, natspec),
+
+      // The same ABI as a Solidity interface for other Foundry projects
+      ...renderInterfaceFile(contract, abi, natspec),
+
+      // Selectors / topics for tooling that works with raw calldata and logs
+      [`${contract}Selectors.json`]: JSON.stringify(selectors, null, 2),
+
+      // Storage layout for checking proxy upgrades
+      ...(storageLayout ? { [`${contract}StorageLayout.json`]: JSON.stringify(storageLayout, null, 2) } : {}),
+
+      // Opt-in: bytecode for deploying the contracts
+      ...(config.INCLUDE_ARTIFACTS ? {
+        [`${contract}Artifact.json`]: JSON.stringify(artifact, null, 2),
+        ...renderConstModule(`${contract}Artifact`, JSON.stringify(artifact, null, 2), `Auto-generated deployment artifact for ${contract}`)
+      } : {})
+    };
+    Object.assign(files, contractFiles);
+    if (!contractFiles[`interfaces/I${contract}.sol`]) {
+      warn(context, 'interface', `No Solidity interface for ${contract}: its ABI uses types an interface cannot declare`, [contract]);
+    }
+    manifestContracts[contract] = {
+      source,
+      artifact: artifactHash,
+      abi: sha256(files[`${contract}ABI.json`]),
+      files: Object.keys(contractFiles)
     };
 
-    const baselineVersion = getBaselineVersion();
-    let changelog = `# Changelog\n\n## Changes since ${baselineVersion}\n\n`;
-    let readmeChangelog = `### Changes since ${baselineVersion}\n\n`;
-    
-    Object.entries(changes).forEach(([contract, change]) => {
-      if (change.isRemoved) {
-        changelog += `### ❌ ${contract}\n- **Contract removed**\n\n`;
-        readmeChangelog += `- **${contract}**: Contract removed\n`;
-      } else if (change.isNew) {
-        changelog += `### ✨ ${contract} (New Contract)\n`;
-        readmeChangelog += `- **${contract}**: New contract added`;
-        if (change.changes.added.length > 0) {
-          changelog += `- **Added functions**:\n`;
-          change.changes.added.forEach(signature => {
-            changelog += `  - \`${signature}\`\n`;
-          });
-          readmeChangelog += ` with ${change.changes.added.length} functions`;
-        }
-        changelog += '\n';
-        readmeChangelog += '\n';
-      } else {
-        changelog += `### 🔄 ${contract}\n`;
-        readmeChangelog += `- **${contract}**: `;
-        const changeTypes = [];
-        
-        if (change.changes.added.length > 0) {
-          changelog += `- **Added functions**:\n`;
-          change.changes.added.forEach(signature => {
-            changelog += `  - \`${signature}\`\n`;
-          });
-          changeTypes.push(`Added ${change.changes.added.length} functions`);
-        }
-        
-        if (change.changes.removed.length > 0) {
-          changelog += `- **Removed functions**:\n`;
-          change.changes.removed.forEach(signature => {
-            changelog += `  - \`${signature}\`\n`;
-          });
-          changeTypes.push(`Removed ${change.changes.removed.length} functions`);
-        }
-        
-        if (change.changes.modified.length > 0) {
-          changelog += `- **Modified functions**:\n`;
-          change.changes.modified.forEach(modification => {
-            changelog += `  - \`${modification.oldSignature}\` → \`${modification.newSignature}\`\n`;
-          });
-          changeTypes.push(`Modified ${change.changes.modified.length} functions`);
-        }
-        
-        readmeChangelog += changeTypes.join('; ') + '\n';
-        changelog += '\n';
+    // Opt-in: compiler settings for auditing
+    if (config.INCLUDE_ARTIFACTS) {
+      compilerInfo[contract] = compiler;
+      if (!compiler) {
+        warn(context, 'artifact', `No compiler metadata in the ${contract} artifact`, [contract]);
       }
-    });
+    }
 
-    fs.writeFileSync(path.join(distDir, 'CHANGELOG.md'), changelog);
-    
-    // Return the exact same detailed changelog for README
-    changelogContent = changelog;
-    console.log('📝 Generated changelog with ABI changes');
-  } else if (Object.keys(previousABIs).length === 0) {
-    console.log('📝 No previous version available for comparison, showing as new package');
-    changelogContent = '# Changelog\n\n## Initial Release\n\nThis is the first version of this package. All contracts are new.';
-  } else {
-    console.log('📝 No ABI changes detected');
-    // Get the baseline version for the changelog header
-    const getBaselineVersion = () => {
-      try {
-        const latestTag = execSync('git tag --merged HEAD | sort -V | tail -1', { encoding: 'utf8' }).trim();
-        return latestTag || 'previous version';
-      } catch (e) {
-        return 'previous version';
-      }
+    // Without a layout the upgrade safety of the contract cannot be checked
+    storageLayouts[contract] = storageLayout;
+    if (!storageLayout) {
+      warn(context, 'storage-unchecked', `No storage layout in the ${contract} artifact (add "storageLayout" to extra_output in foundry.toml)`, [contract]);
+    }
+
+    selectorsByContract[contract] = selectors;
+    abisByContract[contract] = abi;
+    docsByContract[contract] = {
+      contract: contractJsDocLines(natspec.contract),
+      entries: Object.fromEntries(abi.filter(entry => natspec.entries[abiEntryKey(entry)])
+        .map(entry => [abiEntryKey(entry), natspecJsDocLines(natspec.entries[abiEntryKey(entry)], entry)]))
     };
-    
-    const baselineVersion = getBaselineVersion();
-    changelogContent = `# Changelog\n\n## Changes since ${baselineVersion}\n\nNo changes detected - all contracts remain unchanged.`;
+
+    console.log(reused ? `✅ ${contract}ABI is unchanged` : `✅ Extracted ABI for ${contract}ABI`);
+    timings.contracts[contract] = extracted[contract].durationMs + (Date.now() - contractStarted);
+  });
+  timings.generateMs = Date.now() - generateStarted;
+
+  // Selectors of all contracts and the decoders built on them, and the deployments
+  Object.assign(files, {
+    'selectors.json': JSON.stringify(selectorsByContract, null, 2),
+    ...renderConstModule('selectors', JSON.stringify(selectorsByContract, null, 2), 'Auto-generated selectors and event topics by contract'),
+    ...renderDecoderModule(successfulContracts),
+    'deployments.json': JSON.stringify(deployments, null, 2),
+    ...renderDeploymentsModule(deployments)
+  });
+
+  const release = { version: packageVersion, date: gitMetadata.gitCommitDate, gitCommit: gitMetadata.gitCommit };
+  const changelogStarted = Date.now();
+  const changelogSkipped = Boolean(config.ALLOW_CHANGELOG) && baseline === null;
+  const { changelog, history, changelogContent, semverImpact, storageImpact } = config.ALLOW_CHANGELOG && !changelogSkipped
+    ? generateChangelog(context, abisByContract, storageLayouts, release, baseline)
+    : (() => {
+      console.log(changelogSkipped
+        ? '📝 Changelog skipped: no baseline was loaded'
+        : '📝 Changelog generation disabled (ALLOW_CHANGELOG=false)');
+      return { changelog: null, history: null, changelogContent: '', semverImpact: null, storageImpact: null };
+    })();
+  if (changelog) {
+    files['CHANGELOG.md'] = changelog;
+    files[CHANGES_FILE] = JSON.stringify(history, null, 2);
   }
-  
-  return changelogContent;
+  timings.changelogMs = Date.now() - changelogStarted;
+
+  if (semverImpact && semverImpact.recommendedBump) {
+    console.log(`📐 Recommended version bump: ${semverImpact.recommendedBump} (baseline ${semverImpact.baselineVersion})`);
+  }
+
+  // Build metadata
+  const buildInfo = {
+    packageName,
+    packageVersion,
+    distTag,
+    gitCommit: gitMetadata.gitCommit,
+    gitCommitShort: gitMetadata.gitCommitShort,
+    semver: semverImpact,
+    storageLayout: storageImpact,
+    ...(config.INCLUDE_ARTIFACTS ? { compilers: compilerInfo } : {})
+  };
+
+  Object.assign(files, {
+    'build-info.json': JSON.stringify(buildInfo, null, 2),
+    ...renderBuildInfoModule(buildInfo),
+    ...renderIndexModule(config, successfulContracts),
+    ...renderWrapperModules(config, abisByContract, docsByContract),
+    'README.md': renderReadme({
+      successfulContracts, failedContracts, deployments, abisByContract, packageVersion, distTag, changelogContent,
+      registries: packageRegistries(config), wrappers
+    })
+  });
+  wrappers.forEach(library => console.log(`✅ Generated ${library} contract wrappers`));
+
+  return {
+    errors: [],
+    semverErrors: config.STRICT_SEMVER && !changelogSkipped
+      ? [...checkSemver(semverImpact, packageVersion), ...checkStorageLayout(storageImpact)]
+      : [],
+    branch: currentBranch,
+    packageVersion,
+    distTag,
+    gitMetadata,
+    packageJson: updatedPackageJson,
+    files,
+    contracts: manifestContracts,
+    successfulContracts,
+    rebuiltContracts,
+    failedContracts,
+    origins: Object.fromEntries(contracts.map(contract => {
+      const mapping = contractMappings[contract] || {};
+      return [contract, {
+        kind: mapping.kind || null,
+        source: mapping.sourcePath || null,
+        artifact: mapping.jsonPath ? path.relative(path.join(__dirname, '..'), mapping.jsonPath) : null
+      }];
+    })),
+    semverImpact,
+    storageImpact,
+    generator,
+    changelogSkipped,
+    warnings: context.warnings,
+    timings: { ...timings, planMs: Date.now() - started }
+  };
 };
 
-generateIndexFile();
-const changelogContent = config.ALLOW_CHANGELOG ? generateChangelog() : (() => {
-  console.log('📝 Changelog generation disabled (ALLOW_CHANGELOG=false)');
-  return '';
-})();
-generateReadme(changelogContent);
+/**
+ * What applying a plan would change: the package.json fields it stamps, and the dist/ files
+ * it adds, rewrites, leaves alone or removes. declarations are emitted by tsc. When the plan
+ * skipped the changelog, the changelog files are not listed as removed.
+ * @returns {{ packageJson: string[], added: string[], changed: string[], unchanged: string[], removed: string[], declarations: string[] }}
+ */
+const diffPlan = (plan) => {
+  const changes = {
+    packageJson: Object.keys({ ...packageJson, ...plan.packageJson })
+      .filter(field => JSON.stringify(packageJson[field]) !== JSON.stringify(plan.packageJson[field])),
+    added: [],
+    changed: [],
+    unchanged: [],
+    removed: [],
+    declarations: declarationFiles(plan.files)
+  };
+
+  Object.entries(plan.files).forEach(([file, content]) => {
+    const existing = readDistFile(file);
+    if (!existing) changes.added.push(file);
+    else if (sha256(existing) === sha256(content)) changes.unchanged.push(file);
+    else changes.changed.push(file);
+  });
+  const changelogFiles = plan.changelogSkipped ? ['CHANGELOG.md', CHANGES_FILE] : [];
+  changes.removed = findStaleFiles(new Set([...Object.keys(plan.files), ...changes.declarations, ...changelogFiles]));
+  return changes;
+};
 
-console.log('🚀 Build completed!');
-console.log('');
-console.log('📋 Next steps:');
-console.log(`   npm publish --tag ${distTag}  # To publish this package`);
-console.log(`   npm install ${packageName}@${distTag}  # To install this version`);
+/**
+ * Apply a plan from planBuild(): stamp package.json, write the dist/ files whose content changed,
+ * emit the TypeScript declarations, remove stale files and record the manifest.
+ * A failed tsc run is added to the plan's warnings.
+ * @returns {{ writeMs: number, typescriptMs: number }} how long writing and tsc took
+ */
+const writeBuild = (plan) => {
+  const started = Date.now();
+  let typescriptMs = 0;
+  writePackageJson(plan.packageJson);
+
+  // Hashes of every file of this build; a rewritten TypeScript module makes the declarations stale
+  const fileHashes = {};
+  let declarationsStale = false;
+  Object.entries(plan.files).forEach(([file, content]) => {
+    fileHashes[file] = sha256(content);
+    if (writeDistFile(file, content) && isTypeScriptModule(file)) {
+      declarationsStale = true;
+    }
+  });
+
+  // Compile TypeScript for .d.ts files, unless no TypeScript source changed since they were emitted
+  const declarations = declarationFiles(plan.files);
+  if (!declarationsStale && declarations.every(file => readDistFile(file))) {
+    console.log('✅ TypeScript declarations are up to date');
+  } else {
+    const typescriptStarted = Date.now();
+    try {
+      // The typescript devDependency, run with this node: npx could stop to download a compiler
+      const tsc = require.resolve('typescript/bin/tsc');
+      execFileSync(process.execPath, [
+        tsc, 'index.ts', '--declaration', '--emitDeclarationOnly', '--esModuleInterop', '--target', 'ES2020', '--module', 'commonjs', '--outDir', '.'
+      ], { cwd: distDir, stdio: 'pipe', timeout: TSC_TIMEOUT_MS });
+      console.log('✅ Generated TypeScript declarations');
+    } catch (e) {
+      // tsc reports its errors on stdout; the message of a failed run only names the command
+      const output = [e.stdout, e.stderr].map(stream => String(stream || '').trim()).find(Boolean);
+      const reason = e.code === 'MODULE_NOT_FOUND'
+        ? 'typescript is not installed (run npm install in abis-package)'
+        : e.code === 'ETIMEDOUT'
+          ? `tsc did not finish within ${TSC_TIMEOUT_MS / 1000}s`
+          : (output || e.message).split('\n')[0];
+      warn(plan, 'typescript', `TypeScript compilation failed: ${reason}`);
+      console.warn('Package will be published without .d.ts files');
+    }
+    typescriptMs = Date.now() - typescriptStarted;
+  }
+  declarations.forEach(file => {
+    const content = readDistFile(file);
+    if (content) fileHashes[file] = sha256(content);
+  });
+
+  // Drop files no longer generated (renamed or deleted contracts) and record what was built
+  const staleFiles = pruneDist(new Set(Object.keys(fileHashes)));
+  if (staleFiles.length > 0) {
+    console.log(`🧹 Removed ${staleFiles.length} stale file${staleFiles.length === 1 ? '' : 's'}: ${staleFiles.join(', ')}`);
+  }
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    packageName,
+    packageVersion: plan.packageVersion,
+    algorithm: 'sha256',
+    generator: plan.generator,
+    contracts: plan.contracts,
+    files: Object.fromEntries(Object.keys(fileHashes).sort().map(file => [file, fileHashes[file]]))
+  };
+  fs.writeFileSync(path.join(distDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+  return { writeMs: Date.now() - started - typescriptMs, typescriptMs };
+};
 
+// Print what a dry run would have written
+const reportPlanChanges = (changes, changelogSkipped) => {
+  console.log('🔍 Dry run: nothing was written');
+  if (changelogSkipped) {
+    console.log('📝 The changelog was not compared: the baseline is only loaded from disk for dry runs (README.md lacks its changelog section)');
+  }
+  console.log(`📝 package.json: ${changes.packageJson.length > 0 ? `would update ${changes.packageJson.join(', ')}` : 'unchanged'}`);
+  [['added', '+'], ['changed', '~'], ['removed', '-']].forEach(([status, marker]) => {
+    changes[status].forEach(file => console.log(`   ${marker} dist/${file}`));
+  });
+  console.log(`📦 dist/: ${changes.added.length} new, ${changes.changed.length} changed, ` +
+    `${changes.unchanged.length} unchanged, ${changes.removed.length} to remove ` +
+    `(plus ${changes.declarations.length} declarations from tsc and ${MANIFEST_FILE})`);
+};
+
+/**
+ * Build the package into dist/ and stamp package.json with the branch version, then write
+ * build-report.json and print its summary. With dryRun, only print what would be written;
+ * nothing is touched, and the changelog is skipped unless its baseline is on disk (see loadBaseline()). Nothing exits the process: ok is false on validation errors, STRICT_SEMVER
+ * violations and, with STRICT_BUILD, when a contract failed or the build has a blocking warning.
+ * @param {object} buildConfig
+ * @param {{ dryRun?: boolean }} options
+ * @returns {{ ok: boolean, errors: string[], packageVersion?: string, distTag?: string, report?: object, changes?: object }}
+ *   report is the build-report.json content (not for dry runs), changes what a dry run would
+ *   make (see diffPlan())
+ */
+const build = (buildConfig, { dryRun = false } = {}) => {
+  const startedAt = Date.now();
+  // Dry runs do not download the baseline package or compile the baseline tag
+  const plan = planBuild(buildConfig, dryRun && buildConfig.ALLOW_CHANGELOG ? { baseline: loadBaseline(buildConfig, { offline: true }) } : {});
+  const report = writeTimings => createBuildReport(plan, { strict: Boolean(buildConfig.STRICT_BUILD), startedAt, writeTimings });
+  const failure = () => {
+    const failedReport = report();
+    if (!dryRun) {
+      writeBuildReport(failedReport, __dirname);
+    }
+    return { ok: false, errors: failedReport.errors, report: failedReport };
+  };
+
+  if (reportValidationErrors(plan.errors)) {
+    return failure();
+  }
+  if (plan.semverErrors.length > 0) {
+    plan.semverErrors.forEach(line => console.error(line));
+    return failure();
+  }
+
+  const { packageVersion, distTag } = plan;
+  if (dryRun) {
+    const changes = diffPlan(plan);
+    reportPlanChanges(changes, plan.changelogSkipped);
+    return { ok: true, errors: [], packageVersion, distTag, changes };
+  }
+
+  const buildReport = report(writeBuild(plan));
+  writeBuildReport(buildReport, __dirname);
+  printBuildSummary(buildReport);
+  console.log(`📄 Build report: ${REPORT_FILE}`);
+
+  if (buildReport.strict && buildReport.status !== 'passed') {
+    const { failed, blocking } = buildReport.summary;
+    console.error(`❌ STRICT_BUILD: ${failed} failed contract${failed === 1 ? '' : 's'} and ${blocking} blocking warning${blocking === 1 ? '' : 's'}, ` +
+      'this build must not be published');
+    return { ok: false, errors: buildReport.errors, packageVersion, distTag, report: buildReport };
+  }
+
+  console.log('');
+  console.log('🚀 Build completed!');
+  console.log('');
+  console.log('📋 Next steps:');
+  console.log(`   node cli.js publish  # To publish this package (${distTag})`);
+  console.log(`   npm install ${packageName}@${distTag}  # To install this version`);
+  return { ok: true, errors: [], packageVersion, distTag, report: buildReport };
+};
+
+module.exports = {
+  resolveContracts,
+  findArtifacts,
+  extractAbis,
+  buildSelectors,
+  diffAbis,
+  compareABIs,
+  classifyComparison,
+  classifyChanges,
+  renderChangeSections,
+  renderChangelog,
+  renderReadme,
+  renderApiReference,
+  describeEntry,
+  loadBaseline,
+  planBuild,
+  diffPlan,
+  writeBuild,
+  build,
+  reportValidationErrors,
+  SNAPSHOT_FILE,
+  STORAGE_SNAPSHOT_FILE,
+  HISTORY_SNAPSHOT_FILE,
+  MANIFEST_FILE
+};
+
+// `node build.js` keeps working: build with build-config.* and ABI_* environment overrides
+if (require.main === module) {
+  loadConfig()
+    .then(({ config: buildConfig }) => {
+      if (!build(buildConfig).ok) process.exitCode = 1;
+    })
+    .catch(e => {
+      console.error(`❌ ${e.message}`);
+      process.exitCode = 1;
+    });
+}
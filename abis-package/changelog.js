@@ -0,0 +1,143 @@
+const { renderStorageChanges } = require('./storage-layout');
+
+/**
+ * Cumulative changelog: one entry per released version with its ABI and storage layout
+ * changes against the version before it.
+ *
+ * The history is shipped as dist/changes.json and carried over from the baseline package, so
+ * every build adds its own version to the ones already released. CHANGELOG.md renders the
+ * history in the Keep a Changelog format (https://keepachangelog.com/en/1.1.0/).
+ */
+
+const CHANGES_FILE = 'changes.json';
+const CHANGES_FORMAT_VERSION = 1;
+
+// ABI categories (see ABI_CATEGORIES in build.js) in rendering order. Signatures of functions
+// carry no keyword, the others start with theirs (event Transfer(...), constructor(...)).
+const CATEGORY_ORDER = ['functions', 'events', 'errors', 'special'];
+const entryLabel = (category, signature) => `${category === 'functions' ? 'function ' : ''}\`${signature}\``;
+
+/**
+ * Changelog entry of a version.
+ * @param {{ version: string, date: string, gitCommit?: string, baseline: { version: string, label: string|null },
+ *   status: string, changes: object, semverImpact: object, storage?: object|null }} release
+ *   status and semverImpact as from renderChangelog(), changes from diffAbis(), storage from
+ *   diffStorageLayouts()
+ * @returns {object} an element of the changes.json versions list
+ */
+const versionEntry = ({ version, date, gitCommit, baseline, status, changes, semverImpact, storage = null }) => ({
+  version,
+  date,
+  ...(gitCommit ? { gitCommit } : {}),
+  baselineVersion: baseline.label ? baseline.version : null,
+  status,
+  recommendedBump: semverImpact.recommendedBump,
+  contracts: status === 'unavailable' ? {} : Object.fromEntries(Object.entries(changes).map(([contract, change]) => {
+    const { level = null, reasons = [] } = semverImpact.contracts[contract] || {};
+    const changeStatus = change.isRemoved ? 'removed' : change.isNew ? 'new' : 'changed';
+    return [contract, { status: changeStatus, level, reasons, ...(change.changes ? { changes: change.changes } : {}) }];
+  })),
+  storage: storage ? { contracts: storage.contracts, missing: storage.missing, unchecked: storage.unchecked } : null
+});
+
+/**
+ * The versions list of a changes.json, or null when it is missing or of another format.
+ * @param {string|object|null} content
+ */
+const parseHistory = (content) => {
+  try {
+    const history = typeof content === 'string' ? JSON.parse(content) : content;
+    return history && history.formatVersion === CHANGES_FORMAT_VERSION && Array.isArray(history.versions)
+      ? history.versions
+      : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Add an entry to the history of the baseline. A rebuild of an already listed version
+ * replaces its entry. Newest first.
+ * @param {Array|null} previous versions from parseHistory()
+ * @param {object} entry from versionEntry()
+ * @param {string} packageName
+ * @returns {object} the changes.json content
+ */
+const mergeHistory = (previous, entry, packageName) => ({
+  formatVersion: CHANGES_FORMAT_VERSION,
+  package: packageName,
+  versions: [entry, ...(previous || []).filter(({ version }) => version !== entry.version)]
+});
+
+// "Added", "Changed" and "Removed" lists of an entry, one line per ABI entry or contract
+const groupChanges = (contracts) => {
+  const groups = { Added: [], Changed: [], Removed: [] };
+  Object.entries(contracts).forEach(([contract, { status, level, changes }]) => {
+    if (status === 'removed') {
+      groups.Removed.push(`\`${contract}\`: contract removed — ${level}`);
+      return;
+    }
+    if (status === 'new') {
+      const count = CATEGORY_ORDER.reduce((total, category) => total + changes[category].added.length, 0);
+      groups.Added.push(`\`${contract}\`: new contract (${count} ABI entries)`);
+      return;
+    }
+    CATEGORY_ORDER.forEach(category => {
+      const { added, removed, modified } = changes[category];
+      const selector = ({ selector: value }) => (value ? ` (\`${value}\`)` : '');
+      added.forEach(entry => groups.Added.push(`\`${contract}\`: ${entryLabel(category, entry.signature)}${selector(entry)}`));
+      modified.forEach(entry => groups.Changed.push(
+        `\`${contract}\`: \`${entry.oldSignature}\` → \`${entry.newSignature}\` (${entry.details.join('; ')}) — ${entry.impact}`
+      ));
+      removed.forEach(entry => groups.Removed.push(`\`${contract}\`: ${entryLabel(category, entry.signature)}${selector(entry)} — major`));
+    });
+  });
+  return groups;
+};
+
+/**
+ * Markdown section of one version.
+ * @param {object} entry from versionEntry()
+ * @param {number} [depth] heading level of the version
+ */
+const renderVersionSection = (entry, depth = 2) => {
+  const heading = '#'.repeat(depth);
+  const title = entry.version === 'Unreleased' ? '[Unreleased]' : `[${entry.version}] - ${entry.date}`;
+  const since = entry.baselineVersion ? ` since ${entry.baselineVersion}` : '';
+  const summary = {
+    changed: `Recommended version bump${since}: **${entry.recommendedBump}**`,
+    unchanged: `No ABI changes${since}.`,
+    initial: 'Initial release.',
+    unavailable: `The ABIs of ${entry.baselineVersion || 'the previous version'} could not be loaded, so changes are not listed.`
+  }[entry.status];
+
+  const lists = Object.entries(groupChanges(entry.contracts))
+    .filter(([, lines]) => lines.length > 0)
+    .map(([group, lines]) => `${heading}# ${group}\n\n${lines.map(line => `- ${line}`).join('\n')}\n`);
+  const storage = entry.storage ? renderStorageChanges(entry.storage, depth + 1) : '';
+
+  return [`${heading} ${title}\n`, `${summary}\n`, ...lists, ...(storage ? [storage] : [])].join('\n');
+};
+
+/**
+ * CHANGELOG.md of a history.
+ * @param {object} history changes.json content from mergeHistory()
+ */
+const renderChangelogFile = history => `# Changelog
+
+All notable ABI changes of \`${history.package}\` are documented in this file, with the
+semver impact of each. The same history is available as structured data in \`${CHANGES_FILE}\`.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),
+and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
+
+${history.versions.map(entry => renderVersionSection(entry)).join('\n')}`;
+
+module.exports = {
+  CHANGES_FILE,
+  versionEntry,
+  parseHistory,
+  mergeHistory,
+  renderVersionSection,
+  renderChangelogFile
+};
@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { BOOLEAN_OPTIONS, LIST_OPTIONS, VALUE_OPTIONS, flagName, envName, parseArgs, loadConfig } = require('./config-loader');
+const {
+  resolveContracts,
+  build,
+  reportValidationErrors,
+  compareABIs,
+  diffAbis,
+  classifyComparison,
+  classifyChanges,
+  renderChangeSections,
+  describeEntry,
+  loadBaseline,
+  SNAPSHOT_FILE,
+  STORAGE_SNAPSHOT_FILE,
+  HISTORY_SNAPSHOT_FILE
+} = require('./build');
+const { extractStorageLayout, compareStorageLayouts, diffStorageLayouts, renderStorageChanges } = require('./storage-layout');
+const { prepareRelease, releaseTagFromEnv, publishRelease, writePackageVersion, tagRelease } = require('./release');
+const { validateRegistries, resolveRegistries, npmrcLines } = require('./registries');
+const { watch } = require('./watch');
+
+/**
+ * Command line interface of the ABI package builder.
+ *
+ * Usage: node cli.js <build|validate|diff|inspect> [options]   (see --help)
+ */
+
+// [flag, description] rows of the options section
+const OPTION_ROWS = [
+  ['--config <path>', 'Config file: .js/.cjs, .mjs, .ts or .json (env ABI_CONFIG, default: build-config.*)'],
+  ...Object.entries(LIST_OPTIONS).map(([option, flag]) => [`--${flag} <a,b>`, `Override ${option} (env ${envName(option)})`]),
+  ...Object.entries(VALUE_OPTIONS).map(([option, flag]) => [`--${flag} <source>`, `Override ${option}: git, registry or a path (env ${envName(option)})`]),
+  ...BOOLEAN_OPTIONS.map(option => [`--[no-]${flagName(option)}`, `Override ${option} (env ${envName(option)}=true|false)`]),
+  ['--dry-run', 'build: print what would be written without touching package.json or dist/; publish: npm publish --dry-run'],
+  ['--link <project>', "watch: keep a copy of the package in the project's node_modules up to date"],
+  ['--write', 'release: stamp package.json with the version'],
+  ['--tag <vX.Y.Z>', 'release: publish this release tag as is (default: the tag of a workflow run on one)'],
+  ['--push', 'release tag: push the tag to origin'],
+  ['--json', 'Machine-readable output (build --dry-run, diff, inspect, release)'],
+  ['--help', 'Show this message']
+];
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  build                          Build the package into dist/ and stamp package.json with the version
+  validate                       Check the configuration, contracts and deployments without writing anything
+  diff                           Show ABI and storage layout changes of the compiled contracts against the baseline version
+  diff <old> <new>               Show ABI changes between two ABI or Foundry artifact JSON files (and storage layout
+                                 changes between two artifacts)
+  inspect                        Print the resolved configuration, contracts and deployments
+  inspect <Contract>             Print a contract's ABI entries with their selectors
+  watch                          Build, then rebuild the changed contracts whenever out/, broadcast/ or the config
+                                 change, printing the ABI changes of each rebuild
+  snapshot                       Write the compiled contracts' ABIs and storage layouts to abi-snapshot.json and
+                                 storage-layout-snapshot.json, and the last build's changelog history to
+                                 changes.json (commit them with releases)
+  release                        Print the version and dist tag to publish (from git tags, the registry and package.json)
+  release tag                    Tag HEAD with the package.json version after publishing
+  publish                        Publish the built package to every registry in REGISTRIES (skipping those that
+                                 already have the version)
+  npmrc                          Print the .npmrc lines that install the package from the primary registry
+
+Options:
+${OPTION_ROWS.map(([flag, description]) => `  ${flag.padEnd(31)}${description}`).join('\n')}
+
+Flags take precedence over environment variables, which take precedence over the config file.`;
+
+// Positional arguments each command accepts
+const ARITY = {
+  build: [0],
+  validate: [0],
+  diff: [0, 2],
+  inspect: [0, 1],
+  watch: [0],
+  snapshot: [0],
+  release: [0, 1],
+  publish: [0],
+  npmrc: [0]
+};
+
+// Accept both plain ABI arrays and Foundry artifacts ({ abi: [...] })
+const readAbiFile = (file) => {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const abi = Array.isArray(content) ? content : content.abi;
+  if (!Array.isArray(abi)) {
+    throw new Error(`${file} is neither an ABI nor an artifact with an abi field`);
+  }
+  return abi;
+};
+
+// Storage layout of a Foundry artifact file, or null for plain ABIs and artifacts without one
+const readStorageLayout = file => extractStorageLayout(JSON.parse(fs.readFileSync(file, 'utf8')));
+
+const printJson = data => process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+
+const relative = file => path.relative(process.cwd(), file) || '.';
+
+// Resolve contracts and deployments, stopping on configuration problems
+const resolveOrExit = (config) => {
+  const resolved = resolveContracts(config);
+  if (reportValidationErrors(resolved.errors)) process.exit(1);
+  return resolved;
+};
+
+/**
+ * Compare the compiled contracts with the changelog baseline.
+ * @returns {{ baselineVersion: string, changes: object|null, recommendedBump: string|null, contracts: object,
+ *   storage: object|null }} changes (from diffAbis()) and storage are null when the baseline has no ABIs
+ */
+const diffCompiledContracts = (config) => {
+  const { packagedContracts, contractMappings } = resolveOrExit(config);
+  const currentABIs = {};
+  const currentLayouts = {};
+  packagedContracts.forEach(contract => {
+    currentABIs[contract] = readAbiFile(contractMappings[contract].jsonPath);
+    currentLayouts[contract] = readStorageLayout(contractMappings[contract].jsonPath);
+  });
+
+  const { version: baselineVersion, abis: previousABIs, storageLayouts: previousLayouts } = loadBaseline(config);
+  if (Object.keys(previousABIs).length === 0) {
+    return { baselineVersion, changes: null, recommendedBump: null, contracts: {}, storage: null };
+  }
+
+  const changes = diffAbis(previousABIs, currentABIs);
+  return {
+    baselineVersion,
+    changes,
+    ...classifyChanges(changes),
+    storage: diffStorageLayouts(previousLayouts, currentLayouts, Object.keys(previousABIs))
+  };
+};
+
+const printChange = (contract, change, classification) => {
+  const label = ` — ${classification.level}`;
+  if (change.isRemoved) {
+    console.log(`❌ ${contract}${label}\n- **Contract removed**\n`);
+  } else if (change.isNew) {
+    console.log(`✨ ${contract} (New Contract)${label}\n${renderChangeSections(change.changes).markdown}`);
+  } else {
+    console.log(`🔄 ${contract}${label}\n${renderChangeSections(change.changes).markdown}`);
+  }
+};
+
+const runBuild = ({ config }, options) => {
+  const { ok, packageVersion, distTag, changes } = build(config, { dryRun: Boolean(options['dry-run']) });
+  if (!ok) process.exit(1);
+  if (changes && options.json) {
+    printJson({ packageVersion, distTag, ...changes });
+  }
+};
+
+const runValidate = ({ config, configFile }) => {
+  const { contracts, packagedContracts, deployments } = resolveOrExit(config);
+
+  contracts
+    .filter(contract => !packagedContracts.includes(contract))
+    .forEach(contract => console.warn(`⚠️  ${contract}: no compiled artifact found (run forge build)`));
+
+  const chains = Object.values(deployments);
+  const deploymentCount = chains.reduce((count, chain) => count + Object.keys(chain.contracts).length, 0);
+  console.log(`✅ ${relative(configFile)} is valid: ${packagedContracts.length} contracts (${packagedContracts.join(', ') || 'none'}), ` +
+    `${deploymentCount} deployments on ${chains.length} chains`);
+};
+
+const runDiff = ({ config }, options, positionals) => {
+  if (positionals.length === 2) {
+    const [oldFile, newFile] = positionals;
+    const contract = path.basename(newFile, '.json');
+    const change = compareABIs(readAbiFile(oldFile), readAbiFile(newFile), contract);
+    const classification = classifyComparison(change);
+    const oldLayout = readStorageLayout(oldFile);
+    const newLayout = readStorageLayout(newFile);
+    const storage = oldLayout && newLayout ? compareStorageLayouts(oldLayout, newLayout) : null;
+
+    if (options.json) {
+      printJson({ ...classification, changes: change.changes, storage });
+      return;
+    }
+    const { markdown } = renderChangeSections(change.changes);
+    console.log(markdown || '📝 No ABI changes detected');
+    if (storage) {
+      const storageChanges = { contracts: storage.changes.length > 0 ? { [contract]: storage } : {}, missing: [], unchecked: [] };
+      console.log(renderStorageChanges(storageChanges) || '📝 No storage layout changes detected');
+    }
+    console.log(`📐 Recommended version bump: ${classification.level}`);
+    return;
+  }
+
+  const { baselineVersion, changes, recommendedBump, contracts, storage } = diffCompiledContracts(config);
+  if (!changes) {
+    if (options.json) {
+      printJson({ baselineVersion, recommendedBump: null, contracts: {}, storage: null });
+    }
+    return;
+  }
+
+  if (options.json) {
+    const report = {};
+    Object.entries(changes).forEach(([contract, change]) => {
+      report[contract] = { ...contracts[contract], ...change };
+    });
+    printJson({ baselineVersion, recommendedBump, contracts: report, storage });
+    return;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    console.log('📝 No ABI changes detected');
+  }
+  Object.entries(changes).forEach(([contract, change]) => printChange(contract, change, contracts[contract]));
+  const storageSection = renderStorageChanges(storage);
+  if (storageSection) {
+    console.log(storageSection);
+  }
+  if (storage.unsafe.length > 0) {
+    console.log(`⚠️  Unsafe storage layout changes in ${storage.unsafe.join(', ')}`);
+  }
+  console.log(`📐 Recommended version bump: ${recommendedBump} (baseline ${baselineVersion})`);
+};
+
+const runInspect = ({ config, configFile, sources }, options, positionals) => {
+  const { contracts, contractMappings, packagedContracts, deployments, errors } = resolveContracts(config);
+
+  if (positionals.length === 1) {
+    const [contract] = positionals;
+    if (!packagedContracts.includes(contract)) {
+      throw new Error(`Unknown contract "${contract}". Packaged contracts: ${packagedContracts.join(', ') || 'none'}`);
+    }
+    const entries = readAbiFile(contractMappings[contract].jsonPath).map(describeEntry);
+
+    if (options.json) {
+      printJson(entries);
+      return;
+    }
+    console.log(`🔍 ${contract} (${relative(contractMappings[contract].jsonPath)})`);
+    entries.forEach(({ signature, selector }) => {
+      console.log(`   ${selector ? `${selector.padEnd(10)} ` : ''.padEnd(11)}${signature}`);
+    });
+    return;
+  }
+
+  const contractInfo = {};
+  contracts.forEach(contract => {
+    const mapping = contractMappings[contract];
+    contractInfo[contract] = {
+      artifact: mapping ? relative(mapping.jsonPath) : null,
+      kind: (mapping && mapping.kind) || null,
+      compiled: packagedContracts.includes(contract)
+    };
+  });
+
+  if (options.json) {
+    printJson({ configFile, config, sources, contracts: contractInfo, deployments, errors });
+    return;
+  }
+
+  console.log(`⚙️  Configuration: ${relative(configFile)}`);
+  Object.entries(config)
+    .filter(([field]) => field !== 'deployments')
+    .forEach(([field, value]) => {
+      const source = sources[field] ? ` (from ${sources[field]})` : '';
+      console.log(`   ${field}: ${JSON.stringify(value)}${source}`);
+    });
+
+  console.log('📋 Contracts:');
+  Object.entries(contractInfo).forEach(([contract, info]) => {
+    const kind = info.kind ? ` [${info.kind}]` : '';
+    console.log(`   ${info.compiled ? '✅' : '⚠️ '} ${contract}${kind}: ${info.artifact || 'no mapping'}${info.compiled ? '' : ' (not compiled)'}`);
+  });
+
+  console.log('📡 Deployments:');
+  Object.values(deployments).forEach(chain => {
+    console.log(`   ${chain.network ? `${chain.network} (chain ${chain.chainId})` : `Chain ${chain.chainId}`}`);
+    Object.entries(chain.contracts).forEach(([contract, deployment]) => {
+      const implementation = deployment.implementation ? ` → implementation ${deployment.implementation}` : '';
+      console.log(`     ${contract}: ${deployment.address}${implementation}`);
+    });
+  });
+
+  if (errors.length > 0) {
+    console.warn(`⚠️  ${errors.length} configuration problem${errors.length === 1 ? '' : 's'} (run validate for details)`);
+  }
+};
+
+// ABIs and storage layouts of the compiled contracts, used as a git baseline for later releases
+const runSnapshot = ({ config }) => {
+  const { packagedContracts, contractMappings } = resolveOrExit(config);
+  const snapshot = {};
+  const storageSnapshot = {};
+  packagedContracts.forEach(contract => {
+    snapshot[contract] = readAbiFile(contractMappings[contract].jsonPath);
+    const layout = readStorageLayout(contractMappings[contract].jsonPath);
+    if (layout) {
+      storageSnapshot[contract] = layout;
+    } else {
+      console.warn(`⚠️  ${contract}: no storage layout in the artifact (add "storageLayout" to extra_output in foundry.toml)`);
+    }
+  });
+  fs.writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(snapshot, null, 2)}\n`);
+  fs.writeFileSync(STORAGE_SNAPSHOT_FILE, `${JSON.stringify(storageSnapshot, null, 2)}\n`);
+  console.log(`✅ Wrote ${packagedContracts.length} ABIs to ${relative(SNAPSHOT_FILE)}`);
+  console.log(`✅ Wrote ${Object.keys(storageSnapshot).length} storage layouts to ${relative(STORAGE_SNAPSHOT_FILE)}`);
+
+  // The git baseline reads the changelog history from the tag, so the next release continues it
+  const builtHistory = path.join(__dirname, 'dist', path.basename(HISTORY_SNAPSHOT_FILE));
+  if (fs.existsSync(builtHistory)) {
+    fs.copyFileSync(builtHistory, HISTORY_SNAPSHOT_FILE);
+    console.log(`✅ Wrote the changelog history of the last build to ${relative(HISTORY_SNAPSHOT_FILE)}`);
+  } else {
+    console.warn(`⚠️  No ${relative(builtHistory)} (run the build first), the changelog history was not written`);
+  }
+};
+
+// REGISTRIES of the configuration, stopping when it is invalid (unset falls back to package.json)
+const configuredRegistries = (config) => {
+  if (config.REGISTRIES !== undefined) {
+    if (reportValidationErrors(validateRegistries(config.REGISTRIES))) process.exit(1);
+  }
+  return config.REGISTRIES;
+};
+
+// Version, dist tag and git tag of the next publish, for the publish workflow
+const runRelease = (loaded, options, positionals) => {
+  if (positionals.length === 1) {
+    if (positionals[0] !== 'tag') {
+      throw new Error(`Unknown release step "${positionals[0]}" (expected: tag)`);
+    }
+    const { gitTag, created } = tagRelease({ push: Boolean(options.push) });
+    console.log(`${created ? '✅ Tagged HEAD as' : '📝 HEAD is already tagged'} ${gitTag}${options.push ? ' (pushed)' : ''}`);
+    return;
+  }
+
+  // Branch releases are bumped as the ABI changes since the last release require, so a breaking
+  // change gets a major version and passes STRICT_SEMVER. Release tags are published as they are.
+  const releaseTag = options.tag || releaseTagFromEnv();
+  let bump = null;
+  if (!releaseTag && loaded.config.ALLOW_CHANGELOG) {
+    bump = diffCompiledContracts(loaded.config).recommendedBump;
+  }
+  const release = prepareRelease({ releaseTag, registries: configuredRegistries(loaded.config), bump });
+  if (options.write) {
+    writePackageVersion(release.version);
+  }
+
+  // Step outputs for the following workflow steps
+  if (process.env.GITHUB_OUTPUT) {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `version=${release.version}\ndist_tag=${release.distTag}\ngit_tag=${release.gitTag}\nbump=${release.bump || ''}\n`);
+  }
+
+  if (options.json) {
+    printJson(release);
+    return;
+  }
+  const sources = { git: 'git tag', registry: 'published', packageJson: 'package.json' };
+  Object.entries(release.candidates).forEach(([source, version]) => console.log(`🔍 Highest ${sources[source]} version: ${version}`));
+  if (release.bump) {
+    console.log(`📐 Version bump: ${release.bump}${bump ? ' (recommended by the ABI changes)' : ''}`);
+  }
+  console.log(`📦 Version: ${release.version}${release.branch ? ` (branch: ${release.branch})` : ` (release tag ${release.gitTag})`}`);
+  console.log(`🏷️  Dist tag: ${release.distTag}`);
+  if (options.write) {
+    console.log(`✅ Stamped ${relative(path.join(__dirname, 'package.json'))} with ${release.version}`);
+  }
+};
+
+// Publish dist/ to every registry; failures are reported after trying all of them
+const runPublish = ({ config }, options) => {
+  const results = publishRelease({ registries: configuredRegistries(config), dryRun: Boolean(options['dry-run']) });
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    throw new Error(`Publishing failed for ${failed.map(result => result.url).join(', ')}`);
+  }
+};
+
+// .npmrc setup for consumers (make abi-setup-local)
+const runNpmrc = ({ config }) => {
+  const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+  const [primary] = resolveRegistries(configuredRegistries(config), packageJson);
+  console.log(npmrcLines(primary, packageJson.name).join('\n'));
+};
+
+// Runs until interrupted
+const runWatch = ({ configFile, overrides }, options) => watch({ configPath: configFile, overrides, link: options.link });
+
+const COMMANDS = {
+  build: runBuild,
+  validate: runValidate,
+  diff: runDiff,
+  inspect: runInspect,
+  watch: runWatch,
+  snapshot: runSnapshot,
+  release: runRelease,
+  publish: runPublish,
+  npmrc: runNpmrc
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command || ['--help', '-h', 'help'].includes(command) || args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`❌ Unknown command "${command}"\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const { overrides, options, positionals } = parseArgs(args, ['config', 'tag', 'link'], ['json', 'dry-run', 'write', 'push']);
+  if (!ARITY[command].includes(positionals.length)) {
+    throw new Error(`Unexpected arguments for ${command}: ${positionals.join(' ')}`);
+  }
+
+  // Progress messages go to stderr so --json output stays parseable
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  const loaded = await loadConfig({ configPath: options.config, overrides });
+  await COMMANDS[command]({ ...loaded, overrides }, options, positionals);
+};
+
+main().catch(e => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});
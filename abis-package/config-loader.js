@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const { pathToFileURL } = require('url');
+
+/**
+ * Load the build configuration and apply command line / environment overrides.
+ *
+ * The config file can be CommonJS (build-config.js / .cjs), an ES module (.mjs),
+ * TypeScript (.ts, transpiled with the typescript devDependency) or plain JSON.
+ * Precedence: command line flags > ABI_* environment variables > config file.
+ */
+
+// Looked up in this order when no --config is given
+const CONFIG_FILES = ['build-config.js', 'build-config.cjs', 'build-config.mjs', 'build-config.ts', 'build-config.json'];
+
+// Boolean switches of the build configuration. Each can be overridden with
+// --allow-interfaces / --no-allow-interfaces or ABI_ALLOW_INTERFACES=true|false.
+const BOOLEAN_OPTIONS = ['ALLOW_MISMATCHED_NAMES', 'ALLOW_INTERFACES', 'ALLOW_CHANGELOG', 'STRICT_SEMVER', 'STRICT_BUILD',
+  'IMPORT_BROADCASTS', 'REQUIRE_CHECKSUMS', 'INCLUDE_ARTIFACTS'];
+
+// Comma separated list options: --contracts Counter,Token / ABI_CONTRACT_NAMES=Counter,Token
+const LIST_OPTIONS = {
+  CONTRACT_NAMES: 'contracts',
+  CONTRACT_INCLUDE: 'include',
+  CONTRACT_EXCLUDE: 'exclude',
+  CONTRACT_KINDS: 'kinds',
+  CONTRACT_WRAPPERS: 'wrappers',
+  REGISTRIES: 'registries'
+};
+
+// Single value options: --baseline git / ABI_CHANGELOG_BASELINE=git
+const VALUE_OPTIONS = { CHANGELOG_BASELINE: 'baseline' };
+
+const flagName = option => option.toLowerCase().replace(/_/g, '-');
+const envName = option => `ABI_${option}`;
+
+const parseBoolean = (value, label) => {
+  if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+  throw new Error(`${label}: expected true or false, got ${JSON.stringify(value)}`);
+};
+
+const parseList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Find the config file: an explicit path (relative to the working directory) or the first default one
+const findConfigFile = (configPath) => {
+  if (configPath) {
+    const resolved = path.resolve(configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return resolved;
+  }
+
+  const found = CONFIG_FILES.map(file => path.join(__dirname, file)).find(file => fs.existsSync(file));
+  if (!found) {
+    throw new Error(`No build configuration found (looked for ${CONFIG_FILES.join(', ')})`);
+  }
+  return found;
+};
+
+// Transpile a TypeScript config to CommonJS in memory and evaluate it
+const requireTypeScript = (file) => {
+  let ts;
+  try {
+    ts = require('typescript');
+  } catch (e) {
+    throw new Error(`Loading ${path.basename(file)} requires the typescript package (npm install)`);
+  }
+
+  const { outputText } = ts.transpileModule(fs.readFileSync(file, 'utf8'), {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020, esModuleInterop: true },
+    fileName: file
+  });
+  const compiled = new Module(file, module);
+  compiled.filename = file;
+  compiled.paths = Module._nodeModulePaths(path.dirname(file));
+  compiled._compile(outputText, file);
+  return compiled.exports;
+};
+
+// Read a config file into a plain object (default export or named exports). Module caches are
+// bypassed, so watch mode picks up edits to the file.
+const readConfigFile = async (file) => {
+  const extension = path.extname(file);
+  let exported;
+  if (extension === '.json') {
+    exported = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } else if (extension === '.mjs') {
+    exported = await import(`${pathToFileURL(file).href}?mtime=${fs.statSync(file).mtimeMs}`);
+  } else if (extension === '.ts') {
+    exported = requireTypeScript(file);
+  } else {
+    delete require.cache[require.resolve(file)];
+    exported = require(file);
+  }
+
+  const { default: defaultExport, ...named } = exported;
+  return { ...(defaultExport && typeof defaultExport === 'object' ? defaultExport : named) };
+};
+
+// Overrides from ABI_* environment variables. Empty variables are ignored, so CI can
+// pass optional workflow inputs straight through.
+const readEnvOverrides = (env) => {
+  const overrides = {};
+  const isSet = option => env[envName(option)] !== undefined && env[envName(option)] !== '';
+  BOOLEAN_OPTIONS.filter(isSet).forEach(option => {
+    overrides[option] = parseBoolean(env[envName(option)], envName(option));
+  });
+  Object.keys(LIST_OPTIONS).filter(isSet).forEach(option => {
+    overrides[option] = parseList(env[envName(option)]);
+  });
+  Object.keys(VALUE_OPTIONS).filter(isSet).forEach(option => {
+    overrides[option] = env[envName(option)];
+  });
+  return overrides;
+};
+
+/**
+ * Split command line arguments into config overrides, other options and positionals.
+ * Accepts --flag, --no-flag, --flag=value and --flag value (for options taking a value).
+ * @param {string[]} args
+ * @param {string[]} valueOptions non-config options that take a value (e.g. ['config', 'baseline'])
+ * @param {string[]} switchOptions non-config options without a value (e.g. ['json'])
+ */
+const parseArgs = (args, valueOptions = [], switchOptions = []) => {
+  const overrides = {};
+  const options = {};
+  const positionals = [];
+  const booleanFlags = Object.fromEntries(BOOLEAN_OPTIONS.map(option => [flagName(option), option]));
+  const listFlags = Object.fromEntries(Object.entries(LIST_OPTIONS).map(([option, flag]) => [flag, option]));
+  const valueFlags = Object.fromEntries(Object.entries(VALUE_OPTIONS).map(([option, flag]) => [flag, option]));
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawName, ...rest] = arg.slice(2).split('=');
+    const inlineValue = rest.length > 0 ? rest.join('=') : undefined;
+    const negated = rawName.startsWith('no-') && booleanFlags[rawName.slice(3)];
+    const name = negated ? rawName.slice(3) : rawName;
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= args.length || args[i + 1].startsWith('--')) throw new Error(`--${name} requires a value`);
+      return args[++i];
+    };
+
+    if (booleanFlags[name]) {
+      const value = inlineValue === undefined ? true : parseBoolean(inlineValue, `--${name}`);
+      overrides[booleanFlags[name]] = negated ? !value : value;
+    } else if (listFlags[name]) {
+      overrides[listFlags[name]] = parseList(takeValue());
+    } else if (valueFlags[name]) {
+      overrides[valueFlags[name]] = takeValue();
+    } else if (valueOptions.includes(name)) {
+      options[name] = takeValue();
+    } else if (switchOptions.includes(name) && inlineValue === undefined) {
+      options[name] = true;
+    } else {
+      throw new Error(`Unknown option --${rawName}`);
+    }
+  }
+
+  return { overrides, options, positionals };
+};
+
+/**
+ * Load the build configuration.
+ * @param {{ configPath?: string, overrides?: object, env?: object }} options
+ * @returns {Promise<{ config: object, configFile: string, sources: Object<string, string> }>}
+ *   sources records where each overridden field came from ('env' or 'flag')
+ */
+const loadConfig = async ({ configPath, overrides = {}, env = process.env } = {}) => {
+  const configFile = findConfigFile(configPath || env.ABI_CONFIG);
+  const fileConfig = await readConfigFile(configFile);
+  const envOverrides = readEnvOverrides(env);
+
+  const sources = {};
+  Object.keys(envOverrides).forEach(field => { sources[field] = 'env'; });
+  Object.keys(overrides).forEach(field => { sources[field] = 'flag'; });
+
+  // Baseline paths from flags or the environment are relative to the working directory,
+  // the ones in the config file to the package directory
+  const commandLine = { ...envOverrides, ...overrides };
+  if (commandLine.CHANGELOG_BASELINE && !['git', 'registry'].includes(commandLine.CHANGELOG_BASELINE)) {
+    commandLine.CHANGELOG_BASELINE = path.resolve(commandLine.CHANGELOG_BASELINE);
+  }
+
+  return {
+    config: { ...fileConfig, ...commandLine },
+    configFile,
+    sources
+  };
+};
+
+module.exports = {
+  BOOLEAN_OPTIONS,
+  LIST_OPTIONS,
+  VALUE_OPTIONS,
+  CONFIG_FILES,
+  flagName,
+  envName,
+  parseArgs,
+  loadConfig
+};
@@ -0,0 +1,97 @@
+/**
+ * Minimal Keccak-256 (the pre-NIST padding variant used by Ethereum).
+ *
+ * Node's crypto module only ships SHA3-256, which uses different padding, so
+ * selectors, event topics and EIP-55 checksums need this implementation.
+ * Inputs are small (signatures, addresses), so BigInt lanes are fast enough.
+ */
+
+const MASK_64 = (1n << 64n) - 1n;
+const RATE_BYTES = 136;
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offsets indexed by x + 5y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+];
+
+const rotl = (value, shift) => (shift === 0
+  ? value
+  : ((value << BigInt(shift)) | (value >> BigInt(64 - shift))) & MASK_64);
+
+const keccakF = (state) => {
+  const c = new Array(5);
+  const b = new Array(25);
+
+  for (let round = 0; round < 24; round++) {
+    // θ
+    for (let x = 0; x < 5; x++) {
+      c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+    }
+
+    // ρ and π
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+      }
+    }
+
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = b[x + y] ^ (~b[((x + 1) % 5) + y] & MASK_64 & b[((x + 2) % 5) + y]);
+      }
+    }
+
+    // ι
+    state[0] ^= ROUND_CONSTANTS[round];
+  }
+};
+
+/**
+ * Hash a string (UTF-8) or Buffer and return the digest as 0x-prefixed hex.
+ * @param {string|Buffer|Uint8Array} input
+ * @returns {string}
+ */
+const keccak256 = (input) => {
+  const data = typeof input === 'string' ? Buffer.from(input, 'utf8') : Buffer.from(input);
+
+  // Pad: 0x01 … 0x80 up to a multiple of the rate
+  const paddedLength = (Math.floor(data.length / RATE_BYTES) + 1) * RATE_BYTES;
+  const padded = Buffer.alloc(paddedLength);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[paddedLength - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < paddedLength; offset += RATE_BYTES) {
+    for (let lane = 0; lane < RATE_BYTES / 8; lane++) {
+      state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+    }
+    keccakF(state);
+  }
+
+  const digest = Buffer.alloc(32);
+  for (let lane = 0; lane < 4; lane++) {
+    digest.writeBigUInt64LE(state[lane], lane * 8);
+  }
+  return `0x${digest.toString('hex')}`;
+};
+
+module.exports = { keccak256 };
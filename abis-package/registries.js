@@ -0,0 +1,213 @@
+/**
+ * Registries the package is published to and installed from (REGISTRIES in build-config.js).
+ *
+ * The first registry is the primary one: the README's install instructions and
+ * `cli.js npmrc` point at it and the registry changelog baseline tries it first. `cli.js
+ * release` reads the published versions of every registry and `cli.js publish` publishes to
+ * each of them in order. Publishing and reading use the token in each registry's tokenEnv.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GITHUB_PACKAGES = 'https://npm.pkg.github.com';
+const NPM_REGISTRY = 'https://registry.npmjs.org';
+
+// How consumers authenticate to install the package:
+//   'github' - a GitHub personal access token with read:packages (GitHub Packages)
+//   'token'  - an access token issued by the registry (Verdaccio, a private npm registry, ...)
+//   'none'   - public package, no token needed
+const AUTH_KINDS = ['github', 'token', 'none'];
+
+// Fields of a registry entry
+const REGISTRY_FIELDS = ['url', 'auth', 'tokenEnv'];
+
+// Environment variable holding the publish token, unless an entry names another one
+// (actions/setup-node writes .npmrc files that read it)
+const DEFAULT_TOKEN_ENV = 'NODE_AUTH_TOKEN';
+
+// npm commands run against a registry are stopped after this long: npm retries an unreachable
+// registry for minutes, which would hold up builds and releases
+const NPM_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Token placeholders in generated install instructions, by auth kind
+const TOKEN_PLACEHOLDERS = {
+  github: 'YOUR_GITHUB_PAT_TOKEN',
+  token: 'YOUR_REGISTRY_TOKEN'
+};
+
+const normalizeUrl = url => String(url).trim().replace(/\/+$/, '');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// GitHub Packages always needs a token, even for public packages; npmjs.com serves public
+// packages without one; any other registry is assumed to be private
+const defaultAuth = (url) => {
+  const host = new URL(url).host;
+  if (host === new URL(GITHUB_PACKAGES).host) return 'github';
+  if (host === new URL(NPM_REGISTRY).host) return 'none';
+  return 'token';
+};
+
+/**
+ * Check the REGISTRIES config: an array of registry URLs or { url, auth?, tokenEnv? } objects
+ * (empty for publishConfig.registry).
+ * @returns {string[]} problems, empty when valid
+ */
+const validateRegistries = (value) => {
+  if (!Array.isArray(value)) {
+    return ['REGISTRIES: must be an array of registry URLs or { url, auth?, tokenEnv? } objects'];
+  }
+  const urls = [];
+  return value.flatMap((entry, i) => {
+    const label = `REGISTRIES[${i}]`;
+    if (typeof entry !== 'string' && !isPlainObject(entry)) {
+      return [`${label}: must be a registry URL or { url, auth?, tokenEnv? }`];
+    }
+    const { url, auth, tokenEnv, ...unknown } = typeof entry === 'string' ? { url: entry } : entry;
+    const errors = Object.keys(unknown).map(field => `${label}.${field}: unknown field (expected ${REGISTRY_FIELDS.join(', ')})`);
+
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push(`${label}.url: ${JSON.stringify(url)} is not an http(s) URL`);
+    } else if (urls.includes(normalizeUrl(url))) {
+      errors.push(`${label}.url: ${url} is listed twice`);
+    } else {
+      urls.push(normalizeUrl(url));
+    }
+    if (auth !== undefined && !AUTH_KINDS.includes(auth)) {
+      errors.push(`${label}.auth: must be one of ${AUTH_KINDS.join(', ')}`);
+    }
+    if (tokenEnv !== undefined && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(String(tokenEnv))) {
+      errors.push(`${label}.tokenEnv: must be an environment variable name`);
+    }
+    return errors;
+  });
+};
+
+/**
+ * Registries of the package: REGISTRIES from the build configuration, otherwise
+ * publishConfig.registry from package.json, otherwise npmjs.com.
+ * @param {Array<string|object>|undefined} configured
+ * @param {object} packageJson
+ * @returns {Array<{ url: string, auth: string, tokenEnv: string }>}
+ */
+const resolveRegistries = (configured, packageJson) => {
+  const publishRegistry = packageJson.publishConfig && packageJson.publishConfig.registry;
+  const entries = configured && configured.length > 0 ? configured : [publishRegistry || NPM_REGISTRY];
+  return entries.map((entry) => {
+    const { url, auth, tokenEnv } = typeof entry === 'string' ? { url: entry } : entry;
+    return {
+      url: normalizeUrl(url),
+      auth: auth || defaultAuth(url),
+      tokenEnv: tokenEnv || DEFAULT_TOKEN_ENV
+    };
+  });
+};
+
+const packageScopeOf = packageName => (packageName.startsWith('@') ? packageName.split('/')[0] : null);
+
+// Prefix of the npm settings for one registry: //npm.pkg.github.com/:
+const authPrefix = url => `${normalizeUrl(url).replace(/^https?:/, '')}/:`;
+
+/**
+ * Arguments pointing npm at a registry. The scoped form is needed too, because a scope
+ * registry in .npmrc takes precedence over --registry.
+ * @param {string} packageName
+ * @param {string} [url] none: use the npm configuration
+ */
+const registryArgs = (packageName, url) => {
+  if (!url) {
+    return [];
+  }
+  const scope = packageScopeOf(packageName);
+  return [`--registry=${url}`, ...(scope ? [`--${scope}:registry=${url}`] : [])];
+};
+
+/**
+ * Run npm against a registry with the token from its tokenEnv variable: `run` receives the
+ * arguments pointing npm at the registry, plus a temporary user config holding the token
+ * reference when the variable is set (npm expands ${VAR} itself, so the token is never
+ * written out). Without the variable the existing npm configuration is used.
+ * @param {{ url: string, tokenEnv: string }} registry
+ * @param {string} packageName
+ * @param {(args: string[]) => any} run
+ * @param {object} [env]
+ */
+const withRegistryAuth = (registry, packageName, run, env = process.env) => {
+  const args = registryArgs(packageName, registry.url);
+  if (!env[registry.tokenEnv]) {
+    return run(args);
+  }
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-npmrc-'));
+  const userconfig = path.join(configDir, '.npmrc');
+  fs.writeFileSync(userconfig, `${authPrefix(registry.url)}_authToken=\${${registry.tokenEnv}}\n`);
+  try {
+    return run([...args, '--userconfig', userconfig]);
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * .npmrc lines that install the package from a registry.
+ * @param {{ url: string, auth: string }} registry
+ * @param {string} packageName
+ * @param {string} [token] the auth token value; a placeholder by default
+ */
+const npmrcLines = (registry, packageName, token = TOKEN_PLACEHOLDERS[registry.auth]) => {
+  const scope = packageScopeOf(packageName);
+  return [
+    `${scope ? `${scope}:` : ''}registry=${registry.url}`,
+    ...(registry.auth === 'none' ? [] : [`${authPrefix(registry.url)}_authToken=${token}`])
+  ];
+};
+
+// What consumers need to authenticate to a registry, as a sentence
+const describeAuth = (registry) => {
+  if (registry.auth === 'github') {
+    return `Replace \`${TOKEN_PLACEHOLDERS.github}\` with a [GitHub personal access token](https://github.com/settings/tokens) with the \`read:packages\` permission.`;
+  }
+  if (registry.auth === 'token') {
+    return `Replace \`${TOKEN_PLACEHOLDERS.token}\` with an access token for ${registry.url}.`;
+  }
+  return 'The package is public, no token is needed.';
+};
+
+/**
+ * Markdown install instructions for the primary registry, listing the other registries the
+ * package is also published to.
+ * @param {Array<{ url: string, auth: string }>} registries
+ * @param {string} packageName
+ * @param {string} installSpec what to install, e.g. name@tag
+ */
+const renderInstallInstructions = (registries, packageName, installSpec) => {
+  const [primary, ...mirrors] = registries;
+  const setup = npmrcLines(primary, packageName).map(line => `echo "${line}" >> .npmrc`);
+  const mirrorNote = mirrors.length > 0
+    ? `\n\nAlso published to ${mirrors.map(registry => registry.url).join(', ')}; point the same \`.npmrc\` lines at one of them to install from it.`
+    : '';
+  return `\`\`\`bash
+${[...setup, `npm install ${installSpec}`].join('\n')}
+\`\`\`
+
+${describeAuth(primary)}${mirrorNote}`;
+};
+
+module.exports = {
+  AUTH_KINDS,
+  NPM_TIMEOUT_MS,
+  REGISTRY_FIELDS,
+  validateRegistries,
+  resolveRegistries,
+  registryArgs,
+  withRegistryAuth,
+  npmrcLines,
+  renderInstallInstructions
+};
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { NPM_TIMEOUT_MS, resolveRegistries, withRegistryAuth } = require('./registries');
+
+/**
+ * Release versioning and publishing: the version and npm dist tag a build is published under,
+ * publishing it to the configured registries, and the git tag recorded once it is published.
+ *
+ * `node cli.js release` runs this in the publish workflow, and the builder derives its version
+ * from the same functions, so the stamped package.json, dist/ and the dist tag always agree.
+ */
+
+// Builds of this branch are published as plain versions under the `latest` dist tag;
+// other branches get a prerelease suffix and a dist tag named after the branch
+const RELEASE_BRANCH = 'main';
+
+// Dist tag of prerelease versions built from a release tag (v1.2.0-rc.1)
+const PRERELEASE_DIST_TAG = 'next';
+
+const PACKAGE_JSON = path.join(__dirname, 'package.json');
+
+// Parse the numeric part of a version string ("1.2.3-branch" -> [1, 2, 3])
+const parseVersion = (version) => {
+  const [major = 0, minor = 0, patch = 0] = String(version).replace(/^v/, '').split('-')[0]
+    .split('.').map(part => parseInt(part, 10) || 0);
+  return { major, minor, patch };
+};
+
+// "v1.2.3-feature+build" -> "1.2.3"
+const baseVersion = (version) => {
+  const { major, minor, patch } = parseVersion(String(version).split('+')[0]);
+  return `${major}.${minor}.${patch}`;
+};
+
+const compareVersions = (a, b) => {
+  const [from, to] = [parseVersion(a), parseVersion(b)];
+  return (from.major - to.major) || (from.minor - to.minor) || (from.patch - to.patch);
+};
+
+// Highest base version of a list, or null when it is empty
+const maxVersion = versions => versions.map(baseVersion).sort(compareVersions).pop() || null;
+
+// Next version for a semver bump ('major', 'minor' or 'patch'). Like npm's caret ranges, 0.x
+// versions take breaking changes in a minor bump, which is what STRICT_SEMVER expects of them.
+const incrementVersion = (version, bump = 'patch') => {
+  const { major, minor, patch } = parseVersion(version);
+  if (bump === 'major' && major > 0) return `${major + 1}.0.0`;
+  if (bump === 'major' || bump === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+};
+
+const isPrerelease = version => String(version).split('+')[0].includes('-');
+
+/**
+ * Turn a branch name into a semver prerelease identifier that is also a valid dist tag:
+ * lowercase letters, digits and dashes (feature/Add_Token -> feature-add-token). Names that
+ * npm would read as a version or range (v2, 1.x) get a `branch-` prefix.
+ * @param {string} branch
+ */
+const sanitizeBranch = (branch) => {
+  const sanitized = String(branch).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/-{2,}/g, '-').replace(/^-|-$/g, '');
+  if (!sanitized) {
+    return 'branch';
+  }
+  return /^v?\d/.test(sanitized) ? `branch-${sanitized}` : sanitized;
+};
+
+/**
+ * Version and dist tag of a build from a branch: the base version alone on the release branch,
+ * otherwise with the sanitized branch as prerelease suffix. Without a branch (a detached
+ * checkout of a release tag) the version is kept as it is.
+ * @param {string} version
+ * @param {string|null} branch
+ * @returns {{ version: string, distTag: string }}
+ */
+const branchVersion = (version, branch) => {
+  if (!branch) {
+    return { version, distTag: isPrerelease(version) ? PRERELEASE_DIST_TAG : 'latest' };
+  }
+  if (branch === RELEASE_BRANCH) {
+    return { version: baseVersion(version), distTag: 'latest' };
+  }
+  const suffix = sanitizeBranch(branch);
+  return { version: `${baseVersion(version)}-${suffix}`, distTag: suffix };
+};
+
+/**
+ * Resolve the version to publish.
+ *
+ * A release tag is published as is. Otherwise the highest of the git tags in the branch
+ * history, the versions already published on the branch's channel (its dist tag and every
+ * version with its suffix, or the plain versions for the release branch) and the package.json
+ * version is incremented by a patch and given the branch suffix. When the ABI changes since the
+ * last git tag call for a minor or major bump, the version is at least that bump over the tag.
+ * @param {{ branch: string|null, releaseTag?: string|null, packageVersion: string, gitTags: string[],
+ *   published: { versions: string[], distTags: Object<string, string> }, bump?: string|null }} state
+ *   bump is the recommended bump of the build's changelog ('major', 'minor' or 'patch'); without
+ *   one (no baseline to compare with) a patch is released
+ * @returns {{ version: string, distTag: string, gitTag: string, bump: string|null, candidates: Object<string, string> }}
+ *   candidates are the versions the increment was based on, by source; bump is null for a release tag
+ */
+const resolveRelease = ({ branch, releaseTag = null, packageVersion, gitTags, published, bump = null }) => {
+  if (releaseTag) {
+    const { version, distTag } = branchVersion(releaseTag.replace(/^v/, ''), null);
+    return { version, distTag, gitTag: `v${version}`, bump: null, candidates: {} };
+  }
+  if (!branch) {
+    throw new Error('Cannot tell which branch is being released (detached HEAD); pass --tag <vX.Y.Z> to publish a release tag');
+  }
+
+  const { distTag } = branchVersion('0.0.0', branch);
+  const channelVersions = published.versions.filter(version => (
+    branch === RELEASE_BRANCH ? !isPrerelease(version) : version.endsWith(`-${distTag}`)
+  ));
+  const candidates = {
+    git: maxVersion(gitTags.filter(tag => /^v\d/.test(tag))) || '0.0.0',
+    registry: maxVersion([published.distTags[distTag], ...channelVersions].filter(Boolean)) || '0.0.0',
+    packageJson: baseVersion(packageVersion || '0.0.0')
+  };
+
+  // The ABI changes are those since the last release tag, so their bump applies to it; every
+  // other build of the channel (a branch pushed again) only needs a version above the last one
+  const increment = bump || 'patch';
+  const next = maxVersion([incrementVersion(maxVersion(Object.values(candidates))), incrementVersion(candidates.git, increment)]);
+  const { version } = branchVersion(next, branch);
+  return { version, distTag, gitTag: `v${version}`, bump: increment, candidates };
+};
+
+const git = (args, options = {}) => execFileSync('git', args, {
+  cwd: __dirname,
+  encoding: 'utf8',
+  stdio: ['ignore', 'pipe', 'pipe'],
+  ...options
+}).trim();
+
+/**
+ * The branch being built, or null for a detached checkout. CI checks out pull requests and
+ * tags detached, so GitHub's ref variables are used when git has no branch.
+ */
+const getCurrentBranch = (env = process.env) => {
+  let branch = '';
+  try {
+    branch = git(['branch', '--show-current']);
+  } catch (e) {
+    console.warn('⚠️  Could not determine git branch, using default version');
+    return RELEASE_BRANCH;
+  }
+  if (!branch && env.GITHUB_HEAD_REF) {
+    branch = env.GITHUB_HEAD_REF;
+  } else if (!branch && env.GITHUB_REF_TYPE === 'branch') {
+    branch = env.GITHUB_REF_NAME;
+  }
+  return branch || null;
+};
+
+// Release tag of a workflow run on a tag (refs/tags/v1.2.3), or null
+const releaseTagFromEnv = (env = process.env) => {
+  const match = /^refs\/tags\/(v\d.*)$/.exec(env.GITHUB_REF || '');
+  return match ? match[1] : null;
+};
+
+// v* tags in the history of HEAD
+const listGitTags = () => {
+  try {
+    return git(['tag', '--merged', 'HEAD', '--list', 'v[0-9]*']).split('\n').filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+};
+
+const readPackageJson = () => JSON.parse(fs.readFileSync(PACKAGE_JSON, 'utf8'));
+
+// Versions and dist tags published to one registry
+const readRegistryVersions = (packageName, registry, env = process.env) => {
+  try {
+    const output = withRegistryAuth(registry, packageName, args => execFileSync('npm', ['view', packageName, 'versions', 'dist-tags', '--json', ...args], {
+      cwd: __dirname,
+      encoding: 'utf8',
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: NPM_TIMEOUT_MS
+    }), env);
+    const data = JSON.parse(output || '{}');
+    return { versions: [].concat(data.versions || []), distTags: data['dist-tags'] || {} };
+  } catch (e) {
+    if (!/E404/.test(`${e.stdout || ''}${e.stderr || ''}`)) {
+      console.warn(`⚠️  Could not read the published versions of ${packageName} from ${registry.url}: ${(e.stderr || e.message).split('\n')[0]}`);
+    }
+    return { versions: [], distTags: {} };
+  }
+};
+
+/**
+ * Versions and dist tags published for the package, across the given registries (each dist
+ * tag at its highest version). A package that was never published has none; other registry
+ * errors are reported and treated the same way, leaving the git tags and package.json to
+ * decide (publishing an existing version then fails instead of overwriting it).
+ * @param {string} packageName
+ * @param {Array<{ url: string, tokenEnv: string }>} registries see resolveRegistries
+ * @param {object} [env]
+ * @returns {{ versions: string[], distTags: Object<string, string> }}
+ */
+const readPublishedVersions = (packageName, registries, env = process.env) => {
+  const published = registries.map(registry => readRegistryVersions(packageName, registry, env));
+  const distTags = {};
+  published.forEach(({ distTags: tags }) => Object.entries(tags).forEach(([tag, version]) => {
+    if (!distTags[tag] || compareVersions(version, distTags[tag]) > 0) distTags[tag] = version;
+  }));
+  return { versions: [...new Set(published.flatMap(({ versions }) => versions))], distTags };
+};
+
+/**
+ * Resolve the release of the current checkout from git, the registries and package.json.
+ * @param {{ releaseTag?: string|null, registries?: Array<string|object>, bump?: string|null, env?: object }} options
+ *   releaseTag defaults to the tag of a workflow run on one (GITHUB_REF); registries is the
+ *   REGISTRIES config; bump the recommended bump of the ABI changes (see resolveRelease)
+ * @returns {{ version: string, distTag: string, gitTag: string, bump: string|null, branch: string|null,
+ *   candidates: Object<string, string> }}
+ */
+const prepareRelease = ({ releaseTag, registries, bump = null, env = process.env } = {}) => {
+  const packageJson = readPackageJson();
+  const tag = releaseTag || releaseTagFromEnv(env);
+  const branch = tag ? null : getCurrentBranch(env);
+  const release = resolveRelease({
+    branch,
+    releaseTag: tag,
+    packageVersion: packageJson.version,
+    gitTags: tag ? [] : listGitTags(),
+    published: tag ? { versions: [], distTags: {} } : readPublishedVersions(packageJson.name, resolveRegistries(registries, packageJson), env),
+    bump
+  });
+  return { ...release, branch };
+};
+
+// Write package.json the way npm does (two-space indent, trailing newline), so the build and a
+// release stamp leave the same bytes behind
+const writePackageJson = (packageJson) => {
+  fs.writeFileSync(PACKAGE_JSON, `${JSON.stringify(packageJson, null, 2)}\n`);
+};
+
+// Stamp package.json with the release version (like npm version --no-git-tag-version)
+const writePackageVersion = (version) => {
+  writePackageJson({ ...readPackageJson(), version });
+};
+
+/**
+ * Tag HEAD with the published version (v<version> from package.json) and optionally push the
+ * tag. A tag that already points at HEAD, as when publishing a release, is left alone.
+ * @param {{ push?: boolean, remote?: string }} options
+ * @returns {{ gitTag: string, created: boolean }}
+ */
+const tagRelease = ({ push = false, remote = 'origin' } = {}) => {
+  const { version } = readPackageJson();
+  const gitTag = `v${version}`;
+  let tagged = null;
+  try {
+    tagged = git(['rev-list', '-n', '1', gitTag]);
+  } catch (e) {
+    // No such tag yet
+  }
+
+  if (tagged && tagged !== git(['rev-parse', 'HEAD'])) {
+    throw new Error(`Tag ${gitTag} already exists on another commit (${tagged.slice(0, 7)})`);
+  }
+  if (!tagged) {
+    git(['tag', gitTag]);
+  }
+  if (push) {
+    git(['push', remote, `refs/tags/${gitTag}`], { stdio: ['ignore', 'pipe', 'inherit'] });
+  }
+  return { gitTag, created: !tagged };
+};
+
+/**
+ * Publish the built package (dist/ and package.json as stamped by the build) to every
+ * registry, under the dist tag the build recorded in build-info.json. Registries that already
+ * have the version are skipped, so a failed run can be repeated; a failure on one registry
+ * does not stop the others.
+ * @param {{ registries?: Array<string|object>, dryRun?: boolean, env?: object }} options
+ *   registries is the REGISTRIES config
+ * @returns {Array<{ url: string, status: 'published'|'skipped'|'failed', error?: string }>}
+ */
+const publishRelease = ({ registries, dryRun = false, env = process.env } = {}) => {
+  const packageJson = readPackageJson();
+  const buildInfoPath = path.join(__dirname, 'dist', 'build-info.json');
+  if (!fs.existsSync(buildInfoPath)) {
+    throw new Error('dist/ has not been built (run npm run build)');
+  }
+  const { packageVersion, distTag } = JSON.parse(fs.readFileSync(buildInfoPath, 'utf8'));
+  if (packageVersion !== packageJson.version) {
+    throw new Error(`dist/ was built as ${packageVersion} but package.json is ${packageJson.version} (run npm run build)`);
+  }
+
+  return resolveRegistries(registries, packageJson).map((registry) => {
+    if (readRegistryVersions(packageJson.name, registry, env).versions.includes(packageVersion)) {
+      console.log(`📝 ${packageJson.name}@${packageVersion} is already published to ${registry.url}`);
+      return { url: registry.url, status: 'skipped' };
+    }
+
+    try {
+      // The build already ran; --ignore-scripts keeps prepublish from rebuilding for every registry
+      withRegistryAuth(registry, packageJson.name, args => execFileSync('npm', [
+        'publish', '--tag', distTag, '--ignore-scripts', ...args, ...(dryRun ? ['--dry-run'] : [])
+      ], { cwd: __dirname, env, stdio: ['ignore', 'inherit', 'pipe'], timeout: NPM_TIMEOUT_MS }), env);
+      console.log(`✅ Published ${packageJson.name}@${packageVersion} to ${registry.url} (${distTag})${dryRun ? ' [dry run]' : ''}`);
+      return { url: registry.url, status: 'published' };
+    } catch (e) {
+      // npm prints its notices on stderr too; the error lines name the problem
+      const lines = ((e.stderr && e.stderr.toString().trim()) || e.message).split('\n');
+      const errorLines = lines.filter(line => /^npm (error|ERR!)/.test(line));
+      const error = (errorLines.length > 0 ? errorLines : lines).slice(0, 2).join(' ');
+      console.error(`❌ Publishing to ${registry.url} failed: ${error}`);
+      return { url: registry.url, status: 'failed', error };
+    }
+  });
+};
+
+module.exports = {
+  RELEASE_BRANCH,
+  parseVersion,
+  baseVersion,
+  compareVersions,
+  incrementVersion,
+  sanitizeBranch,
+  branchVersion,
+  resolveRelease,
+  getCurrentBranch,
+  releaseTagFromEnv,
+  readPublishedVersions,
+  prepareRelease,
+  publishRelease,
+  writePackageJson,
+  writePackageVersion,
+  tagRelease
+};
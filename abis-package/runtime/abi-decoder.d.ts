@@ -0,0 +1,48 @@
+export interface AbiParameter {
+  readonly type: string;
+  readonly name?: string;
+  readonly indexed?: boolean;
+  readonly components?: readonly AbiParameter[];
+}
+
+export interface DecodedRevert {
+  /** Contract whose ABI declares the error, null for Error(string) and Panic(uint256) */
+  readonly contract: string | null;
+  readonly name: string;
+  readonly signature: string;
+  readonly selector: string;
+  readonly args: readonly unknown[];
+  readonly namedArgs: Readonly<Record<string, unknown>>;
+}
+
+export interface DecodedLog {
+  readonly contract: string;
+  readonly name: string;
+  readonly signature: string;
+  readonly topic: string;
+  readonly args: readonly unknown[];
+  readonly namedArgs: Readonly<Record<string, unknown>>;
+}
+
+export interface RawLog {
+  readonly topics: readonly string[];
+  readonly data?: string;
+}
+
+export interface ContractSelectors {
+  readonly functions: Readonly<Record<string, string>>;
+  readonly events: Readonly<Record<string, string>>;
+  readonly errors: Readonly<Record<string, string>>;
+}
+
+export interface Decoder {
+  decodeRevert(data: string): DecodedRevert | null;
+  decodeLog(log: RawLog): DecodedLog | null;
+}
+
+export declare function createDecoder(
+  abis: Readonly<Record<string, readonly unknown[]>>,
+  selectors: Readonly<Record<string, ContractSelectors>>
+): Decoder;
+
+export declare function decodeParameters(params: readonly AbiParameter[], data: string): unknown[];
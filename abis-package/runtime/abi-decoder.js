@@ -0,0 +1,261 @@
+/**
+ * Dependency-free ABI decoding for revert data and event logs.
+ *
+ * Copied verbatim into the published package. Selectors and topics are
+ * precomputed at build time (selectors.json), so no hashing happens at runtime.
+ * Integers decode to BigInt, addresses to lowercase hex, bytes to 0x-prefixed hex.
+ */
+
+// Standard Solidity reverts that are not part of any ABI
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_REASONS = {
+  0x00: 'generic compiler panic',
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array encoding',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to uninitialized internal function'
+};
+
+const canonicalType = (param) => {
+  if (param.type.startsWith('tuple')) {
+    return `(${(param.components || []).map(canonicalType).join(',')})${param.type.slice('tuple'.length)}`;
+  }
+  return param.type;
+};
+
+const canonicalSignature = (entry) => `${entry.name}(${(entry.inputs || []).map(canonicalType).join(',')})`;
+
+// Split "uint256[2][]" into the element param and the outermost array suffix
+const parseArray = (param) => {
+  const match = param.type.match(/^(.*)\[(\d*)\]$/);
+  if (!match) return null;
+  return {
+    element: { ...param, type: match[1] },
+    length: match[2] === '' ? null : Number(match[2])
+  };
+};
+
+const isDynamic = (param) => {
+  const array = parseArray(param);
+  if (array) return array.length === null || isDynamic(array.element);
+  if (param.type === 'tuple') return (param.components || []).some(isDynamic);
+  return param.type === 'string' || param.type === 'bytes';
+};
+
+// Size of a parameter's head (static types are encoded in place)
+const headSize = (param) => {
+  if (isDynamic(param)) return 32;
+  const array = parseArray(param);
+  if (array) return array.length * headSize(array.element);
+  if (param.type === 'tuple') return (param.components || []).reduce((size, component) => size + headSize(component), 0);
+  return 32;
+};
+
+const readWord = (buffer, position) => {
+  if (position + 32 > buffer.length) {
+    throw new Error(`ABI decoding: data too short (needed ${position + 32} bytes, got ${buffer.length})`);
+  }
+  return buffer.subarray(position, position + 32);
+};
+
+const readUint = (buffer, position) => BigInt(`0x${readWord(buffer, position).toString('hex')}`);
+
+const readLength = (buffer, position) => {
+  const value = readUint(buffer, position);
+  if (value > BigInt(buffer.length)) {
+    throw new Error(`ABI decoding: invalid offset or length ${value}`);
+  }
+  return Number(value);
+};
+
+// Values keyed by parameter name (or position for unnamed parameters)
+const nameValues = (params, values) => {
+  const named = {};
+  params.forEach((param, i) => {
+    named[param.name || String(i)] = values[i];
+  });
+  return named;
+};
+
+const decodeValue = (param, buffer, position) => {
+  const array = parseArray(param);
+  if (array) {
+    if (array.length === null) {
+      const length = readLength(buffer, position);
+      return decodeParams(new Array(length).fill(array.element), buffer, position + 32);
+    }
+    return decodeParams(new Array(array.length).fill(array.element), buffer, position);
+  }
+
+  if (param.type === 'tuple') {
+    const components = param.components || [];
+    const values = decodeParams(components, buffer, position);
+    return components.every(component => component.name) ? nameValues(components, values) : values;
+  }
+
+  if (param.type === 'string' || param.type === 'bytes') {
+    const length = readLength(buffer, position);
+    const start = position + 32;
+    if (start + length > buffer.length) {
+      throw new Error('ABI decoding: data too short for dynamic bytes');
+    }
+    const bytes = buffer.subarray(start, start + length);
+    return param.type === 'string' ? bytes.toString('utf8') : `0x${bytes.toString('hex')}`;
+  }
+
+  const word = readWord(buffer, position);
+  if (param.type === 'address') return `0x${word.subarray(12).toString('hex')}`;
+  if (param.type === 'bool') return word[31] !== 0;
+  if (param.type.startsWith('uint')) return BigInt(`0x${word.toString('hex')}`);
+  if (param.type.startsWith('int')) return BigInt.asIntN(256, BigInt(`0x${word.toString('hex')}`));
+  if (param.type.startsWith('bytes')) {
+    const size = Number(param.type.slice('bytes'.length));
+    return `0x${word.subarray(0, size).toString('hex')}`;
+  }
+  if (param.type === 'function') return `0x${word.subarray(0, 24).toString('hex')}`;
+
+  throw new Error(`ABI decoding: unsupported type ${param.type}`);
+};
+
+// Decode a head/tail encoded list of parameters starting at `offset`
+const decodeParams = (params, buffer, offset = 0) => {
+  let cursor = offset;
+  return params.map(param => {
+    let value;
+    if (isDynamic(param)) {
+      value = decodeValue(param, buffer, offset + readLength(buffer, cursor));
+      cursor += 32;
+    } else {
+      value = decodeValue(param, buffer, cursor);
+      cursor += headSize(param);
+    }
+    return value;
+  });
+};
+
+const toBuffer = (hex) => {
+  if (typeof hex !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(hex)) {
+    throw new Error(`ABI decoding: expected 0x-prefixed hex, got ${JSON.stringify(hex)}`);
+  }
+  return Buffer.from(hex.slice(2), 'hex');
+};
+
+/**
+ * Decode ABI-encoded data for a list of parameters.
+ * @param {Array<{type: string, name?: string, components?: Array}>} params
+ * @param {string} data 0x-prefixed hex
+ * @returns {Array}
+ */
+const decodeParameters = (params, data) => decodeParams(params, toBuffer(data));
+
+/**
+ * Build decodeRevert/decodeLog for a set of ABIs.
+ * @param {Object<string, Array>} abis ABIs keyed by contract name
+ * @param {Object<string, {errors: Object<string, string>, events: Object<string, string>}>} selectors
+ *   precomputed selectors.json: canonical signature -> selector/topic per contract
+ */
+const createDecoder = (abis, selectors) => {
+  const errorsBySelector = new Map();
+  const eventsByTopic = new Map();
+
+  Object.entries(abis).forEach(([contract, abi]) => {
+    const contractSelectors = selectors[contract] || {};
+    abi.forEach(entry => {
+      if (entry.type === 'error') {
+        const selector = (contractSelectors.errors || {})[canonicalSignature(entry)];
+        if (selector && !errorsBySelector.has(selector)) errorsBySelector.set(selector, { contract, entry });
+      } else if (entry.type === 'event' && !entry.anonymous) {
+        const topic = (contractSelectors.events || {})[canonicalSignature(entry)];
+        if (topic && !eventsByTopic.has(topic)) eventsByTopic.set(topic, { contract, entry });
+      }
+    });
+  });
+
+  /**
+   * Decode revert data (Error(string), Panic(uint256) or a custom error from any packaged ABI).
+   * Returns null when the selector is unknown.
+   */
+  const decodeRevert = (data) => {
+    const buffer = toBuffer(data);
+    if (buffer.length < 4) return null;
+
+    const selector = `0x${buffer.subarray(0, 4).toString('hex')}`;
+    const payload = buffer.subarray(4);
+
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [message] = decodeParams([{ type: 'string' }], payload);
+      return { contract: null, name: 'Error', signature: 'Error(string)', selector, args: [message], namedArgs: { message } };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = decodeParams([{ type: 'uint256' }], payload);
+      const reason = PANIC_REASONS[Number(code)] || 'unknown panic code';
+      return { contract: null, name: 'Panic', signature: 'Panic(uint256)', selector, args: [code], namedArgs: { code, reason } };
+    }
+
+    const match = errorsBySelector.get(selector);
+    if (!match) return null;
+
+    const inputs = match.entry.inputs || [];
+    const args = decodeParams(inputs, payload);
+    return {
+      contract: match.contract,
+      name: match.entry.name,
+      signature: canonicalSignature(match.entry),
+      selector,
+      args,
+      namedArgs: nameValues(inputs, args)
+    };
+  };
+
+  /**
+   * Decode a raw log ({ topics, data }) emitted by any packaged contract.
+   * Indexed dynamic values (string, bytes, arrays, tuples) can only be returned as their topic hash.
+   * Returns null for unknown or anonymous events.
+   */
+  const decodeLog = (log) => {
+    const topics = (log && log.topics) || [];
+    if (topics.length === 0) return null;
+
+    const topic = topics[0].toLowerCase();
+    const match = eventsByTopic.get(topic);
+    if (!match) return null;
+
+    const inputs = match.entry.inputs || [];
+    const indexed = inputs.filter(input => input.indexed);
+    if (topics.length !== indexed.length + 1) {
+      throw new Error(`ABI decoding: ${match.entry.name} expects ${indexed.length} indexed topics, got ${topics.length - 1}`);
+    }
+
+    const dataValues = decodeParams(inputs.filter(input => !input.indexed), toBuffer(log.data || '0x'));
+    let topicIndex = 1;
+    let dataIndex = 0;
+    const args = inputs.map(input => {
+      if (!input.indexed) return dataValues[dataIndex++];
+      const topicValue = topics[topicIndex++];
+      return isDynamic(input) || input.type === 'tuple' || parseArray(input)
+        ? topicValue
+        : decodeValue(input, toBuffer(topicValue), 0);
+    });
+
+    return {
+      contract: match.contract,
+      name: match.entry.name,
+      signature: canonicalSignature(match.entry),
+      topic,
+      args,
+      namedArgs: nameValues(inputs, args)
+    };
+  };
+
+  return { decodeRevert, decodeLog };
+};
+
+module.exports = { createDecoder, decodeParameters };
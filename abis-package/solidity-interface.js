@@ -0,0 +1,184 @@
+/**
+ * Solidity interfaces (I<Contract>.sol) generated from the ABIs, for Foundry projects that
+ * call the packaged contracts.
+ *
+ * Struct types are rebuilt from the tuple `components`, named after their `internalType`
+ * (`struct Vault.Position` → `Position`). Contract and enum parameters are declared as their
+ * ABI types (address, uint8), since their definitions are not part of the ABI.
+ */
+
+// Custom errors need 0.8.4
+const PRAGMA = 'pragma solidity ^0.8.4;';
+
+// ABI types a Solidity parameter can be declared with; library ABIs can contain others
+// (storage references), which have no interface equivalent
+const ELEMENTARY_TYPE = /^(address|bool|string|bytes\d*|u?int\d*|tuple)(\[\d*\])*$/;
+
+// Tuple type of a parameter without its array suffix: (uint256,address)
+const tupleShape = param => `(${(param.components || []).map(component => (
+  component.type.startsWith('tuple') ? `${tupleShape(component)}${component.type.slice('tuple'.length)}` : component.type
+)).join(',')})`;
+
+// Every parameter of an entry, including struct members
+const allParams = (params = []) => params.flatMap(param => [param, ...allParams(param.components)]);
+
+// `struct Vault.Position[]` → Vault.Position
+const structName = (param) => {
+  const match = /^struct ([\w.]+)/.exec(param.internalType || '');
+  return match ? match[1] : null;
+};
+
+const structKey = param => structName(param) || tupleShape(param);
+
+/**
+ * Collect the struct types of an ABI and give each a name: the one from its internalType,
+ * qualified with the defining contract (Shapes_Position) when another struct has it, unless it
+ * is the contract's own. Tuples without an internalType are named by shape (Struct1, Struct2, …).
+ * @returns {Map<string, { name: string, components: Array }>} structs by key (see structKey)
+ */
+const collectStructs = (contract, abi) => {
+  const structs = new Map();
+  abi.flatMap(entry => allParams([...(entry.inputs || []), ...(entry.outputs || [])]))
+    .filter(param => param.type.startsWith('tuple'))
+    .forEach(param => {
+      const key = structKey(param);
+      if (!structs.has(key)) {
+        structs.set(key, { qualifiedName: structName(param), components: param.components || [] });
+      }
+    });
+
+  const shortNames = [...structs.values()].map(struct => struct.qualifiedName && struct.qualifiedName.split('.').pop());
+  let anonymous = 0;
+  [...structs.values()].forEach((struct, i) => {
+    if (!struct.qualifiedName) {
+      struct.name = `Struct${++anonymous}`;
+    } else if (shortNames.filter(name => name === shortNames[i]).length > 1 && struct.qualifiedName !== `${contract}.${shortNames[i]}`) {
+      struct.name = struct.qualifiedName.replace(/\./g, '_');
+    } else {
+      struct.name = shortNames[i];
+    }
+  });
+  return structs;
+};
+
+// Solidity type of a parameter, with structs by their generated name
+const solidityType = (param, structs) => {
+  if (param.type.startsWith('tuple')) {
+    return `${structs.get(structKey(param)).name}${param.type.slice('tuple'.length)}`;
+  }
+  return param.type;
+};
+
+// Arrays, strings, bytes and structs need a data location in function declarations
+const isReferenceType = type => /\]$/.test(type) || type === 'string' || type === 'bytes' || type.startsWith('tuple');
+
+const formatParams = (params, structs, location = null) => params.map(param => [
+  solidityType(param, structs),
+  location && isReferenceType(param.type) ? location : null,
+  param.indexed ? 'indexed' : null,
+  param.name || null
+].filter(Boolean).join(' ')).join(', ');
+
+// Solidity declaration of an ABI entry, or null for entries an interface cannot declare
+const formatDeclaration = (entry, structs) => {
+  const mutability = ['view', 'pure', 'payable'].includes(entry.stateMutability) ? ` ${entry.stateMutability}` : '';
+  switch (entry.type) {
+    case 'function': {
+      const outputs = entry.outputs || [];
+      const returns = outputs.length > 0 ? ` returns (${formatParams(outputs, structs, 'memory')})` : '';
+      return `function ${entry.name}(${formatParams(entry.inputs || [], structs, 'calldata')}) external${mutability}${returns};`;
+    }
+    case 'event':
+      return `event ${entry.name}(${formatParams(entry.inputs || [], structs)})${entry.anonymous ? ' anonymous' : ''};`;
+    case 'error':
+      return `error ${entry.name}(${formatParams(entry.inputs || [], structs)});`;
+    case 'fallback':
+    case 'receive':
+      return `${entry.type}() external${mutability};`;
+    default:
+      // Interfaces have no constructor
+      return null;
+  }
+};
+
+// A NatSpec tag as `///` comment lines
+const tagged = (tag, text) => String(text).split('\n').map((line, i) => (i === 0 ? `/// @${tag} ${line}` : `/// ${line}`));
+
+// NatSpec comment lines for a documented entry
+const natspecLines = (doc, entry) => {
+  if (!doc) {
+    return [];
+  }
+  const params = (entry.inputs || [])
+    .filter(input => input.name && doc.params[input.name])
+    .flatMap(input => tagged('param', `${input.name} ${doc.params[input.name]}`));
+  const returns = entry.type === 'function'
+    ? (entry.outputs || []).flatMap((output, i) => {
+      const text = doc.returns[output.name || `_${i}`];
+      if (!text) return [];
+      return tagged('return', output.name ? `${output.name} ${text}` : text);
+    })
+    : [];
+  return [
+    ...(doc.notice ? tagged('notice', doc.notice) : []),
+    ...(doc.details ? tagged('dev', doc.details) : []),
+    ...params,
+    ...returns
+  ];
+};
+
+/**
+ * Render the Solidity interface of a contract.
+ * @param {string} contract contract name; the interface is named I<contract>
+ * @param {Array} abi
+ * @param {{ contractDoc?: object, docFor?: (entry: object) => object|undefined, license?: string }} options
+ *   contractDoc and docFor supply the NatSpec of the contract and of each ABI entry
+ * @returns {string|null} the source, or null when the ABI uses types an interface cannot declare
+ */
+const renderSolidityInterface = (contract, abi, { contractDoc = {}, docFor = () => undefined, license = 'UNLICENSED' } = {}) => {
+  const params = abi.flatMap(entry => allParams([...(entry.inputs || []), ...(entry.outputs || [])]));
+  if (!params.every(param => ELEMENTARY_TYPE.test(param.type))) {
+    return null;
+  }
+
+  const structs = collectStructs(contract, abi);
+  const indent = lines => lines.map(line => `    ${line}`);
+  const sections = [
+    // Structs first, then the entries grouped like a hand-written interface
+    [...structs.values()].map(struct => [
+      `struct ${struct.name} {`,
+      ...indent(struct.components.map((component, i) => `${solidityType(component, structs)} ${component.name || `field${i}`};`)),
+      '}'
+    ]),
+    ...['error', 'event', 'receive', 'fallback', 'function'].map(type => abi
+      .filter(entry => entry.type === type)
+      .map(entry => [...natspecLines(docFor(entry), entry), formatDeclaration(entry, structs)]))
+  ].filter(section => section.length > 0);
+
+  const contractLines = [
+    ['title', contractDoc.title],
+    ['author', contractDoc.author],
+    ['notice', contractDoc.notice],
+    ['dev', contractDoc.details]
+  ].filter(([, text]) => text).flatMap(([tag, text]) => tagged(tag, text));
+
+  // Undocumented declarations of one kind stay together, documented ones get a blank line
+  const body = sections
+    .map(section => section.map(lines => indent(lines).join('\n')).join(section.every(lines => lines.length === 1) ? '\n' : '\n\n'))
+    .join('\n\n');
+  return [
+    `// SPDX-License-Identifier: ${license}`,
+    `// Auto-generated from the ${contract} ABI`,
+    PRAGMA,
+    '',
+    ...contractLines,
+    `interface I${contract} {`,
+    ...(body ? [body] : []),
+    '}',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  renderSolidityInterface
+};
@@ -0,0 +1,216 @@
+/**
+ * Storage layouts of upgradeable contracts and the upgrade safety of changes to them.
+ *
+ * Layouts are solc's `storageLayout` output ({ storage, types }), which Foundry adds to the
+ * artifacts with `extra_output = ["storageLayout"]`. A new implementation behind an existing
+ * proxy must keep every variable at its slot and offset with a compatible type; it may only
+ * append variables or take slots from the end of a `__gap` array.
+ */
+
+// Variables whose name starts with this reserve slots for later versions
+const GAP_PREFIX = '__gap';
+
+/**
+ * Layout as shipped in the package: solc's format without the AST ids, which change with
+ * every compilation. Returns null when the artifact has no storage layout.
+ * @param {object} contractData Foundry artifact
+ */
+const extractStorageLayout = (contractData) => {
+  const layout = contractData.storageLayout;
+  if (!layout || !Array.isArray(layout.storage)) {
+    return null;
+  }
+  return {
+    storage: layout.storage.map(({ astId, ...variable }) => variable),
+    types: layout.types || {}
+  };
+};
+
+// Storage shape of a type: what has to stay the same for existing data to be read back.
+// Contract and enum types are stored like address and uint8; struct members are compared
+// by position and shape, not by name.
+const typeShape = (types, typeId) => {
+  const type = types[typeId];
+  if (!type) {
+    return typeId;
+  }
+  if (type.encoding === 'mapping') {
+    return `mapping(${typeShape(types, type.key)} => ${typeShape(types, type.value)})`;
+  }
+  if (type.encoding === 'dynamic_array') {
+    return `${typeShape(types, type.base)}[]`;
+  }
+  if (type.base) {
+    return `${typeShape(types, type.base)}[${type.numberOfBytes} bytes]`;
+  }
+  if (type.members) {
+    return `struct { ${type.members.map(member => `${member.slot}:${member.offset} ${typeShape(types, member.type)}`).join('; ')} }`;
+  }
+  if (/^contract /.test(type.label) || type.label === 'address payable') {
+    return 'address';
+  }
+  if (/^enum /.test(type.label)) {
+    return `enum(${type.numberOfBytes})`;
+  }
+  return type.label;
+};
+
+// Variables of a layout with their position, end (in bytes from slot 0), type label and shape
+const layoutVariables = (layout) => layout.storage.map(variable => {
+  const type = layout.types[variable.type] || {};
+  const start = BigInt(variable.slot) * 32n + BigInt(variable.offset);
+  return {
+    label: variable.label,
+    slot: String(variable.slot),
+    offset: variable.offset,
+    type: type.label || variable.type,
+    shape: typeShape(layout.types, variable.type),
+    end: start + BigInt(type.numberOfBytes || 32)
+  };
+});
+
+const position = variable => `slot ${variable.slot}${variable.offset > 0 ? `, offset ${variable.offset}` : ''}`;
+const isGap = variable => variable.label.startsWith(GAP_PREFIX);
+
+/**
+ * Compare two storage layouts of a contract.
+ * Every change is { kind, label, description, safe }: kind is 'added', 'removed', 'moved',
+ * 'retyped', 'replaced', 'renamed' or 'gap'. Removed, moved, retyped and replaced variables
+ * corrupt the state of a proxy upgraded to the new layout.
+ * @returns {{ changes: Array<{ kind: string, label: string, description: string, safe: boolean }>, unsafe: boolean }}
+ */
+const compareStorageLayouts = (oldLayout, newLayout) => {
+  const oldVariables = layoutVariables(oldLayout);
+  const newVariables = layoutVariables(newLayout);
+  const at = (variables, variable) => variables.find(other => other.slot === variable.slot && other.offset === variable.offset);
+  const named = (variables, label) => variables.find(other => other.label === label);
+  const changes = [];
+  const change = (kind, label, description, safe) => changes.push({ kind, label, description, safe });
+
+  // A gap may shrink from the front to make room for new variables, as long as it still ends where it did
+  const keptGap = (oldVariable) => {
+    const sameName = named(newVariables, oldVariable.label);
+    return isGap(oldVariable) && sameName && isGap(sameName) && sameName.end === oldVariable.end;
+  };
+
+  oldVariables.forEach(oldVariable => {
+    const current = at(newVariables, oldVariable);
+    const sameName = named(newVariables, oldVariable.label);
+
+    if (keptGap(oldVariable)) {
+      if (sameName.type !== oldVariable.type) {
+        change('gap', oldVariable.label, `\`${oldVariable.label}\`: \`${oldVariable.type}\` → \`${sameName.type}\``, true);
+      }
+      return;
+    }
+
+    if (sameName && sameName !== current) {
+      change('moved', oldVariable.label, `\`${oldVariable.label}\`: ${position(oldVariable)} → ${position(sameName)}`, false);
+    } else if (current && current.shape === oldVariable.shape) {
+      if (current.label !== oldVariable.label) {
+        change('renamed', oldVariable.label, `\`${oldVariable.label}\` → \`${current.label}\` (${position(current)})`, true);
+      }
+    } else if (current && current.label === oldVariable.label) {
+      // Same type name with a different layout: a struct or enum the type refers to was changed
+      const retype = current.type === oldVariable.type
+        ? `\`${current.type}\` changed its layout`
+        : `\`${oldVariable.type}\` → \`${current.type}\``;
+      change('retyped', oldVariable.label, `\`${oldVariable.label}\`: ${retype} (${position(current)})`, false);
+    } else if (current) {
+      change('replaced', oldVariable.label,
+        `\`${oldVariable.type} ${oldVariable.label}\` → \`${current.type} ${current.label}\` (${position(current)})`, false);
+    } else {
+      change('removed', oldVariable.label, `\`${oldVariable.type} ${oldVariable.label}\` (${position(oldVariable)})`, false);
+    }
+  });
+
+  // New variables are safe on their own; any variable they displace is reported above
+  newVariables
+    .filter(newVariable => {
+      const displaced = at(oldVariables, newVariable);
+      return (!displaced || keptGap(displaced)) && !named(oldVariables, newVariable.label);
+    })
+    .forEach(newVariable => {
+      change('added', newVariable.label, `\`${newVariable.type} ${newVariable.label}\` (${position(newVariable)})`, true);
+    });
+
+  return { changes, unsafe: changes.some(entry => !entry.safe) };
+};
+
+/**
+ * Compare the storage layouts of every contract with the baseline.
+ * @param {Object<string, object>} previousLayouts baseline layouts by contract
+ * @param {Object<string, object|null>} currentLayouts current layouts by contract (null: not in the artifact)
+ * @param {string[]} previousContracts contracts of the baseline, to tell unchecked from new ones
+ * @returns {{ contracts: Object<string, { changes: Array, unsafe: boolean }>, unsafe: string[], missing: string[], unchecked: string[] }}
+ *   contracts lists those with layout changes; missing have no layout in their artifact,
+ *   unchecked had none in the baseline
+ */
+const diffStorageLayouts = (previousLayouts, currentLayouts, previousContracts) => {
+  const result = { contracts: {}, unsafe: [], missing: [], unchecked: [] };
+  Object.entries(currentLayouts).forEach(([contract, layout]) => {
+    if (!layout) {
+      result.missing.push(contract);
+      return;
+    }
+    if (!previousLayouts[contract]) {
+      if (previousContracts.includes(contract)) result.unchecked.push(contract);
+      return;
+    }
+
+    const comparison = compareStorageLayouts(previousLayouts[contract], layout);
+    if (comparison.changes.length > 0) {
+      result.contracts[contract] = comparison;
+    }
+    if (comparison.unsafe) {
+      result.unsafe.push(contract);
+    }
+  });
+  return result;
+};
+
+// Changelog labels of each kind of change
+const CHANGE_LABELS = {
+  removed: 'Removed',
+  moved: 'Moved',
+  retyped: 'Retyped',
+  replaced: 'Replaced',
+  renamed: 'Renamed',
+  gap: 'Resized gap',
+  added: 'Added'
+};
+
+/**
+ * Markdown section of a storage layout diff, empty when there is nothing to report.
+ * @param {{ contracts: object, missing: string[], unchecked: string[] }} storage from diffStorageLayouts()
+ * @param {number} [depth] heading level of the section
+ */
+const renderStorageChanges = (storage, depth = 2) => {
+  const sections = Object.entries(storage.contracts).map(([contract, { changes, unsafe }]) => {
+    const level = '#'.repeat(depth + 1);
+    const heading = unsafe ? `${level} ⚠️ ${contract} — unsafe upgrade` : `${level} ${contract}`;
+    const lines = Object.keys(CHANGE_LABELS).flatMap(kind => changes
+      .filter(entry => entry.kind === kind)
+      .map(entry => `- **${CHANGE_LABELS[kind]}**${entry.safe ? '' : ' (unsafe)'}: ${entry.description}`));
+    return `${heading}\n${lines.join('\n')}\n`;
+  });
+
+  const notes = [
+    storage.missing.length > 0 &&
+      `Storage layout not available for ${storage.missing.map(contract => `\`${contract}\``).join(', ')}; upgrade safety was not checked.`,
+    storage.unchecked.length > 0 &&
+      `The baseline has no storage layout for ${storage.unchecked.map(contract => `\`${contract}\``).join(', ')}; upgrade safety was not checked.`
+  ].filter(Boolean);
+
+  if (sections.length === 0 && notes.length === 0) {
+    return '';
+  }
+  return `${'#'.repeat(depth)} Storage Layout\n\n${[...sections, ...notes.map(note => `${note}\n`)].join('\n')}`;
+};
+
+module.exports = {
+  extractStorageLayout,
+  compareStorageLayouts,
+  diffStorageLayouts,
+  renderStorageChanges
+};
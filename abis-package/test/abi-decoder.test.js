@@ -0,0 +1,180 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSelectors } = require('../build');
+const { createDecoder, decodeParameters } = require('../runtime/abi-decoder');
+
+const abi = [
+  {
+    type: 'error',
+    name: 'InsufficientBalance',
+    inputs: [{ name: 'account', type: 'address' }, { name: 'needed', type: 'uint256' }]
+  },
+  {
+    type: 'error',
+    name: 'BadOrder',
+    inputs: [
+      { name: 'order', type: 'tuple', components: [{ name: 'id', type: 'uint64' }, { name: 'tags', type: 'string[]' }] },
+      { name: 'data', type: 'bytes' }
+    ]
+  },
+  {
+    type: 'event',
+    name: 'Transfer',
+    anonymous: false,
+    inputs: [
+      { name: 'from', type: 'address', indexed: true },
+      { name: 'to', type: 'address', indexed: true },
+      { name: 'value', type: 'uint256', indexed: false }
+    ]
+  },
+  {
+    type: 'event',
+    name: 'Noted',
+    anonymous: false,
+    inputs: [
+      { name: 'label', type: 'string', indexed: true },
+      { name: 'amounts', type: 'int256[2]', indexed: false },
+      { name: 'flag', type: 'bool', indexed: false }
+    ]
+  },
+  { type: 'function', name: 'transfer', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [] }
+];
+
+// The fixtures are spelled out word by word; each matches what ethers' Interface encodes
+// (encodeErrorResult/encodeEventLog) for the same values
+const word = hex => hex.padStart(64, '0');
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+// The selectors.json the build ships, and the decoder the package exposes with it
+const selectors = buildSelectors(abi);
+const { decodeRevert, decodeLog } = createDecoder({ Token: abi }, { Token: selectors });
+
+describe('buildSelectors', () => {
+  it('keys selectors and topics by canonical signature', () => {
+    assert.deepEqual(selectors, {
+      functions: { 'transfer(address,uint256)': '0xa9059cbb' },
+      events: {
+        'Transfer(address,address,uint256)': '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+        'Noted(string,int256[2],bool)': '0xf602f2f905c69d0bceaa455a0ddd753ead489e48ce254ba574f9b2e7d998c04e'
+      },
+      errors: {
+        'InsufficientBalance(address,uint256)': '0xf6deaa04',
+        'BadOrder((uint64,string[]),bytes)': '0xdc6bfff3'
+      }
+    });
+  });
+});
+
+describe('decodeRevert', () => {
+  it('decodes a custom error', () => {
+    const decoded = decodeRevert(`0xf6deaa04${word(ALICE.slice(2))}${word('0a')}`);
+
+    assert.deepEqual(decoded, {
+      contract: 'Token',
+      name: 'InsufficientBalance',
+      signature: 'InsufficientBalance(address,uint256)',
+      selector: '0xf6deaa04',
+      args: [ALICE, 10n],
+      namedArgs: { account: ALICE, needed: 10n }
+    });
+  });
+
+  it('decodes tuples, dynamic arrays and bytes', () => {
+    const data = '0xdc6bfff3' + [
+      word('40'), word('160'),
+      // order: id, offset of tags
+      word('07'), word('40'),
+      // tags: length, offsets of both strings, then "x" and "yz"
+      word('02'), word('40'), word('80'),
+      word('01'), '78'.padEnd(64, '0'),
+      word('02'), '797a'.padEnd(64, '0'),
+      // data
+      word('02'), 'dead'.padEnd(64, '0')
+    ].join('');
+
+    const decoded = decodeRevert(data);
+
+    assert.equal(decoded.signature, 'BadOrder((uint64,string[]),bytes)');
+    assert.deepEqual(decoded.namedArgs, { order: { id: 7n, tags: ['x', 'yz'] }, data: '0xdead' });
+  });
+
+  it('decodes Error(string) and Panic(uint256)', () => {
+    const errorString = decodeRevert(`0x08c379a0${word('20')}${word('04')}${'626f6f6d'.padEnd(64, '0')}`);
+    assert.equal(errorString.contract, null);
+    assert.deepEqual(errorString.namedArgs, { message: 'boom' });
+
+    const panic = decodeRevert(`0x4e487b71${word('11')}`);
+    assert.equal(panic.signature, 'Panic(uint256)');
+    assert.deepEqual(panic.namedArgs, { code: 0x11n, reason: 'arithmetic overflow or underflow' });
+  });
+
+  it('returns null for unknown selectors and data shorter than a selector', () => {
+    assert.equal(decodeRevert(`0xdeadbeef${word('01')}`), null);
+    assert.equal(decodeRevert('0x'), null);
+  });
+
+  it('rejects truncated data and non-hex input', () => {
+    assert.throws(() => decodeRevert(`0xf6deaa04${word(ALICE.slice(2))}`), /data too short/);
+    assert.throws(() => decodeRevert('f6deaa04'), /expected 0x-prefixed hex/);
+  });
+});
+
+describe('decodeLog', () => {
+  it('decodes indexed topics and data', () => {
+    const decoded = decodeLog({
+      topics: [
+        '0xDDF252AD1BE2C89B69C2B068FC378DAA952BA7F163C4A11628F55A4DF523B3EF',
+        `0x${word(ALICE.slice(2))}`,
+        `0x${word(BOB.slice(2))}`
+      ],
+      data: `0x${word('05')}`
+    });
+
+    assert.deepEqual(decoded, {
+      contract: 'Token',
+      name: 'Transfer',
+      signature: 'Transfer(address,address,uint256)',
+      topic: '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+      args: [ALICE, BOB, 5n],
+      namedArgs: { from: ALICE, to: BOB, value: 5n }
+    });
+  });
+
+  it('returns indexed dynamic values as their topic hash and decodes signed integers', () => {
+    const labelHash = '0x1c8aff950685c2ed4bc3174f3472287b56d9517b9c948127319a09a7a36deac8';
+    const decoded = decodeLog({
+      topics: ['0xf602f2f905c69d0bceaa455a0ddd753ead489e48ce254ba574f9b2e7d998c04e', labelHash],
+      data: `0x${'f'.repeat(63)}b${word('03')}${word('01')}`
+    });
+
+    assert.deepEqual(decoded.namedArgs, { label: labelHash, amounts: [-5n, 3n], flag: true });
+  });
+
+  it('returns null for unknown events and logs without topics', () => {
+    assert.equal(decodeLog({ topics: [`0x${word('01')}`], data: '0x' }), null);
+    assert.equal(decodeLog({ topics: [], data: '0x' }), null);
+  });
+
+  it('rejects a log with the wrong number of indexed topics', () => {
+    assert.throws(
+      () => decodeLog({ topics: ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'], data: `0x${word('05')}` }),
+      /expects 2 indexed topics, got 0/
+    );
+  });
+});
+
+describe('decodeParameters', () => {
+  it('names tuples only when every component is named', () => {
+    const [named, positional] = decodeParameters(
+      [
+        { type: 'tuple', components: [{ name: 'a', type: 'uint8' }, { name: 'b', type: 'bool' }] },
+        { type: 'tuple', components: [{ name: 'a', type: 'uint8' }, { name: '', type: 'bool' }] }
+      ],
+      `0x${word('01')}${word('01')}${word('02')}${word('00')}`
+    );
+
+    assert.deepEqual(named, { a: 1n, b: true });
+    assert.deepEqual(positional, [2n, false]);
+  });
+});
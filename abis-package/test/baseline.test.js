@@ -0,0 +1,204 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const counterV1 = [{ type: 'function', name: 'increment', inputs: [], outputs: [], stateMutability: 'nonpayable' }];
+const counterV2 = [...counterV1, { type: 'function', name: 'reset', inputs: [], outputs: [], stateMutability: 'nonpayable' }];
+
+// The 'git' baseline works on the repository around build.js, so the builder is copied into a
+// scratch repository with its own release tags, and an npm stand-in on the PATH answers
+// `npm pack` with the package published for a tag (from a directory per version)
+describe('git changelog baseline', () => {
+  const fakeNpm = `#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_NPM_LOG, JSON.stringify(args) + '\\n');
+const [name, version] = args[1].split(/(?!^)@/);
+const published = path.join(process.env.FAKE_NPM_PUBLISHED, version);
+if (args[0] !== 'pack' || !fs.existsSync(published)) {
+  console.error('npm error code E404');
+  process.exit(1);
+}
+const tarball = name.replace('@', '').replace('/', '-') + '-' + version + '.tgz';
+execFileSync('tar', ['-czf', path.join(args[args.indexOf('--pack-destination') + 1], tarball), '-C', published, 'package']);
+`;
+  let root;
+  let repo;
+  let builder;
+  let originalEnv;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'pipe', encoding: 'utf8' });
+
+  // Commit files of the package directory and tag the commit (then move HEAD past it, as a
+  // release tag on HEAD itself is not its own baseline)
+  const release = (tag, files) => {
+    Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(builder, file), JSON.stringify(content)));
+    git('add', '-A');
+    git('commit', '-qm', `release ${tag}`);
+    git('tag', tag);
+    git('commit', '-q', '--allow-empty', '-m', `after ${tag}`);
+  };
+
+  // A package as published to the registry, with its dist/changes.json
+  const publish = (version, history) => {
+    const dist = path.join(process.env.FAKE_NPM_PUBLISHED, version, 'package', 'dist');
+    fs.mkdirSync(dist, { recursive: true });
+    fs.writeFileSync(path.join(dist, '..', 'package.json'), JSON.stringify({ version }));
+    fs.writeFileSync(path.join(dist, 'changes.json'), JSON.stringify(history));
+  };
+
+  const npmCalls = () => fs.readFileSync(process.env.FAKE_NPM_LOG, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const loadBuilder = () => require(path.join(builder, 'build.js'));
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-baseline-test-'));
+    repo = path.join(root, 'repo');
+    builder = path.join(repo, 'abis-package');
+    fs.mkdirSync(path.join(builder, 'runtime'), { recursive: true });
+    const source = path.join(__dirname, '..');
+    fs.readdirSync(source).filter(file => file.endsWith('.js') || file === 'package.json')
+      .forEach(file => fs.copyFileSync(path.join(source, file), path.join(builder, file)));
+    fs.readdirSync(path.join(source, 'runtime'))
+      .forEach(file => fs.copyFileSync(path.join(source, 'runtime', file), path.join(builder, 'runtime', file)));
+
+    const bin = path.join(root, 'bin');
+    fs.mkdirSync(bin);
+    fs.writeFileSync(path.join(bin, 'npm'), fakeNpm, { mode: 0o755 });
+    originalEnv = { ...process.env };
+    Object.assign(process.env, {
+      PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+      FAKE_NPM_PUBLISHED: path.join(root, 'published'),
+      FAKE_NPM_LOG: path.join(root, 'npm.log'),
+      GIT_AUTHOR_NAME: 'test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'test',
+      GIT_COMMITTER_EMAIL: 'test@example.com'
+    });
+    delete process.env.NODE_AUTH_TOKEN;
+
+    execFileSync('git', ['init', '-q', repo]);
+    git('add', '-A');
+    git('commit', '-qm', 'builder');
+  });
+
+  after(() => {
+    process.env = originalEnv;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.writeFileSync(process.env.FAKE_NPM_LOG, '');
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('falls back to the published package for the history of a tag without a committed one', () => {
+    const { loadBaseline, renderChangelog, diffAbis } = loadBuilder();
+
+    // The first release, as the publish workflow does it: built, published and tagged, with
+    // only the ABI snapshot committed
+    const first = renderChangelog(
+      { version: '0.0.0', label: null, abis: {}, history: null },
+      diffAbis({}, { Counter: counterV1 }),
+      null,
+      { version: '1.0.0', date: '2026-01-01' }
+    );
+    publish('1.0.0', first.history);
+    release('v1.0.0', { 'abi-snapshot.json': { Counter: counterV1 } });
+
+    const warnings = [];
+    const baseline = loadBaseline({ CHANGELOG_BASELINE: 'git' }, { warnings });
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(baseline.abis, { Counter: counterV1 });
+    assert.deepEqual(baseline.history, first.history.versions);
+    assert.equal(npmCalls().filter(args => args[0] === 'pack').length, 1);
+
+    // The second release keeps the section of the first
+    const second = renderChangelog(baseline, diffAbis(baseline.abis, { Counter: counterV2 }), null, { version: '1.1.0', date: '2026-02-01' });
+    assert.deepEqual(second.history.versions.map(entry => entry.version), ['1.1.0', '1.0.0']);
+    assert.match(second.changelog, /## \[1\.1\.0\] - 2026-02-01[\s\S]*## \[1\.0\.0\] - 2026-01-01\n\nInitial release\./);
+  });
+
+  it('does not download the published package offline', () => {
+    const { loadBaseline } = loadBuilder();
+
+    const baseline = loadBaseline({ CHANGELOG_BASELINE: 'git' }, { offline: true });
+
+    assert.deepEqual(baseline.abis, { Counter: counterV1 });
+    assert.equal(baseline.history, null);
+    assert.deepEqual(npmCalls(), []);
+  });
+
+  it('reports a published package that cannot be downloaded', () => {
+    const { loadBaseline } = loadBuilder();
+    release('v1.1.0', { 'abi-snapshot.json': { Counter: counterV2 } });
+
+    const warnings = [];
+    const baseline = loadBaseline({ CHANGELOG_BASELINE: 'git' }, { warnings });
+
+    assert.deepEqual(baseline.abis, { Counter: counterV2 });
+    assert.equal(baseline.history, null);
+    assert.deepEqual(warnings.map(warning => warning.kind), ['changelog']);
+    assert.match(warnings[0].message, /No changelog history committed at v1\.1\.0 .*E404/);
+  });
+
+  it('prefers the history committed at the tag', () => {
+    const { loadBaseline } = loadBuilder();
+    const history = { formatVersion: 1, package: 'committed', versions: [{ version: '1.2.0' }] };
+    release('v1.2.0', { 'abi-snapshot.json': { Counter: counterV2 }, 'changes.json': history });
+
+    const baseline = loadBaseline({ CHANGELOG_BASELINE: 'git' });
+
+    assert.deepEqual(baseline.history, history.versions);
+    assert.deepEqual(npmCalls(), []);
+  });
+
+  it('passes tag names to git as they are', () => {
+    const { loadBaseline } = loadBuilder();
+    // A valid tag name that runs a command when pasted into a shell string
+    const tag = 'v1.3.0-$(touch>injected)';
+    release(tag, { 'abi-snapshot.json': { Counter: counterV2 }, 'changes.json': { formatVersion: 1, versions: [] } });
+
+    const baseline = loadBaseline({ CHANGELOG_BASELINE: 'git' });
+
+    assert.equal(baseline.label, tag);
+    assert.deepEqual(baseline.abis, { Counter: counterV2 });
+    assert.ok(!fs.existsSync(path.join(builder, 'injected')));
+  });
+});
+
+describe('local changelog baseline', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-local-baseline-test-'));
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  beforeEach(() => mock.method(console, 'log', () => {}));
+
+  afterEach(() => mock.restoreAll());
+
+  it('unpacks a package tarball whose path has spaces, quotes and $', () => {
+    const { loadBaseline } = require('../build');
+    const dir = path.join(root, `it's "a" $HOME dir`);
+    fs.mkdirSync(path.join(dir, 'package', 'dist'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'package', 'package.json'), JSON.stringify({ version: '1.0.0' }));
+    fs.writeFileSync(path.join(dir, 'package', 'dist', 'CounterABI.json'), JSON.stringify(counterV1));
+    execFileSync('tar', ['-czf', path.join(dir, 'package.tgz'), '-C', dir, 'package']);
+
+    const baseline = loadBaseline({ CHANGELOG_BASELINE: path.join(dir, 'package.tgz') });
+
+    assert.equal(baseline.version, '1.0.0');
+    assert.deepEqual(baseline.abis, { Counter: counterV1 });
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { WARNING_KINDS, isBlocking, createBuildReport, printBuildSummary } = require('../build-report');
+
+// A planBuild() result with Token and Vault selected, Token rebuilt and Vault reused
+const plan = (overrides = {}) => ({
+  errors: [],
+  semverErrors: [],
+  packageJson: { name: '@scope/abis' },
+  packageVersion: '1.2.0-feature-x',
+  distTag: 'feature-x',
+  gitMetadata: { gitCommit: 'abc123' },
+  origins: {
+    Token: { kind: 'contract', source: 'src/Token.sol', artifact: 'out/Token.sol/Token.json' },
+    Vault: { kind: 'contract', source: 'src/Vault.sol', artifact: 'out/Vault.sol/Vault.json' }
+  },
+  contracts: { Token: { files: ['TokenABI.json'] }, Vault: { files: ['VaultABI.json'] } },
+  rebuiltContracts: ['Token'],
+  failedContracts: [],
+  warnings: [],
+  timings: { resolveMs: 3, contracts: { Token: 5, Vault: 1 } },
+  ...overrides
+});
+
+const report = (overrides, options = {}) => createBuildReport(plan(overrides), { strict: false, startedAt: Date.now(), ...options });
+
+describe('isBlocking', () => {
+  it('blocks on warnings that leave the package incomplete or possibly wrong', () => {
+    ['artifact', 'broadcast', 'changelog', 'storage-layout', 'git', 'typescript'].forEach(kind => assert.equal(isBlocking(kind), true, kind));
+    ['contract-kind', 'dropped-contract', 'deployments', 'interface', 'storage-unchecked'].forEach(kind => assert.equal(isBlocking(kind), false, kind));
+    assert.equal(Object.keys(WARNING_KINDS).length, 11);
+  });
+
+  it('blocks on unknown kinds', () => {
+    assert.equal(isBlocking('something-new'), true);
+  });
+});
+
+describe('createBuildReport', () => {
+  it('passes with only informational warnings', () => {
+    const result = report({ warnings: [{ kind: 'interface', contracts: ['Vault'], message: 'No Solidity interface for Vault' }] });
+
+    assert.equal(result.status, 'passed');
+    assert.deepEqual(result.summary, { contracts: 2, built: 1, unchanged: 1, failed: 0, warnings: 1, blocking: 0 });
+    assert.deepEqual(result.contracts.map(({ name, status, files, warnings, durationMs }) => ({ name, status, files, warnings, durationMs })), [
+      { name: 'Token', status: 'built', files: ['TokenABI.json'], warnings: [], durationMs: 5 },
+      { name: 'Vault', status: 'unchanged', files: ['VaultABI.json'], warnings: ['No Solidity interface for Vault'], durationMs: 1 }
+    ]);
+    assert.deepEqual(result.warnings[0], { kind: 'interface', contracts: ['Vault'], message: 'No Solidity interface for Vault', blocking: false });
+    assert.deepEqual(result.package, { name: '@scope/abis', version: '1.2.0-feature-x', distTag: 'feature-x', gitCommit: 'abc123' });
+  });
+
+  it('passes with warnings when one of them blocks', () => {
+    const result = report({
+      warnings: [
+        { kind: 'dropped-contract', contracts: ['VaultMath'], message: 'Not packaging VaultMath' },
+        { kind: 'typescript', message: 'TypeScript compilation failed' }
+      ]
+    }, { strict: true, writeTimings: { writeMs: 2, typescriptMs: 7 } });
+
+    assert.equal(result.status, 'warnings');
+    assert.equal(result.strict, true);
+    assert.equal(result.written, true);
+    assert.deepEqual([result.summary.warnings, result.summary.blocking], [2, 1]);
+    assert.deepEqual(result.warnings.map(warning => warning.blocking), [false, true]);
+    assert.equal(result.timings.typescriptMs, 7);
+  });
+
+  it('fails when a contract could not be packaged, whatever the warnings', () => {
+    const result = report({
+      contracts: { Token: { files: ['TokenABI.json'] } },
+      failedContracts: [{ contract: 'Vault', reason: 'ABI not found in artifact' }],
+      warnings: [{ kind: 'artifact', contracts: ['Vault'], message: 'No compiled artifact for src/Vault.sol' }]
+    });
+
+    assert.equal(result.status, 'failed');
+    assert.deepEqual(result.summary, { contracts: 2, built: 1, unchanged: 0, failed: 1, warnings: 1, blocking: 1 });
+    const vault = result.contracts.find(contract => contract.name === 'Vault');
+    assert.equal(vault.error, 'ABI not found in artifact');
+    assert.equal(vault.files, undefined);
+  });
+
+  it('fails on STRICT_SEMVER errors, without their ❌', () => {
+    const result = report({ semverErrors: ['❌ STRICT_SEMVER: breaking ABI changes need a major release', '   - Token: removed `burn()`'] });
+
+    assert.equal(result.status, 'failed');
+    assert.deepEqual(result.errors, ['STRICT_SEMVER: breaking ABI changes need a major release', '- Token: removed `burn()`']);
+  });
+
+  it('fails on configuration errors, with no package or contracts', () => {
+    const result = createBuildReport(
+      { errors: ['CONTRACT_NAMES: missing'], warnings: [] },
+      { strict: false, startedAt: Date.now() }
+    );
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.package, null);
+    assert.equal(result.written, false);
+    assert.deepEqual(result.contracts, []);
+    assert.deepEqual(result.errors, ['CONTRACT_NAMES: missing']);
+  });
+});
+
+describe('printBuildSummary', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('annotates failures and warnings on GitHub Actions', () => {
+    const printed = mock.method(console, 'log', () => {});
+    const result = report({
+      contracts: { Token: { files: ['TokenABI.json'] } },
+      failedContracts: [{ contract: 'Vault', reason: 'ABI not found\nin artifact' }],
+      warnings: [
+        { kind: 'typescript', message: 'TypeScript compilation failed: 100% broken' },
+        { kind: 'interface', contracts: ['Token'], message: 'No Solidity interface for Token' }
+      ]
+    });
+
+    printBuildSummary(result, { GITHUB_ACTIONS: 'true' });
+
+    const lines = printed.mock.calls.map(call => call.arguments[0]);
+    assert.match(lines[1], /^📊 Build failed: 2 contracts \(1 built, 0 unchanged, 1 failed\), 2 warnings \(1 blocking\)/);
+    assert.deepEqual(lines.filter(line => line.startsWith('::')), [
+      '::error title=ABI build::Vault: ABI not found%0Ain artifact',
+      '::warning title=ABI build (typescript)::TypeScript compilation failed: 100%25 broken',
+      '::notice title=ABI build (interface)::No Solidity interface for Token'
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffAbis, classifyChanges } = require('../build');
+
+const uint = (name, type = 'uint256') => ({ name, type, internalType: type });
+const fn = (name, inputs = [], extra = {}) => ({ type: 'function', name, inputs, outputs: [], stateMutability: 'nonpayable', ...extra });
+const event = (name, inputs) => ({ type: 'event', name, anonymous: false, inputs });
+
+// Classification of the ABI changes from one baseline to the current ABIs
+const classify = (previous, current) => classifyChanges(diffAbis(previous, current));
+
+describe('classifyChanges', () => {
+  it('recommends a patch release when nothing changed', () => {
+    assert.deepEqual(classify({ Token: [fn('mint', [uint('amount')])] }, { Token: [fn('mint', [uint('amount')])] }), {
+      recommendedBump: 'patch',
+      contracts: {}
+    });
+  });
+
+  it('treats new contracts as minor and removed contracts as major', () => {
+    assert.deepEqual(classify({ Old: [fn('x')] }, { New: [fn('y')] }), {
+      recommendedBump: 'major',
+      contracts: {
+        New: { level: 'minor', reasons: ['new contract'] },
+        Old: { level: 'major', reasons: ['contract removed'] }
+      }
+    });
+  });
+
+  it('treats added entries as minor', () => {
+    assert.deepEqual(classify({ Token: [fn('mint')] }, { Token: [fn('mint'), fn('burn'), { type: 'error', name: 'Nope', inputs: [] }] }), {
+      recommendedBump: 'minor',
+      contracts: { Token: { level: 'minor', reasons: ['added 1 functions', 'added 1 errors'] } }
+    });
+  });
+
+  it('treats renamed parameters as a patch without listing them as reasons', () => {
+    assert.deepEqual(classify({ Token: [fn('mint', [uint('amount')])] }, { Token: [fn('mint', [uint('value')])] }), {
+      recommendedBump: 'patch',
+      contracts: { Token: { level: 'patch', reasons: [] } }
+    });
+  });
+
+  it('treats nonpayable → payable as minor and other mutability changes as major', () => {
+    const payable = classify({ Token: [fn('deposit')] }, { Token: [fn('deposit', [], { stateMutability: 'payable' })] });
+    assert.equal(payable.recommendedBump, 'minor');
+    assert.deepEqual(payable.contracts.Token.reasons, ['changed `deposit() payable` (stateMutability: nonpayable → payable)']);
+
+    const view = classify({ Token: [fn('total', [], { stateMutability: 'view' })] }, { Token: [fn('total')] });
+    assert.equal(view.recommendedBump, 'major');
+  });
+
+  it('treats removed entries, changed outputs and changed indexing as major', () => {
+    const result = classify(
+      {
+        Token: [
+          fn('burn', [uint('amount')]),
+          fn('total', [], { stateMutability: 'view', outputs: [uint('')] }),
+          event('Minted', [{ ...uint('amount'), indexed: false }])
+        ]
+      },
+      {
+        Token: [
+          fn('total', [], { stateMutability: 'view', outputs: [uint('', 'uint128')] }),
+          event('Minted', [{ ...uint('amount'), indexed: true }])
+        ]
+      }
+    );
+
+    assert.deepEqual(result, {
+      recommendedBump: 'major',
+      contracts: {
+        Token: {
+          level: 'major',
+          reasons: [
+            'removed `burn(uint256 amount)`',
+            'changed `total() view returns (uint128)` (outputs: (uint256) → (uint128))',
+            'changed `event Minted(uint256 indexed amount)` (indexed: (-) → (indexed))'
+          ]
+        }
+      }
+    });
+  });
+
+  it('sees a changed input type as a removal and an addition', () => {
+    // The canonical signature (and selector) changes, so existing callers break
+    const result = classify({ Token: [fn('mint', [uint('amount')])] }, { Token: [fn('mint', [uint('amount', 'uint128')])] });
+
+    assert.equal(result.recommendedBump, 'major');
+    assert.deepEqual(result.contracts.Token.reasons, ['removed `mint(uint256 amount)`', 'added 1 functions']);
+  });
+
+  it('recommends the highest level over all contracts', () => {
+    const result = classify(
+      { A: [fn('a')], B: [fn('b')] },
+      { A: [fn('a'), fn('a2')], B: [fn('b', [], { stateMutability: 'payable' })] }
+    );
+
+    assert.equal(result.recommendedBump, 'minor');
+    assert.equal(result.contracts.A.level, 'minor');
+    assert.equal(result.contracts.B.level, 'minor');
+  });
+});
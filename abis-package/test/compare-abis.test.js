@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareABIs, diffAbis } = require('../build');
+const { canonicalSignature } = require('../abi-signatures');
+
+const param = (name, type, extra = {}) => ({ name, type, ...extra });
+const fn = (name, inputs = [], extra = {}) => ({ type: 'function', name, inputs, outputs: [], stateMutability: 'nonpayable', ...extra });
+
+// (uint64 id, (address token, bytes32[2] hops) route)[] orders
+const orders = (routeName = 'route', hopsType = 'bytes32[2]') => param('orders', 'tuple[]', {
+  components: [param('id', 'uint64'), param(routeName, 'tuple', { components: [param('token', 'address'), param('hops', hopsType)] })]
+});
+
+// The keys of every added/removed/modified entry, per category
+const keys = ({ changes }) => Object.fromEntries(Object.entries(changes).map(([category, { added, removed, modified }]) => [
+  category,
+  { added: added.map(entry => entry.key), removed: removed.map(entry => entry.key), modified: modified.map(entry => entry.key) }
+]).filter(([, lists]) => Object.values(lists).some(list => list.length > 0)));
+
+describe('compareABIs', () => {
+  it('keeps overloads apart', () => {
+    const transfer = fn('transfer', [param('to', 'address'), param('amount', 'uint256')]);
+    const transferWithData = fn('transfer', [param('to', 'address'), param('amount', 'uint256'), param('data', 'bytes')]);
+
+    const added = compareABIs([transfer], [transfer, transferWithData], 'Token');
+    assert.deepEqual(added.changes.functions.added, [{
+      key: 'function transfer(address,uint256,bytes)',
+      selector: '0xbe45fd62',
+      signature: 'transfer(address to, uint256 amount, bytes data)'
+    }]);
+    assert.deepEqual(keys(added), { functions: { added: ['function transfer(address,uint256,bytes)'], removed: [], modified: [] } });
+
+    // Dropping one overload only removes that one, and changing one leaves the other alone
+    assert.deepEqual(keys(compareABIs([transfer, transferWithData], [transferWithData], 'Token')), {
+      functions: { added: [], removed: ['function transfer(address,uint256)'], modified: [] }
+    });
+    assert.deepEqual(keys(compareABIs([transfer, transferWithData], [transfer, { ...transferWithData, stateMutability: 'payable' }], 'Token')), {
+      functions: { added: [], removed: [], modified: ['function transfer(address,uint256,bytes)'] }
+    });
+  });
+
+  it('keys tuples and arrays by their canonical types', () => {
+    const submit = fn('submit', [orders(), param('tags', 'string[]')]);
+    assert.equal(canonicalSignature(submit), 'submit((uint64,(address,bytes32[2]))[],string[])');
+
+    // Renamed components keep the key (and selector); a changed component type is another entry
+    const renamed = compareABIs([submit], [fn('submit', [orders('path'), param('tags', 'string[]')])], 'Router');
+    assert.deepEqual(renamed.changes.functions.modified.map(({ key, selector, impact }) => ({ key, selector, impact })), [
+      { key: 'function submit((uint64,(address,bytes32[2]))[],string[])', selector: '0x5b47088a', impact: 'patch' }
+    ]);
+
+    const retyped = compareABIs([submit], [fn('submit', [orders('route', 'bytes32[3]'), param('tags', 'string[]')])], 'Router');
+    assert.deepEqual(keys(retyped), {
+      functions: {
+        added: ['function submit((uint64,(address,bytes32[3]))[],string[])'],
+        removed: ['function submit((uint64,(address,bytes32[2]))[],string[])'],
+        modified: []
+      }
+    });
+  });
+
+  it('keys events, errors and the constructor, fallback and receive by their own kind', () => {
+    const paused = [param('by', 'address')];
+    const comparison = compareABIs(
+      [
+        { type: 'constructor', inputs: [param('owner', 'address')], stateMutability: 'nonpayable' },
+        { type: 'fallback', stateMutability: 'nonpayable' },
+        { type: 'event', name: 'Paused', inputs: paused, anonymous: false },
+        { type: 'error', name: 'Paused', inputs: paused }
+      ],
+      [
+        { type: 'constructor', inputs: [param('owner', 'address'), param('fee', 'uint256')], stateMutability: 'nonpayable' },
+        { type: 'fallback', stateMutability: 'payable' },
+        { type: 'receive', stateMutability: 'payable' },
+        { type: 'event', name: 'Paused', inputs: paused, anonymous: false },
+        { type: 'error', name: 'Paused', inputs: [param('account', 'address')] }
+      ],
+      'Vault'
+    );
+
+    // The event and the error share a signature without colliding
+    assert.deepEqual(keys(comparison), {
+      errors: { added: [], removed: [], modified: ['error Paused(address)'] },
+      special: { added: ['receive'], removed: [], modified: ['constructor', 'fallback'] }
+    });
+    assert.deepEqual(comparison.changes.special.modified.map(({ key, details, impact }) => ({ key, details, impact })), [
+      { key: 'constructor', details: ['inputs: (address) → (address, uint256)', 'parameter names'], impact: 'major' },
+      { key: 'fallback', details: ['stateMutability: nonpayable → payable'], impact: 'minor' }
+    ]);
+    assert.equal(comparison.changes.errors.modified[0].selector, '0x62e78cea');
+  });
+
+  it('lists every entry of a new contract as added', () => {
+    const comparison = compareABIs(undefined, [fn('mint'), { type: 'event', name: 'Minted', inputs: [], anonymous: false }], 'Token');
+
+    assert.equal(comparison.isNew, true);
+    assert.deepEqual(keys(comparison), {
+      functions: { added: ['function mint()'], removed: [], modified: [] },
+      events: { added: ['event Minted()'], removed: [], modified: [] }
+    });
+  });
+});
+
+describe('diffAbis', () => {
+  it('lists only new, changed and removed contracts', () => {
+    const changes = diffAbis(
+      { Same: [fn('a')], Changed: [fn('a')], Gone: [fn('a')] },
+      { Same: [fn('a')], Changed: [fn('a'), fn('a', [param('x', 'uint256')])], Fresh: [fn('a')] }
+    );
+
+    assert.deepEqual(Object.keys(changes).sort(), ['Changed', 'Fresh', 'Gone']);
+    assert.deepEqual(changes.Gone, { isRemoved: true });
+    assert.equal(changes.Fresh.isNew, true);
+    assert.deepEqual(keys(changes.Changed), { functions: { added: ['function a(uint256)'], removed: [], modified: [] } });
+  });
+});
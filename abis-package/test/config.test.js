@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveContracts, reportValidationErrors } = require('../build');
+
+const CHECKSUMMED = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+// Configuration errors only: an invalid CONTRACT_NAMES keeps resolveContracts from reading the
+// project's artifacts, so only the validators run
+const validate = config => resolveContracts({ CONTRACT_NAMES: ['not a name'], ...config }).errors
+  .filter(error => !error.startsWith('CONTRACT_NAMES[0]'));
+
+describe('build configuration validation', () => {
+  beforeEach(() => mock.method(console, 'log', () => {}));
+
+  afterEach(() => mock.restoreAll());
+
+  it('reports every problem in one go', () => {
+    const { errors, contracts, deployments } = resolveContracts({
+      CONTRACT_NAMES: ['*', 'Token', 'Token'],
+      CONTRACT_KINDS: ['contract', 'struct'],
+      NETWORKS: { 1: 'mainnet', 10: 'mainnet' },
+      ALLOW_INTERFACES: 'yes',
+      SHINY: 1,
+      deployments: { main: {} }
+    });
+
+    assert.deepEqual(errors, [
+      'SHINY: unknown build configuration field',
+      "CONTRACT_NAMES: '*' cannot be combined with explicit contract names",
+      'CONTRACT_NAMES[2]: duplicate entry "Token"',
+      'CONTRACT_KINDS[1]: "struct" is not a contract kind (expected contract, abstract, interface, library)',
+      'NETWORKS.10: alias "mainnet" is already used by chain 1',
+      'deployments.main: key must be a numeric chain id',
+      'ALLOW_INTERFACES: must be true or false (got "yes")'
+    ]);
+    assert.deepEqual(contracts, []);
+    assert.deepEqual(deployments, {});
+  });
+
+  it('requires CONTRACT_NAMES and validates contract names and globs', () => {
+    assert.deepEqual(resolveContracts({}).errors, ['CONTRACT_NAMES: missing']);
+    assert.deepEqual(resolveContracts({ CONTRACT_NAMES: ['src/Token.sol:Token', 'Token:Other', 42] }).errors, [
+      'CONTRACT_NAMES[1]: "Token:Other" is not a valid contract name or fully-qualified name (src/File.sol:Name)',
+      'CONTRACT_NAMES[2]: 42 is not a valid contract name or fully-qualified name (src/File.sol:Name)'
+    ]);
+    assert.deepEqual(validate({ CONTRACT_INCLUDE: [], CONTRACT_EXCLUDE: ['../lib/**/*.sol', ''] }), [
+      'CONTRACT_INCLUDE: must be a non-empty array of glob patterns',
+      'CONTRACT_EXCLUDE[0]: "../lib/**/*.sol" must be relative to the project root (e.g. src/**/*.sol)',
+      'CONTRACT_EXCLUDE[1]: must be a non-empty glob pattern'
+    ]);
+  });
+
+  it('validates deployment addresses and fields', () => {
+    const lowercase = CHECKSUMMED.toLowerCase();
+    const deployments = {
+      1: {
+        Token: lowercase,
+        Vault: { address: CHECKSUMMED, implementation: CHECKSUMMED, salt: 1 },
+        Pool: { address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD', blockNumber: -1, txHash: '0x12' },
+        Zero: '0x0000000000000000000000000000000000000000'
+      }
+    };
+
+    assert.deepEqual(validate({ deployments }), [
+      'deployments.1.Vault.salt: unknown field (expected address, implementation, blockNumber, txHash)',
+      'deployments.1.Vault.implementation: same as the proxy address',
+      `deployments.1.Pool.address: 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD has an invalid EIP-55 checksum (expected ${CHECKSUMMED})`,
+      'deployments.1.Pool.blockNumber: must be a non-negative integer',
+      'deployments.1.Pool.txHash: must be a 32-byte hex transaction hash',
+      'deployments.1.Zero.address: zero address'
+    ]);
+
+    // Single-case addresses are only rejected with REQUIRE_CHECKSUMS
+    assert.deepEqual(validate({ deployments: { 1: { Token: lowercase } }, REQUIRE_CHECKSUMS: true }), [
+      `deployments.1.Token.address: ${lowercase} is not checksummed (expected ${CHECKSUMMED})`
+    ]);
+  });
+});
+
+describe('reportValidationErrors', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('prints each problem and tells whether there were any', () => {
+    const printed = mock.method(console, 'error', () => {});
+
+    assert.equal(reportValidationErrors([]), false);
+    assert.equal(printed.mock.callCount(), 0);
+
+    assert.equal(reportValidationErrors(['SHINY: unknown build configuration field', 'CONTRACT_NAMES: missing']), true);
+    assert.deepEqual(printed.mock.calls.map(call => call.arguments[0]), [
+      '❌ Build configuration has 2 problems:',
+      '   - SHINY: unknown build configuration field',
+      '   - CONTRACT_NAMES: missing'
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const abi = name => [{ type: 'function', name: `${name.toLowerCase()}Value`, inputs: [], outputs: [], stateMutability: 'view' }];
+
+// A forge artifact whose metadata names the source file and contract it was compiled from
+const artifact = (sourcePath, contractName, kind = 'contract') => ({
+  abi: abi(contractName),
+  metadata: { settings: { compilationTarget: { [sourcePath]: contractName } } },
+  ast: {
+    nodes: [{ nodeType: 'ContractDefinition', name: contractName, contractKind: kind === 'abstract' ? 'contract' : kind, abstract: kind === 'abstract' }]
+  }
+});
+
+// resolveContracts works on the Foundry project around build.js, so the builder is copied into a
+// scratch project whose src/ and out/ each test fills in
+describe('resolveContracts', () => {
+  let root;
+  let resolveContracts;
+
+  // Forge writes out/<File>.sol/, nesting same-named files of other directories (out/<dir>/<File>.sol/)
+  const writeSource = (sourcePath, contracts, outPath = path.basename(sourcePath)) => {
+    const source = path.join(root, sourcePath);
+    fs.mkdirSync(path.dirname(source), { recursive: true });
+    fs.writeFileSync(source, contracts.map(([name, kind = 'contract']) => `${kind === 'abstract' ? 'abstract contract' : kind} ${name} {}`).join('\n'));
+    const outDir = path.join(root, 'out', outPath);
+    fs.mkdirSync(outDir, { recursive: true });
+    contracts.forEach(([name, kind]) => {
+      fs.writeFileSync(path.join(outDir, `${name}.json`), JSON.stringify(artifact(sourcePath, name, kind)));
+    });
+  };
+
+  const resolve = config => {
+    const warnings = [];
+    const result = resolveContracts({ CONTRACT_NAMES: ['*'], ...config }, { warnings });
+    return { ...result, warnings };
+  };
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-contracts-test-'));
+    const builder = path.join(root, 'abis-package');
+    fs.mkdirSync(path.join(builder, 'runtime'), { recursive: true });
+    const source = path.join(__dirname, '..');
+    fs.readdirSync(source).filter(file => file.endsWith('.js') || file === 'package.json')
+      .forEach(file => fs.copyFileSync(path.join(source, file), path.join(builder, file)));
+    fs.readdirSync(path.join(source, 'runtime'))
+      .forEach(file => fs.copyFileSync(path.join(source, 'runtime', file), path.join(builder, 'runtime', file)));
+    ({ resolveContracts } = require(path.join(builder, 'build.js')));
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    ['src', 'lib', 'out'].forEach(dir => fs.rmSync(path.join(root, dir), { recursive: true, force: true }));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('packages only the contract named after its file by default', () => {
+    writeSource('src/Vault.sol', [['Vault'], ['VaultMath', 'library']]);
+
+    const { contracts, warnings, errors } = resolve({ CONTRACT_KINDS: ['contract', 'library'] });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(contracts, ['Vault']);
+    assert.deepEqual(warnings.map(({ kind, contracts }) => ({ kind, contracts })), [{ kind: 'dropped-contract', contracts: ['VaultMath'] }]);
+    assert.match(warnings[0].message, /set ALLOW_MISMATCHED_NAMES=true/);
+  });
+
+  it('packages every contract of a file with ALLOW_MISMATCHED_NAMES', () => {
+    writeSource('src/Vault.sol', [['Vault'], ['VaultMath', 'library']]);
+
+    const { contracts, warnings } = resolve({ CONTRACT_KINDS: ['contract', 'library'], ALLOW_MISMATCHED_NAMES: true });
+
+    assert.deepEqual(contracts.sort(), ['Vault', 'VaultMath']);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('skips an unreadable artifact and packages the other contracts', () => {
+    writeSource('src/Token.sol', [['Token']]);
+    writeSource('src/Vault.sol', [['Vault']]);
+    fs.writeFileSync(path.join(root, 'out', 'Vault.sol', 'Vault.json'), '{"abi": [');
+
+    const { contracts, packagedContracts, warnings } = resolve({});
+
+    assert.deepEqual(contracts, ['Token']);
+    assert.deepEqual(packagedContracts, ['Token']);
+    assert.deepEqual(warnings.map(warning => warning.kind), ['artifact', 'artifact']);
+    assert.match(warnings[0].message, /Skipping unreadable artifact out\/Vault\.sol\/Vault\.json/);
+    assert.match(warnings[1].message, /No compiled artifact for src\/Vault\.sol/);
+  });
+
+  it('scans the sources selected by CONTRACT_INCLUDE and CONTRACT_EXCLUDE', () => {
+    writeSource('src/Token.sol', [['Token']]);
+    writeSource('src/mocks/MockToken.sol', [['MockToken']]);
+    writeSource('src/mocks/deep/MockVault.sol', [['MockVault']]);
+    writeSource('lib/solady/src/ERC20.sol', [['ERC20', 'abstract']]);
+    writeSource('lib/solady/src/ERC721.sol', [['ERC721', 'abstract']]);
+
+    assert.deepEqual(resolve({}).contracts, ['Token', 'MockToken', 'MockVault']);
+
+    const { contracts, contractMappings, errors } = resolve({
+      CONTRACT_INCLUDE: ['src/**/*.sol', 'lib/*/src/ERC?0.sol'],
+      CONTRACT_EXCLUDE: ['src/mocks/**'],
+      CONTRACT_KINDS: ['contract', 'abstract']
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(contracts, ['ERC20', 'Token']);
+    assert.deepEqual(contractMappings.ERC20, {
+      sourceFile: 'ERC20',
+      sourcePath: 'lib/solady/src/ERC20.sol',
+      kind: 'abstract',
+      jsonPath: path.join(root, 'out', 'ERC20.sol', 'ERC20.json')
+    });
+  });
+
+  it('rejects two contracts that would be packaged under the same name', () => {
+    writeSource('src/Token.sol', [['Token']]);
+    writeSource('src/legacy/Token.sol', [['Token']], 'legacy/Token.sol');
+
+    assert.deepEqual(resolve({}).errors, [
+      'Token: src/Token.sol:Token and src/legacy/Token.sol:Token would both be packaged as TokenABI ' +
+        '(exclude one of the files with CONTRACT_EXCLUDE, or list the contracts to publish in CONTRACT_NAMES)'
+    ]);
+    assert.deepEqual(resolve({ CONTRACT_NAMES: ['src/Token.sol:Token', 'src/legacy/Token.sol:Token'] }).errors, [
+      'Token: src/Token.sol:Token and src/legacy/Token.sol:Token would both be packaged as TokenABI (list only one of them)'
+    ]);
+
+    // Either one on its own is packaged from its own artifact
+    const excluded = resolve({ CONTRACT_EXCLUDE: ['src/Token.sol'] });
+    assert.deepEqual(excluded.errors, []);
+    assert.equal(excluded.contractMappings.Token.jsonPath, path.join(root, 'out', 'legacy', 'Token.sol', 'Token.json'));
+
+    const qualified = resolve({ CONTRACT_NAMES: ['src/legacy/Token.sol:Token'] });
+    assert.deepEqual(qualified.errors, []);
+    assert.deepEqual(qualified.packagedContracts, ['Token']);
+    assert.equal(qualified.contractMappings.Token.jsonPath, path.join(root, 'out', 'legacy', 'Token.sol', 'Token.json'));
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { keccak256 } = require('../keccak');
+
+describe('keccak256', () => {
+  it('matches the Keccak-256 reference vectors (not NIST SHA3-256)', () => {
+    assert.equal(keccak256(''), '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    assert.equal(keccak256('abc'), '0x4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+    assert.equal(
+      keccak256('The quick brown fox jumps over the lazy dog'),
+      '0x4d741b6f1eb29cb2a9b9911c82f56fa8d73b04959d3d9d222895df6c0b28aa15'
+    );
+  });
+
+  it('pads correctly around the 136-byte rate', () => {
+    // One byte short of a block, exactly one block, one byte over, and two full blocks
+    assert.equal(keccak256('a'.repeat(135)), '0x34367dc248bbd832f4e3e69dfaac2f92638bd0bbd18f2912ba4ef454919cf446');
+    assert.equal(keccak256('a'.repeat(136)), '0xa6c4d403279fe3e0af03729caada8374b5ca54d8065329a3ebcaeb4b60aa386e');
+    assert.equal(keccak256('a'.repeat(137)), '0xd869f639c7046b4929fc92a4d988a8b22c55fbadb802c0c66ebcd484f1915f39');
+    assert.equal(keccak256('a'.repeat(272)), '0xcf7fcd4f705ee749930d19ca84561a9bf62516bd90a471545fa2f49fdc7e63c8');
+  });
+
+  it('hashes strings as UTF-8 and accepts bytes', () => {
+    assert.equal(keccak256('héllo ✓'), '0x0dbe2502a57b71b83ebdd07d113eac5658ec04ba3d98d9fefb9e105d88e3620f');
+    assert.equal(keccak256(Buffer.from('abc')), keccak256('abc'));
+    assert.equal(keccak256(new Uint8Array([0x61, 0x62, 0x63])), keccak256('abc'));
+  });
+
+  it('gives the well-known selectors and event topics', () => {
+    assert.equal(keccak256('transfer(address,uint256)').slice(0, 10), '0xa9059cbb');
+    assert.equal(keccak256('Error(string)').slice(0, 10), '0x08c379a0');
+    assert.equal(keccak256('Panic(uint256)').slice(0, 10), '0x4e487b71');
+    assert.equal(
+      keccak256('Transfer(address,address,uint256)'),
+      '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'
+    );
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const fn = name => ({ type: 'function', name, inputs: [], outputs: [], stateMutability: 'nonpayable' });
+
+// A forge artifact whose metadata names the source file and contract it was compiled from
+const artifact = (contractName, abi) => ({
+  abi,
+  metadata: { settings: { compilationTarget: { [`src/${contractName}.sol`]: contractName } } },
+  ast: { nodes: [{ nodeType: 'ContractDefinition', name: contractName, contractKind: 'contract', abstract: false }] }
+});
+
+// Builds write dist/ and package.json next to build.js, so the builder is copied into a scratch
+// project (a git repository, for the build's commit metadata) that uses this checkout's typescript
+describe('build manifest', () => {
+  let root;
+  let builder;
+  let dist;
+  let build;
+
+  const config = { CONTRACT_NAMES: ['*'], ALLOW_CHANGELOG: false };
+
+  const writeContract = (contractName, abi) => {
+    fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'src', `${contractName}.sol`), `contract ${contractName} {}`);
+    fs.mkdirSync(path.join(root, 'out', `${contractName}.sol`), { recursive: true });
+    fs.writeFileSync(path.join(root, 'out', `${contractName}.sol`, `${contractName}.json`), JSON.stringify(artifact(contractName, abi)));
+  };
+
+  const removeContract = (contractName) => {
+    fs.rmSync(path.join(root, 'src', `${contractName}.sol`));
+    fs.rmSync(path.join(root, 'out', `${contractName}.sol`), { recursive: true });
+  };
+
+  const readManifest = () => JSON.parse(fs.readFileSync(path.join(dist, build.MANIFEST_FILE), 'utf8'));
+  const logged = () => console.log.mock.calls.map(call => call.arguments.join(' '));
+
+  // Plan and write a build, as `cli.js build` does
+  const runBuild = () => {
+    const plan = build.planBuild(config);
+    assert.deepEqual(plan.errors, []);
+    build.writeBuild(plan);
+    return plan;
+  };
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-manifest-test-'));
+    builder = path.join(root, 'abis-package');
+    dist = path.join(builder, 'dist');
+    fs.mkdirSync(path.join(builder, 'runtime'), { recursive: true });
+    const source = path.join(__dirname, '..');
+    fs.readdirSync(source).filter(file => file.endsWith('.js') || file === 'package.json')
+      .forEach(file => fs.copyFileSync(path.join(source, file), path.join(builder, file)));
+    fs.readdirSync(path.join(source, 'runtime'))
+      .forEach(file => fs.copyFileSync(path.join(source, 'runtime', file), path.join(builder, 'runtime', file)));
+    fs.symlinkSync(path.join(source, 'node_modules'), path.join(builder, 'node_modules'), 'dir');
+
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: root, stdio: 'pipe' });
+    git('init', '-q', '-b', 'main');
+    git('commit', '-q', '--allow-empty', '-m', 'project');
+    build = require(path.join(builder, 'build.js'));
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('records the hashes of the artifacts and of every file it writes', () => {
+    writeContract('Token', [fn('mint')]);
+    writeContract('Vault', [fn('deposit')]);
+
+    const plan = runBuild();
+
+    assert.deepEqual(plan.rebuiltContracts, ['Token', 'Vault']);
+    assert.deepEqual(plan.warnings.filter(warning => warning.kind === 'typescript'), []);
+    const manifest = readManifest();
+    assert.equal(manifest.algorithm, 'sha256');
+    assert.deepEqual(Object.keys(manifest.contracts), ['Token', 'Vault']);
+    assert.ok(manifest.contracts.Token.files.includes('TokenABI.json'));
+    assert.ok(manifest.files['index.d.ts'], 'tsc declarations are recorded');
+
+    // Every dist/ file but the manifest itself is listed with its hash
+    const distFiles = [];
+    const scan = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach(item => {
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory()) scan(fullPath);
+      else distFiles.push(path.relative(dist, fullPath).split(path.sep).join('/'));
+    });
+    scan(dist);
+    assert.deepEqual(distFiles.filter(file => file !== build.MANIFEST_FILE).sort(), Object.keys(manifest.files));
+    Object.entries(manifest.files).forEach(([file, hash]) => {
+      assert.equal(crypto.createHash('sha256').update(fs.readFileSync(path.join(dist, file))).digest('hex'), hash, file);
+    });
+    assert.equal(manifest.contracts.Token.abi, manifest.files['TokenABI.json']);
+  });
+
+  it('reuses the files of unchanged contracts and skips tsc when nothing changed', () => {
+    const plan = build.planBuild(config);
+
+    assert.deepEqual(plan.rebuiltContracts, []);
+    const changes = build.diffPlan(plan);
+    assert.deepEqual([changes.added, changes.changed, changes.removed], [[], [], []]);
+
+    build.writeBuild(plan);
+    assert.ok(logged().includes('✅ TypeScript declarations are up to date'));
+  });
+
+  it('rebuilds only the contracts whose artifact changed', () => {
+    writeContract('Vault', [fn('deposit'), fn('withdraw')]);
+    const before = readManifest();
+
+    const plan = runBuild();
+
+    assert.deepEqual(plan.rebuiltContracts, ['Vault']);
+    const after = readManifest();
+    assert.notEqual(after.contracts.Vault.artifact, before.contracts.Vault.artifact);
+    assert.deepEqual(after.contracts.Token, before.contracts.Token);
+    assert.match(fs.readFileSync(path.join(dist, 'VaultABI.json'), 'utf8'), /withdraw/);
+  });
+
+  it('removes the files of deleted contracts and files it did not write', () => {
+    fs.writeFileSync(path.join(dist, 'leftover.json'), '{}');
+    removeContract('Vault');
+
+    runBuild();
+
+    const manifest = readManifest();
+    assert.deepEqual(Object.keys(manifest.contracts), ['Token']);
+    assert.deepEqual(Object.keys(manifest.files).filter(file => /Vault|leftover/.test(file)), []);
+    assert.ok(!fs.existsSync(path.join(dist, 'VaultABI.json')));
+    assert.ok(!fs.existsSync(path.join(dist, 'docs', 'Vault.md')));
+    assert.ok(!fs.existsSync(path.join(dist, 'leftover.json')));
+    assert.ok(fs.existsSync(path.join(dist, 'TokenABI.json')));
+    assert.ok(logged().some(line => line.startsWith('🧹 Removed') && line.includes('VaultABI.json') && line.includes('leftover.json')));
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const abi = [{ type: 'function', name: 'count', inputs: [], outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view' }];
+
+// The package a consumer installs: the builder is copied into a scratch project, built with
+// INCLUDE_ARTIFACTS, and linked into a consumer's node_modules so subpaths resolve through the
+// exports map as they would for an app
+describe('package exports', () => {
+  let root;
+  let consumer;
+  let packageJsonText;
+  let packageJson;
+  let packageName;
+
+  // Load every subpath with require() and import() in a consumer process: { [subpath]: { cjs, esm } }
+  // with the names each module exports
+  const loadSubpaths = (subpaths) => {
+    const script = `
+      const subpaths = ${JSON.stringify(subpaths)};
+      const loaded = {};
+      for (const subpath of subpaths) {
+        const specifier = ${JSON.stringify(packageName)} + subpath.slice(1);
+        loaded[subpath] = {
+          cjs: Object.keys(require(specifier)).sort(),
+          esm: Object.keys(await import(specifier)).sort()
+        };
+      }
+      console.log(JSON.stringify(loaded));
+    `;
+    return JSON.parse(execFileSync(process.execPath, ['--input-type=commonjs', '-e', `(async () => {${script}})()`], { cwd: consumer, encoding: 'utf8' }));
+  };
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-exports-test-'));
+    const builder = path.join(root, 'abis-package');
+    fs.mkdirSync(path.join(builder, 'runtime'), { recursive: true });
+    const source = path.join(__dirname, '..');
+    fs.readdirSync(source).filter(file => file.endsWith('.js') || file === 'package.json')
+      .forEach(file => fs.copyFileSync(path.join(source, file), path.join(builder, file)));
+    fs.readdirSync(path.join(source, 'runtime'))
+      .forEach(file => fs.copyFileSync(path.join(source, 'runtime', file), path.join(builder, 'runtime', file)));
+    fs.symlinkSync(path.join(source, 'node_modules'), path.join(builder, 'node_modules'), 'dir');
+
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.writeFileSync(path.join(root, 'src', 'Counter.sol'), 'contract Counter {}');
+    fs.mkdirSync(path.join(root, 'out', 'Counter.sol'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'out', 'Counter.sol', 'Counter.json'), JSON.stringify({
+      abi,
+      bytecode: { object: '0x6080' },
+      metadata: { settings: { compilationTarget: { 'src/Counter.sol': 'Counter' } } }
+    }));
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: root, stdio: 'pipe' });
+    git('init', '-q', '-b', 'main');
+    git('commit', '-q', '--allow-empty', '-m', 'project');
+
+    execFileSync(process.execPath, ['cli.js', 'build', '--no-allow-changelog', '--include-artifacts'], { cwd: builder, stdio: 'pipe' });
+    packageJsonText = fs.readFileSync(path.join(builder, 'package.json'), 'utf8');
+    packageJson = JSON.parse(packageJsonText);
+    packageName = packageJson.name;
+
+    consumer = path.join(root, 'consumer');
+    const installed = path.join(consumer, 'node_modules', ...packageName.split('/'));
+    fs.mkdirSync(path.dirname(installed), { recursive: true });
+    fs.symlinkSync(builder, installed, 'dir');
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('maps every subpath to its declarations, ES module and CommonJS module', () => {
+    const subpaths = ['.', './Counter', './Counter/artifact', './deployments', './selectors', './build-info', './decode'];
+    assert.deepEqual(Object.keys(packageJson.exports), [...subpaths, './dist/*', './package.json']);
+
+    subpaths.forEach(subpath => {
+      const module = { '.': 'index', './Counter': 'CounterABI', './Counter/artifact': 'CounterArtifact' }[subpath] || subpath.slice(2);
+      assert.deepEqual(packageJson.exports[subpath], {
+        types: `./dist/${module}.d.ts`,
+        import: `./dist/${module}.mjs`,
+        require: `./dist/${module}.js`
+      });
+      Object.values(packageJson.exports[subpath]).forEach(file => {
+        assert.ok(fs.existsSync(path.join(root, 'abis-package', file)), `${subpath}: ${file} was built`);
+      });
+    });
+    assert.deepEqual(
+      [packageJson.main, packageJson.module, packageJson.types, packageJson.sideEffects],
+      ['dist/index.js', 'dist/index.mjs', 'dist/index.d.ts', false]
+    );
+  });
+
+  it('lists the subpath declarations in typesVersions', () => {
+    assert.deepEqual(packageJson.typesVersions, {
+      '*': {
+        Counter: ['dist/CounterABI.d.ts'],
+        'Counter/artifact': ['dist/CounterArtifact.d.ts'],
+        deployments: ['dist/deployments.d.ts'],
+        selectors: ['dist/selectors.d.ts'],
+        'build-info': ['dist/build-info.d.ts'],
+        decode: ['dist/decode.d.ts']
+      }
+    });
+  });
+
+  it('writes package.json as a release stamp does', () => {
+    assert.equal(packageJsonText, `${JSON.stringify(packageJson, null, 2)}\n`);
+  });
+
+  it('exports the same names from require() and import()', () => {
+    const loaded = loadSubpaths(Object.keys(packageJson.exports).filter(subpath => !subpath.includes('*') && subpath !== './package.json'));
+
+    Object.entries(loaded).forEach(([subpath, { cjs, esm }]) => assert.deepEqual(esm, cjs, subpath));
+    assert.ok(loaded['.'].cjs.includes('CounterABI'));
+    assert.ok(loaded['.'].cjs.includes('buildInfo'));
+    assert.deepEqual(loaded['./Counter'].cjs, ['CounterABI', 'default']);
+  });
+});
@@ -0,0 +1,251 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sanitizeBranch, branchVersion, incrementVersion, resolveRelease } = require('../release');
+
+const noPublished = { versions: [], distTags: {} };
+
+describe('sanitizeBranch', () => {
+  it('lowercases and replaces characters a dist tag cannot hold', () => {
+    assert.equal(sanitizeBranch('feature/Add_Token'), 'feature-add-token');
+    assert.equal(sanitizeBranch('--fix//double--dash--'), 'fix-double-dash');
+  });
+
+  it('prefixes names npm would read as a version or range', () => {
+    assert.equal(sanitizeBranch('v2'), 'branch-v2');
+    assert.equal(sanitizeBranch('1.x'), 'branch-1-x');
+  });
+
+  it('falls back to "branch" when nothing is left', () => {
+    assert.equal(sanitizeBranch('///'), 'branch');
+  });
+});
+
+describe('branchVersion', () => {
+  it('publishes the base version on the release branch', () => {
+    assert.deepEqual(branchVersion('1.2.3-old-branch', 'main'), { version: '1.2.3', distTag: 'latest' });
+  });
+
+  it('suffixes other branches and uses the suffix as dist tag', () => {
+    assert.deepEqual(branchVersion('1.2.3', 'feature/X'), { version: '1.2.3-feature-x', distTag: 'feature-x' });
+  });
+
+  it('keeps the version of a detached checkout', () => {
+    assert.deepEqual(branchVersion('1.2.3', null), { version: '1.2.3', distTag: 'latest' });
+    assert.deepEqual(branchVersion('2.0.0-rc.1', null), { version: '2.0.0-rc.1', distTag: 'next' });
+  });
+});
+
+describe('resolveRelease', () => {
+  it('publishes a release tag as it is', () => {
+    assert.deepEqual(
+      resolveRelease({ branch: null, releaseTag: 'v2.0.0', packageVersion: '0.0.0', gitTags: [], published: noPublished }),
+      { version: '2.0.0', distTag: 'latest', gitTag: 'v2.0.0', bump: null, candidates: {} }
+    );
+    assert.equal(
+      resolveRelease({ branch: null, releaseTag: 'v2.0.0-rc.1', packageVersion: '0.0.0', gitTags: [], published: noPublished }).distTag,
+      'next'
+    );
+  });
+
+  it('refuses a detached HEAD without a release tag', () => {
+    assert.throws(
+      () => resolveRelease({ branch: null, packageVersion: '1.0.0', gitTags: [], published: noPublished }),
+      /detached HEAD/
+    );
+  });
+
+  it('increments the highest of git tags, published versions and package.json on the release branch', () => {
+    const release = resolveRelease({
+      branch: 'main',
+      packageVersion: '0.0.0',
+      gitTags: ['v1.2.0', 'v1.10.0', 'not-a-version'],
+      published: { versions: ['1.10.1', '1.11.0-feature-x'], distTags: { latest: '1.10.1', 'feature-x': '1.11.0-feature-x' } }
+    });
+    assert.deepEqual(release, {
+      version: '1.10.2',
+      distTag: 'latest',
+      gitTag: 'v1.10.2',
+      bump: 'patch',
+      candidates: { git: '1.10.0', registry: '1.10.1', packageJson: '0.0.0' }
+    });
+  });
+
+  it('only counts the published versions of the branch channel', () => {
+    const release = resolveRelease({
+      branch: 'feature/x',
+      packageVersion: '0.0.0',
+      gitTags: ['v1.2.0'],
+      published: { versions: ['1.3.0-feature-x', '2.0.0', '5.0.0-other'], distTags: { latest: '2.0.0' } }
+    });
+    assert.equal(release.version, '1.3.1-feature-x');
+    assert.equal(release.distTag, 'feature-x');
+    assert.equal(release.candidates.registry, '1.3.0');
+  });
+
+  it('starts from package.json when it is ahead', () => {
+    const release = resolveRelease({ branch: 'main', packageVersion: '3.0.0', gitTags: ['v1.0.0'], published: noPublished });
+    assert.equal(release.version, '3.0.1');
+  });
+
+  it('releases a breaking change as a major version', () => {
+    const published = { versions: ['1.2.0'], distTags: { latest: '1.2.0' } };
+    const release = resolveRelease({ branch: 'main', packageVersion: '1.2.0', gitTags: ['v1.2.0'], published, bump: 'major' });
+    assert.equal(release.version, '2.0.0');
+    assert.equal(release.bump, 'major');
+
+    assert.equal(resolveRelease({ branch: 'main', packageVersion: '1.2.0', gitTags: ['v1.2.0'], published, bump: 'minor' }).version, '1.3.0');
+    assert.equal(resolveRelease({ branch: 'main', packageVersion: '0.0.0', gitTags: ['v0.4.1'], published: noPublished, bump: 'major' }).version, '0.5.0');
+  });
+
+  it('bumps from the last release tag, so a branch pushed again is not bumped twice', () => {
+    const release = resolveRelease({
+      branch: 'feature/x',
+      packageVersion: '0.0.0',
+      gitTags: ['v1.2.0'],
+      published: { versions: ['2.0.0-feature-x'], distTags: { 'feature-x': '2.0.0-feature-x' } },
+      bump: 'major'
+    });
+    assert.equal(release.version, '2.0.1-feature-x');
+  });
+
+  it('publishes a release tag as it is whatever the ABI changes', () => {
+    const release = resolveRelease({ branch: null, releaseTag: 'v1.2.1', packageVersion: '1.2.0', gitTags: [], published: noPublished, bump: 'major' });
+    assert.equal(release.version, '1.2.1');
+  });
+});
+
+describe('incrementVersion', () => {
+  it('bumps the major, minor or patch version', () => {
+    assert.equal(incrementVersion('1.2.3', 'major'), '2.0.0');
+    assert.equal(incrementVersion('1.2.3', 'minor'), '1.3.0');
+    assert.equal(incrementVersion('1.2.3', 'patch'), '1.2.4');
+    assert.equal(incrementVersion('1.2.3-feature-x'), '1.2.4');
+  });
+
+  it('takes breaking changes of 0.x versions in a minor bump', () => {
+    assert.equal(incrementVersion('0.4.1', 'major'), '0.5.0');
+    assert.equal(incrementVersion('0.4.1', 'minor'), '0.5.0');
+  });
+});
+
+// publishRelease works on the package next to release.js, so each test gets a copy of the
+// modules with its own package.json and dist/, and an npm stand-in on the PATH that answers
+// `npm view` and `npm publish` per registry from a state file
+describe('publishRelease', () => {
+  const fakeNpm = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const registry = (args.find(arg => arg.startsWith('--registry=')) || '').slice('--registry='.length);
+const entry = JSON.parse(fs.readFileSync(process.env.FAKE_NPM_STATE, 'utf8'))[registry] || {};
+fs.appendFileSync(process.env.FAKE_NPM_LOG, JSON.stringify(args) + '\\n');
+if (args[0] === 'view') {
+  if (!entry.versions) {
+    console.error('npm error code E404');
+    process.exit(1);
+  }
+  console.log(JSON.stringify({ versions: entry.versions, 'dist-tags': {} }));
+} else if (args[0] === 'publish' && entry.fail) {
+  console.error('npm notice Publishing to ' + registry);
+  console.error('npm error code E403');
+  console.error('npm error 403 Forbidden');
+  process.exit(1);
+}
+`;
+  let root;
+  let env;
+
+  const setupPackage = ({ version, builtVersion = version, registries = {} }) => {
+    const dir = fs.mkdtempSync(path.join(root, 'package-'));
+    ['release.js', 'registries.js'].forEach(file => fs.copyFileSync(path.join(__dirname, '..', file), path.join(dir, file)));
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: '@example/abis', version }));
+    if (builtVersion) {
+      fs.mkdirSync(path.join(dir, 'dist'));
+      fs.writeFileSync(path.join(dir, 'dist', 'build-info.json'), JSON.stringify({ packageVersion: builtVersion, distTag: 'feature-x' }));
+    }
+    fs.writeFileSync(env.FAKE_NPM_STATE, JSON.stringify(registries));
+    fs.writeFileSync(env.FAKE_NPM_LOG, '');
+    return require(path.join(dir, 'release.js'));
+  };
+
+  const npmCalls = () => fs.readFileSync(env.FAKE_NPM_LOG, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-release-test-'));
+    const bin = path.join(root, 'bin');
+    fs.mkdirSync(bin);
+    fs.writeFileSync(path.join(bin, 'npm'), fakeNpm, { mode: 0o755 });
+    env = {
+      ...process.env,
+      PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+      FAKE_NPM_STATE: path.join(root, 'state.json'),
+      FAKE_NPM_LOG: path.join(root, 'npm.log')
+    };
+    delete env.NODE_AUTH_TOKEN;
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('publishes to every registry, skipping those that have the version and going on after a failure', () => {
+    const { publishRelease } = setupPackage({
+      version: '1.3.1-feature-x',
+      registries: {
+        'http://has.test': { versions: ['1.3.1-feature-x'] },
+        'http://fails.test': { versions: [], fail: true },
+        'http://new.test': { versions: ['1.3.0-feature-x'] }
+      }
+    });
+
+    const results = publishRelease({ registries: ['http://has.test', 'http://fails.test', 'http://new.test'], env });
+
+    assert.deepEqual(results, [
+      { url: 'http://has.test', status: 'skipped' },
+      { url: 'http://fails.test', status: 'failed', error: 'npm error code E403 npm error 403 Forbidden' },
+      { url: 'http://new.test', status: 'published' }
+    ]);
+    const publishes = npmCalls().filter(args => args[0] === 'publish');
+    assert.equal(publishes.length, 2);
+    publishes.forEach(args => {
+      assert.deepEqual(args.slice(0, 4), ['publish', '--tag', 'feature-x', '--ignore-scripts']);
+      assert.ok(!args.includes('--dry-run'));
+    });
+    assert.ok(publishes[1].includes('--registry=http://new.test'));
+    assert.ok(publishes[1].includes('--@example:registry=http://new.test'));
+  });
+
+  it('passes --dry-run through to npm publish', () => {
+    const { publishRelease } = setupPackage({ version: '1.0.0', registries: { 'http://new.test': { versions: [] } } });
+
+    assert.deepEqual(publishRelease({ registries: ['http://new.test'], dryRun: true, env }), [{ url: 'http://new.test', status: 'published' }]);
+    assert.ok(npmCalls().find(args => args[0] === 'publish').includes('--dry-run'));
+  });
+
+  it('treats a registry without the package (E404) as not having the version', () => {
+    const { publishRelease } = setupPackage({ version: '1.0.0' });
+
+    assert.deepEqual(publishRelease({ registries: ['http://empty.test'], env }), [{ url: 'http://empty.test', status: 'published' }]);
+  });
+
+  it('refuses to publish a dist/ built for another version', () => {
+    const { publishRelease } = setupPackage({ version: '1.0.1', builtVersion: '1.0.0' });
+
+    assert.throws(() => publishRelease({ registries: ['http://new.test'], env }), /dist\/ was built as 1\.0\.0 but package\.json is 1\.0\.1/);
+    assert.deepEqual(npmCalls(), []);
+  });
+
+  it('refuses to publish without a build', () => {
+    const { publishRelease } = setupPackage({ version: '1.0.0', builtVersion: null });
+
+    assert.throws(() => publishRelease({ registries: ['http://new.test'], env }), /dist\/ has not been built/);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareStorageLayouts, diffStorageLayouts } = require('../storage-layout');
+
+// solc storageLayout types, as Foundry writes them into the artifacts
+const TYPES = {
+  t_address: { encoding: 'inplace', label: 'address', numberOfBytes: '20' },
+  't_contract(IERC20)42': { encoding: 'inplace', label: 'contract IERC20', numberOfBytes: '20' },
+  t_uint128: { encoding: 'inplace', label: 'uint128', numberOfBytes: '16' },
+  t_uint256: { encoding: 'inplace', label: 'uint256', numberOfBytes: '32' },
+  't_array(t_uint256)50_storage': { encoding: 'inplace', label: 'uint256[50]', base: 't_uint256', numberOfBytes: '1600' },
+  't_array(t_uint256)48_storage': { encoding: 'inplace', label: 'uint256[48]', base: 't_uint256', numberOfBytes: '1536' }
+};
+
+// Layout from [label, slot, type, offset?] rows
+const layout = (...variables) => ({
+  storage: variables.map(([label, slot, type, offset = 0]) => ({ contract: 'src/Vault.sol:Vault', label, offset, slot: String(slot), type })),
+  types: TYPES
+});
+
+const kinds = comparison => comparison.changes.map(({ kind, label, safe }) => `${kind} ${label}${safe ? '' : ' (unsafe)'}`);
+
+describe('compareStorageLayouts', () => {
+  it('allows appending variables and taking them from the end of a gap', () => {
+    const comparison = compareStorageLayouts(
+      layout(['owner', 0, 't_address'], ['total', 1, 't_uint256'], ['__gap', 2, 't_array(t_uint256)50_storage']),
+      layout(['owner', 0, 't_address'], ['total', 1, 't_uint256'], ['fee', 2, 't_uint256'], ['limit', 3, 't_uint256'], ['__gap', 4, 't_array(t_uint256)48_storage'])
+    );
+
+    assert.deepEqual(comparison, {
+      changes: [
+        { kind: 'gap', label: '__gap', description: '`__gap`: `uint256[50]` → `uint256[48]`', safe: true },
+        { kind: 'added', label: 'fee', description: '`uint256 fee` (slot 2)', safe: true },
+        { kind: 'added', label: 'limit', description: '`uint256 limit` (slot 3)', safe: true }
+      ],
+      unsafe: false
+    });
+  });
+
+  it('rejects a gap that no longer ends where it did', () => {
+    const comparison = compareStorageLayouts(
+      layout(['owner', 0, 't_address'], ['__gap', 1, 't_array(t_uint256)50_storage']),
+      layout(['owner', 0, 't_address'], ['fee', 1, 't_uint256'], ['__gap', 2, 't_array(t_uint256)48_storage'])
+    );
+
+    assert.equal(comparison.unsafe, true);
+    assert.deepEqual(kinds(comparison), ['moved __gap (unsafe)']);
+  });
+
+  it('accepts renames and types stored the same way', () => {
+    const comparison = compareStorageLayouts(
+      layout(['token', 0, 't_address'], ['total', 1, 't_uint256']),
+      layout(['token', 0, 't_contract(IERC20)42'], ['supply', 1, 't_uint256'])
+    );
+
+    assert.deepEqual(comparison, {
+      changes: [{ kind: 'renamed', label: 'total', description: '`total` → `supply` (slot 1)', safe: true }],
+      unsafe: false
+    });
+  });
+
+  it('reports retyped, removed, replaced and moved variables as unsafe', () => {
+    assert.deepEqual(
+      compareStorageLayouts(
+        layout(['cap', 0, 't_uint256'], ['old', 1, 't_uint256']),
+        layout(['cap', 0, 't_uint128'])
+      ).changes,
+      [
+        { kind: 'retyped', label: 'cap', description: '`cap`: `uint256` → `uint128` (slot 0)', safe: false },
+        { kind: 'removed', label: 'old', description: '`uint256 old` (slot 1)', safe: false }
+      ]
+    );
+    assert.deepEqual(
+      compareStorageLayouts(layout(['a', 0, 't_uint256']), layout(['x', 0, 't_address'])).changes,
+      [{ kind: 'replaced', label: 'a', description: '`uint256 a` → `address x` (slot 0)', safe: false }]
+    );
+
+    // A variable inserted in the middle shifts everything after it
+    const inserted = compareStorageLayouts(
+      layout(['a', 0, 't_uint256'], ['b', 1, 't_uint256']),
+      layout(['a', 0, 't_uint256'], ['x', 1, 't_address'], ['b', 2, 't_uint256'])
+    );
+    assert.equal(inserted.unsafe, true);
+    assert.deepEqual(inserted.changes, [{ kind: 'moved', label: 'b', description: '`b`: slot 1 → slot 2', safe: false }]);
+  });
+
+  it('reports a struct whose layout changed under the same name', () => {
+    const struct = members => ({
+      ...TYPES,
+      't_struct(Position)7_storage': {
+        encoding: 'inplace',
+        label: 'struct Vault.Position',
+        numberOfBytes: String(32 * members.length),
+        members: members.map(([label, slot, type]) => ({ label, offset: 0, slot: String(slot), type }))
+      }
+    });
+    const position = members => ({ ...layout(['position', 0, 't_struct(Position)7_storage']), types: struct(members) });
+
+    const comparison = compareStorageLayouts(
+      position([['amount', 0, 't_uint256'], ['owner', 1, 't_address']]),
+      position([['owner', 0, 't_address'], ['amount', 1, 't_uint256']])
+    );
+
+    assert.deepEqual(comparison.changes, [{
+      kind: 'retyped',
+      label: 'position',
+      description: '`position`: `struct Vault.Position` changed its layout (slot 0)',
+      safe: false
+    }]);
+  });
+});
+
+describe('diffStorageLayouts', () => {
+  it('compares each contract with its baseline layout', () => {
+    const base = layout(['owner', 0, 't_address']);
+    const result = diffStorageLayouts(
+      { Safe: base, Broken: base, Same: base },
+      {
+        Safe: layout(['owner', 0, 't_address'], ['fee', 1, 't_uint256']),
+        Broken: layout(['fee', 0, 't_uint256']),
+        Same: base,
+        // No storage layout in the artifact
+        Missing: null,
+        // In the baseline, but without a layout
+        Unchecked: base,
+        // Not in the baseline at all
+        New: base
+      },
+      ['Safe', 'Broken', 'Same', 'Missing', 'Unchecked']
+    );
+
+    assert.deepEqual(Object.keys(result.contracts), ['Safe', 'Broken']);
+    assert.deepEqual(kinds(result.contracts.Safe), ['added fee']);
+    assert.deepEqual(kinds(result.contracts.Broken), ['replaced owner (unsafe)']);
+    assert.deepEqual(result.unsafe, ['Broken']);
+    assert.deepEqual(result.missing, ['Missing']);
+    assert.deepEqual(result.unchecked, ['Unchecked']);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// syncLinkedCopy mirrors the package next to watch.js, so the builder is copied into a scratch
+// directory with its own package.json and dist/, and mirrored into a scratch consumer project
+describe('syncLinkedCopy', () => {
+  let root;
+  let builder;
+  let project;
+  let target;
+  let syncLinkedCopy;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-watch-test-'));
+    builder = path.join(root, 'abis-package');
+    fs.mkdirSync(path.join(builder, 'runtime'), { recursive: true });
+    const source = path.join(__dirname, '..');
+    fs.readdirSync(source).filter(file => file.endsWith('.js'))
+      .forEach(file => fs.copyFileSync(path.join(source, file), path.join(builder, file)));
+    fs.readdirSync(path.join(source, 'runtime'))
+      .forEach(file => fs.copyFileSync(path.join(source, 'runtime', file), path.join(builder, 'runtime', file)));
+    write(path.join(builder, 'package.json'), JSON.stringify({ name: '@scope/abis', version: '1.0.0', files: ['dist', 'README.md'] }));
+    write(path.join(builder, 'README.md'), '# abis');
+    write(path.join(builder, 'dist', 'index.js'), 'exports.a = 1;');
+    write(path.join(builder, 'dist', 'docs', 'Token.md'), '# Token');
+
+    project = path.join(root, 'frontend');
+    write(path.join(project, 'package.json'), '{}');
+    target = path.join(project, 'node_modules', '@scope', 'abis');
+    ({ syncLinkedCopy } = require(path.join(builder, 'watch.js')));
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('copies package.json and the files entries, then only what changed', () => {
+    assert.deepEqual(syncLinkedCopy(project), { target, copied: 4, removed: 0 });
+    assert.equal(fs.readFileSync(path.join(target, 'dist', 'docs', 'Token.md'), 'utf8'), '# Token');
+
+    write(path.join(builder, 'dist', 'index.js'), 'exports.a = 2;');
+    assert.deepEqual(syncLinkedCopy(project), { target, copied: 1, removed: 0 });
+    assert.equal(fs.readFileSync(path.join(target, 'dist', 'index.js'), 'utf8'), 'exports.a = 2;');
+  });
+
+  it('prunes only below the files entries', () => {
+    // Installed by the project's package manager, not built by the package
+    write(path.join(target, 'node_modules', 'left-pad', 'index.js'), 'module.exports = {};');
+    write(path.join(target, 'LICENSE'), 'MIT');
+    fs.rmSync(path.join(builder, 'dist', 'docs', 'Token.md'));
+
+    assert.deepEqual(syncLinkedCopy(project), { target, copied: 0, removed: 1 });
+    assert.ok(!fs.existsSync(path.join(target, 'dist', 'docs', 'Token.md')));
+    assert.ok(fs.existsSync(path.join(target, 'node_modules', 'left-pad', 'index.js')));
+    assert.ok(fs.existsSync(path.join(target, 'LICENSE')));
+    assert.ok(fs.existsSync(path.join(target, 'README.md')));
+  });
+});
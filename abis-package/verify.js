@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { findArtifacts, MANIFEST_FILE } = require('./build');
+
+/**
+ * Verify that every address in dist/deployments.json runs the code we publish.
+ *
+ * Fetches eth_getCode for each deployment on the RPC's chain and compares it with the
+ * artifact's deployedBytecode, masking immutables, library links and the trailing CBOR
+ * metadata (which changes with comments and source paths). Exits non-zero on any mismatch,
+ * so it can gate a publish.
+ *
+ * Usage: node verify.js [--rpc <url>]   (defaults to $RPC_URL, then http://localhost:8545)
+ */
+
+const distDir = path.join(__dirname, 'dist');
+const projectRoot = path.join(__dirname, '..');
+const outDir = path.join(projectRoot, 'out');
+
+// A JSON-RPC request that gets no answer within this time fails the verification
+const RPC_TIMEOUT_MS = 30 * 1000;
+
+// Parse --rpc <url> / --rpc=<url>
+const getRpcUrl = () => {
+  const args = process.argv.slice(2);
+  const index = args.findIndex(arg => arg === '--rpc' || arg.startsWith('--rpc='));
+  if (index !== -1) {
+    return args[index].includes('=') ? args[index].split('=').slice(1).join('=') : args[index + 1];
+  }
+  return process.env.RPC_URL || 'http://localhost:8545';
+};
+
+let requestId = 0;
+const rpc = async (url, method, params = []) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++requestId, method, params }),
+      signal: AbortSignal.timeout(RPC_TIMEOUT_MS)
+    });
+  } catch (e) {
+    if (e.name === 'TimeoutError') {
+      throw new Error(`${method} failed: no response from ${url} within ${RPC_TIMEOUT_MS / 1000}s`);
+    }
+    throw e;
+  }
+  if (!response.ok) {
+    throw new Error(`${method} failed: HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  if (body.error) {
+    throw new Error(`${method} failed: ${body.error.message}`);
+  }
+  return body.result;
+};
+
+// Source file each packaged contract was built from, as recorded in the build manifest
+const readManifestSources = () => {
+  try {
+    const { contracts } = JSON.parse(fs.readFileSync(path.join(distDir, MANIFEST_FILE), 'utf8'));
+    return Object.fromEntries(Object.entries(contracts).map(([contract, entry]) => [contract, entry.source || null]));
+  } catch (e) {
+    return {};
+  }
+};
+
+// Foundry artifact of a contract: the one compiled from its recorded source file, so a contract
+// name defined in several files resolves to the packaged one. Without a recorded source, only
+// an unambiguous name is accepted.
+const findFoundryArtifact = (contract, source) => {
+  if (source) {
+    const match = (findArtifacts(projectRoot, [source])[source] || []).find(({ contractName }) => contractName === contract);
+    return match ? { jsonPath: match.jsonPath } : { reason: `no artifact for ${source}:${contract} in out/ (run forge build)` };
+  }
+  const candidates = fs.existsSync(outDir)
+    ? fs.readdirSync(outDir).map(sourceDir => path.join(outDir, sourceDir, `${contract}.json`)).filter(file => fs.existsSync(file))
+    : [];
+  if (candidates.length > 1) {
+    return { reason: `${candidates.length} artifacts named ${contract} in out/ and no source recorded in dist/${MANIFEST_FILE} (rebuild the package)` };
+  }
+  return candidates.length === 1 ? { jsonPath: candidates[0] } : { reason: 'no artifact with deployedBytecode found (run forge build)' };
+};
+
+// Packaged artifact (INCLUDE_ARTIFACTS) first, then the Foundry output in out/
+const loadDeployedBytecode = (contract, sources) => {
+  const packaged = path.join(distDir, `${contract}Artifact.json`);
+  if (fs.existsSync(packaged)) {
+    return { deployedBytecode: JSON.parse(fs.readFileSync(packaged, 'utf8')).deployedBytecode };
+  }
+
+  const { jsonPath, reason } = findFoundryArtifact(contract, sources[contract]);
+  return jsonPath ? { deployedBytecode: JSON.parse(fs.readFileSync(jsonPath, 'utf8')).deployedBytecode } : { reason };
+};
+
+// Length of the CBOR metadata section, encoded in the last two bytes of the runtime code
+const metadataLength = (code) => {
+  if (code.length < 2) return 0;
+  const length = code.readUInt16BE(code.length - 2) + 2;
+  return length <= code.length ? length : 0;
+};
+
+// Zero out immutable values and library placeholders, drop the metadata section
+const normalizeCode = (code, deployedBytecode) => {
+  const masked = Buffer.from(code);
+  const ranges = [
+    ...Object.values(deployedBytecode.immutableReferences || {}).flat(),
+    ...Object.values(deployedBytecode.linkReferences || {}).flatMap(libraries => Object.values(libraries).flat())
+  ];
+  ranges.forEach(({ start, length }) => {
+    masked.fill(0, start, Math.min(start + length, masked.length));
+  });
+  return masked.subarray(0, masked.length - metadataLength(masked));
+};
+
+// Link placeholders (__$...$__) are not valid hex, so zero them before decoding
+const artifactCode = (deployedBytecode) =>
+  Buffer.from(deployedBytecode.object.replace(/^0x/, '').replace(/__\$[0-9a-fA-F]{34}\$__/g, '0'.repeat(40)), 'hex');
+
+const verifyDeployment = async (rpcUrl, contract, deployment, sources) => {
+  // For proxies, the implementation is the code compiled from this contract
+  const address = deployment.implementation || deployment.address;
+  const { deployedBytecode, reason } = loadDeployedBytecode(contract, sources);
+  if (!deployedBytecode || !deployedBytecode.object) {
+    return { ok: false, address, reason: reason || 'no artifact with deployedBytecode found (run forge build)' };
+  }
+
+  const onchain = Buffer.from((await rpc(rpcUrl, 'eth_getCode', [address, 'latest'])).replace(/^0x/, ''), 'hex');
+  if (onchain.length === 0) {
+    return { ok: false, address, reason: 'no code at address' };
+  }
+
+  const expected = normalizeCode(artifactCode(deployedBytecode), deployedBytecode);
+  const actual = normalizeCode(onchain, deployedBytecode);
+  if (!expected.equals(actual)) {
+    return { ok: false, address, reason: `bytecode differs (on-chain ${onchain.length} bytes, artifact ${expected.length} bytes without metadata)` };
+  }
+  return { ok: true, address, reason: deployment.implementation ? `implementation behind proxy ${deployment.address} matches` : 'matches artifact' };
+};
+
+const main = async () => {
+  const deploymentsPath = path.join(distDir, 'deployments.json');
+  if (!fs.existsSync(deploymentsPath)) {
+    console.error('❌ dist/deployments.json not found - run the build first');
+    process.exit(1);
+  }
+
+  const rpcUrl = getRpcUrl();
+  const chainId = Number(await rpc(rpcUrl, 'eth_chainId'));
+  const chain = JSON.parse(fs.readFileSync(deploymentsPath, 'utf8'))[chainId];
+  const label = chain && chain.network ? `${chainId} (${chain.network})` : `${chainId}`;
+
+  if (!chain || Object.keys(chain.contracts).length === 0) {
+    console.log(`📭 No deployments for chain ${label} - nothing to verify`);
+    return;
+  }
+
+  console.log(`🔎 Verifying deployments on chain ${label} via ${rpcUrl}`);
+  const sources = readManifestSources();
+  let failures = 0;
+  for (const [contract, deployment] of Object.entries(chain.contracts)) {
+    const result = await verifyDeployment(rpcUrl, contract, deployment, sources);
+    if (!result.ok) failures++;
+    console.log(`${result.ok ? '✅' : '❌'} ${contract} ${result.address}: ${result.reason}`);
+  }
+
+  const total = Object.keys(chain.contracts).length;
+  if (failures > 0) {
+    console.error(`❌ ${failures} of ${total} deployments do not match the packaged artifacts`);
+    process.exit(1);
+  }
+  console.log(`🚀 All ${total} deployments match the packaged artifacts`);
+};
+
+main().catch(e => {
+  console.error(`❌ Verification failed: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config-loader');
+const { planBuild, writeBuild, loadBaseline, diffAbis, classifyChanges } = require('./build');
+
+/**
+ * Watch mode: rebuild dist/ whenever forge writes new artifacts, the build configuration
+ * changes or a deployment is broadcast.
+ *
+ * Contracts whose artifact did not change keep their files (see the build manifest), so a
+ * rebuild only regenerates the affected contracts. Each rebuild prints the ABI changes since
+ * the previous one and can mirror the package into a consumer project's node_modules. The
+ * changelog baseline is loaded once, not for every rebuild.
+ */
+
+// How often the watched files are checked. A rebuild starts once they have stopped changing
+// for one interval, so a forge build writing many artifacts triggers a single rebuild.
+const POLL_INTERVAL_MS = 500;
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Every file below a directory (none when it does not exist)
+const listFiles = (dir) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+  });
+};
+
+// Artifacts, broadcast runs (as readBroadcastDeployments reads them) and the config file
+const watchedFiles = configFile => [
+  ...listFiles(path.join(ROOT_DIR, 'out')).filter(file => file.endsWith('.json')),
+  ...listFiles(path.join(ROOT_DIR, 'broadcast')).filter(file => path.basename(file) === 'run-latest.json'),
+  configFile
+];
+
+// Modification time and size of each file (null once it is deleted)
+const fingerprint = files => Object.fromEntries(files.map(file => {
+  try {
+    const stat = fs.statSync(file);
+    return [file, `${stat.mtimeMs}:${stat.size}`];
+  } catch (e) {
+    return [file, null];
+  }
+}));
+
+const changedFiles = (before, after) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+  .filter(file => before[file] !== after[file]);
+
+const sameFingerprint = (a, b) => changedFiles(a, b).length === 0;
+
+const listSome = (items, limit = 5) => (items.length > limit
+  ? `${items.slice(0, limit).join(', ')} and ${items.length - limit} more`
+  : items.join(', '));
+
+// ABIs of a planned build, by contract
+const planAbis = plan => Object.fromEntries(plan.successfulContracts
+  .map(contract => [contract, JSON.parse(plan.files[`${contract}ABI.json`])]));
+
+// One line per contract, and one per changed entry below it
+const formatAbiChanges = (changes) => {
+  const { contracts } = classifyChanges(changes);
+  return Object.entries(changes).flatMap(([contract, change]) => {
+    if (change.isRemoved) {
+      return [`❌ ${contract}: removed`];
+    }
+    const entries = Object.values(change.changes);
+    if (change.isNew) {
+      return [`✨ ${contract}: new (${entries.reduce((count, { added }) => count + added.length, 0)} entries)`];
+    }
+    return [
+      `🔄 ${contract} (${contracts[contract].level})`,
+      ...entries.flatMap(({ added, removed, modified }) => [
+        ...added.map(entry => `   + ${entry.signature}`),
+        ...removed.map(entry => `   - ${entry.signature}`),
+        ...modified.map(entry => `   ~ ${entry.oldSignature} → ${entry.newSignature} (${entry.details.join('; ')})`)
+      ])
+    ];
+  });
+};
+
+/**
+ * Mirror the package (package.json and its `files`) into <project>/node_modules/<name>.
+ * Only files whose content changed are written, so the project's dev server reloads just
+ * those; files the package no longer has are removed from its `files` entries, and anything
+ * else in the directory is left alone. A symlink left by `npm link` is replaced with the copy.
+ * @param {string} projectDir
+ * @returns {{ target: string, copied: number, removed: number }}
+ */
+const syncLinkedCopy = (projectDir) => {
+  const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+  const target = path.join(projectDir, 'node_modules', ...packageJson.name.split('/'));
+  try {
+    if (fs.lstatSync(target).isSymbolicLink()) fs.unlinkSync(target);
+  } catch (e) {
+    // Not installed yet
+  }
+
+  // Files below each entry of a package directory
+  const entries = packageJson.files || ['dist'];
+  const listEntries = dir => entries
+    .map(entry => path.join(dir, entry))
+    .filter(entry => fs.existsSync(entry))
+    .flatMap(entry => (fs.statSync(entry).isDirectory() ? listFiles(entry) : [entry]));
+
+  const files = ['package.json', ...listEntries(__dirname).map(file => path.relative(__dirname, file))];
+
+  let copied = 0;
+  files.forEach(file => {
+    const content = fs.readFileSync(path.join(__dirname, file));
+    const destination = path.join(target, file);
+    if (!fs.existsSync(destination) || !content.equals(fs.readFileSync(destination))) {
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      fs.writeFileSync(destination, content);
+      copied++;
+    }
+  });
+
+  // Only the package's own entries are pruned: the rest of the directory belongs to the
+  // project's package manager (a nested node_modules, for one)
+  const stale = listEntries(target).filter(file => !files.includes(path.relative(target, file)));
+  stale.forEach(file => fs.unlinkSync(file));
+  return { target, copied, removed: stale.length };
+};
+
+/**
+ * Build once, then rebuild on every change until stopped. Configuration problems and
+ * STRICT_SEMVER violations are reported without writing dist/, and watching goes on.
+ * @param {{ configPath?: string, overrides?: object, link?: string|null }} options
+ *   configPath and overrides as for loadConfig(); link is a project to mirror the package into
+ * @returns {Promise<{ stop: () => void }>}
+ */
+const watch = async ({ configPath, overrides = {}, link = null } = {}) => {
+  const projectDir = link ? path.resolve(link) : null;
+  if (projectDir && !fs.existsSync(path.join(projectDir, 'package.json'))) {
+    throw new Error(`${link} is not a project directory (no package.json)`);
+  }
+
+  const { configFile } = await loadConfig({ configPath, overrides });
+  let previousAbis = null;
+  let loadedBaseline = null;
+
+  const rebuild = async (changed) => {
+    if (changed.length > 0) {
+      console.log(`\n🔍 Changed: ${listSome(changed.map(file => path.relative(ROOT_DIR, file)))}`);
+    }
+    const started = Date.now();
+    try {
+      // The config file is read again, so edits to it apply
+      const { config } = await loadConfig({ configPath: configFile, overrides });
+      // Loading the baseline can download a package or compile the last tag: do it for the
+      // first build and again only when CHANGELOG_BASELINE is edited
+      if (config.ALLOW_CHANGELOG && (!loadedBaseline || loadedBaseline.source !== config.CHANGELOG_BASELINE)) {
+        loadedBaseline = { source: config.CHANGELOG_BASELINE, baseline: loadBaseline(config) };
+      }
+      const plan = planBuild(config, config.ALLOW_CHANGELOG ? { baseline: loadedBaseline.baseline } : {});
+      if (plan.errors.length > 0) {
+        console.error(`❌ Build configuration has ${plan.errors.length} problem${plan.errors.length === 1 ? '' : 's'}, dist/ was not updated:`);
+        plan.errors.forEach(error => console.error(`   - ${error}`));
+        return;
+      }
+      if (plan.semverErrors.length > 0) {
+        plan.semverErrors.forEach(line => console.error(line));
+        console.error('❌ dist/ was not updated');
+        return;
+      }
+      writeBuild(plan);
+
+      const abis = planAbis(plan);
+      const reused = plan.successfulContracts.length - plan.rebuiltContracts.length;
+      console.log(`✅ Rebuilt in ${((Date.now() - started) / 1000).toFixed(1)}s: ${listSome(plan.rebuiltContracts) || 'no contracts'}` +
+        `${reused > 0 ? ` (${reused} unchanged)` : ''}`);
+      if (previousAbis) {
+        const lines = formatAbiChanges(diffAbis(previousAbis, abis));
+        console.log(lines.length > 0 ? lines.join('\n') : '📝 No ABI changes');
+      }
+      previousAbis = abis;
+
+      if (projectDir) {
+        const { copied, removed } = syncLinkedCopy(projectDir);
+        console.log(`🔗 Updated the copy in ${link}/node_modules: ${copied} files copied, ${removed} removed`);
+      }
+    } catch (e) {
+      console.error(`❌ Rebuild failed: ${e.message}`);
+    }
+  };
+
+  await rebuild([]);
+  console.log(`👀 Watching out/, broadcast/ and ${path.basename(configFile)} for changes (Ctrl+C to stop)`);
+
+  let state = fingerprint(watchedFiles(configFile));
+  let pending = null;
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    const current = fingerprint(watchedFiles(configFile));
+    if (pending && sameFingerprint(pending, current)) {
+      // Nothing changed during the last interval: the files are written
+      const changed = changedFiles(state, current);
+      pending = null;
+      state = current;
+      await rebuild(changed);
+    } else {
+      pending = sameFingerprint(state, current) ? null : current;
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  };
+  timer = setTimeout(poll, POLL_INTERVAL_MS);
+
+  return {
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+};
+
+module.exports = {
+  watch,
+  syncLinkedCopy
+};
@@ -0,0 +1,260 @@
+/**
+ * Typed contract factories for ethers v6 and viem (CONTRACT_WRAPPERS).
+ *
+ * Each library gets its own entry point (<package>/ethers, <package>/viem, as CommonJS
+ * and ES module) so the main index keeps working without either library installed. viem infers method and event
+ * types from the `as const` ABIs; for ethers the contract interface is generated here.
+ */
+
+const { canonicalSignature } = require('./abi-signatures');
+
+const WRAPPER_LIBRARIES = ['ethers', 'viem'];
+
+// Peer dependency ranges written to package.json for the selected libraries
+const PEER_DEPENDENCIES = {
+  ethers: '^6.0.0',
+  viem: '^2.0.0'
+};
+
+// Members of ethers' BaseContract; ABI functions with these names are only reachable
+// through contract.getFunction(), so they are left out of the generated interface
+const BASE_CONTRACT_MEMBERS = new Set([
+  'target', 'interface', 'runner', 'filters', 'fallback', 'connect', 'attach', 'getAddress',
+  'getDeployedCode', 'waitForDeployment', 'deploymentTransaction', 'getFunction', 'getEvent',
+  'queryTransaction', 'queryFilter', 'on', 'once', 'emit', 'listenerCount', 'listeners', 'off',
+  'removeAllListeners', 'addListener', 'removeListener'
+]);
+
+// Parameter names that are not valid in TypeScript declarations
+const RESERVED_WORDS = new Set([
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function',
+  'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package',
+  'private', 'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true',
+  'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'overrides'
+]);
+
+/**
+ * Render lines as a JSDoc comment; a single line stays on one line.
+ * @param {string[]} lines
+ * @param {string} indent
+ */
+const formatJsDoc = (lines, indent = '') => {
+  const escaped = lines.flatMap(line => String(line).replace(/\*\//g, '*\\/').split('\n')).map(line => line.trimEnd());
+  if (escaped.length === 1) {
+    return `${indent}/** ${escaped[0]} */`;
+  }
+  return [`${indent}/**`, ...escaped.map(line => `${indent} *${line ? ` ${line}` : ''}`), `${indent} */`].join('\n');
+};
+
+// JSDoc of an ABI entry: its NatSpec description (from build.js, keyed like its abiEntryKey),
+// the signature, then the @param / @returns tags
+const entryDocLines = (docs, entry, signature) => {
+  const lines = (docs.entries || {})[`${entry.type} ${canonicalSignature(entry)}`] || [];
+  const description = lines.filter(line => !line.startsWith('@'));
+  return [...description, ...(description.length > 0 ? [''] : []), signature, ...lines.filter(line => line.startsWith('@'))];
+};
+
+// JSDoc of a factory: its summary, then the contract's NatSpec description and tags
+const factoryDocLines = (docs = {}, summary) => {
+  const lines = docs.contract || [];
+  const description = lines.filter(line => !line.startsWith('@'));
+  return [summary, ...(description.length > 0 ? ['', ...description] : []), ...lines.filter(line => line.startsWith('@'))];
+};
+
+const paramName = (param, i) => {
+  const name = param.name || `arg${i}`;
+  return RESERVED_WORDS.has(name) ? `${name}_` : name;
+};
+
+// TypeScript type of an ABI value for ethers: what it accepts as input, or returns as output
+const ethersType = (param, direction) => {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return `Array<${ethersType({ ...param, type: array[1] }, direction)}>`;
+  }
+  if (param.type === 'tuple') {
+    return ethersStructType(param.components || [], direction);
+  }
+  if (/^u?int\d*$/.test(param.type)) return direction === 'input' ? 'BigNumberish' : 'bigint';
+  if (param.type === 'address') return direction === 'input' ? 'AddressLike' : 'string';
+  if (param.type === 'bool') return 'boolean';
+  if (param.type === 'string') return 'string';
+  if (param.type.startsWith('bytes') || param.type === 'function') return direction === 'input' ? 'BytesLike' : 'string';
+  return 'unknown';
+};
+
+// Structs are passed as objects (or arrays when a member is unnamed) and returned as
+// ethers Results, which are arrays with named members
+const ethersStructType = (components, direction) => {
+  const types = components.map(component => ethersType(component, direction));
+  const named = components.length > 0 && components.every(component => component.name);
+  const members = `{ ${components.map((component, i) => `${component.name}: ${types[i]}`).join('; ')} }`;
+  if (direction === 'input') {
+    return named ? members : `[${types.join(', ')}]`;
+  }
+  return named ? `[${types.join(', ')}] & ${members}` : `[${types.join(', ')}]`;
+};
+
+// Overloaded functions and events can only be addressed by their full signature in ethers
+const memberKeys = (entries) => {
+  const counts = {};
+  entries.forEach(entry => { counts[entry.name] = (counts[entry.name] || 0) + 1; });
+  return entries.map(entry => (counts[entry.name] > 1 ? `'${canonicalSignature(entry)}'` : entry.name));
+};
+
+// A BaseContractMethod, so staticCall, estimateGas, populateTransaction and send stay typed:
+// calling it resolves to the outputs for view and pure functions, otherwise to the transaction
+const renderEthersMethod = (entry, key, docs) => {
+  const params = (entry.inputs || []).map((input, i) => `${paramName(input, i)}: ${ethersType(input, 'input')}`).join(', ');
+  const outputs = entry.outputs || [];
+  let returnType = 'void';
+  if (outputs.length === 1) returnType = ethersType(outputs[0], 'output');
+  else if (outputs.length > 1) returnType = ethersStructType(outputs, 'output');
+  const callType = ['view', 'pure'].includes(entry.stateMutability) ? returnType : 'ContractTransactionResponse';
+  const signature = `${canonicalSignature(entry)}${entry.stateMutability === 'payable' ? ' payable' : ''}`;
+  return `${formatJsDoc(entryDocLines(docs, entry, signature), '  ')}
+  ${key}: BaseContractMethod<[${params}], ${returnType}, ${callType}>;`;
+};
+
+// Filters take one optional argument per event input; only indexed ones can be matched
+const renderEthersFilter = (entry, key, docs) => {
+  const params = (entry.inputs || []).map((input, i) =>
+    `${paramName(input, i)}?: ${input.indexed ? `${ethersType(input, 'input')} | null` : 'null'}`
+  ).join(', ');
+  const docLines = entryDocLines(docs, entry, canonicalSignature(entry));
+  return `${docLines.length > 1 ? `${formatJsDoc(docLines, '    ')}\n` : ''}    ${key}(${params}): DeferredTopicFilter;`;
+};
+
+const renderEthersInterface = (contract, abi, docs) => {
+  const functions = abi.filter(entry => entry.type === 'function');
+  const events = abi.filter(entry => entry.type === 'event' && !entry.anonymous);
+  const functionKeys = memberKeys(functions);
+  const eventKeys = memberKeys(events);
+
+  const methods = functions
+    .map((entry, i) => (BASE_CONTRACT_MEMBERS.has(functionKeys[i]) ? null : renderEthersMethod(entry, functionKeys[i], docs)))
+    .filter(Boolean);
+  const filters = events.map((entry, i) => renderEthersFilter(entry, eventKeys[i], docs));
+
+  return `${(docs.contract || []).length > 0 ? `${formatJsDoc(docs.contract)}\n` : ''}export interface ${contract} extends ContractBase<${contract}> {
+${methods.join('\n')}${methods.length > 0 ? '\n' : ''}
+  readonly filters: {${filters.length > 0 ? `\n${filters.join('\n')}\n  ` : ''}};
+}`;
+};
+
+/**
+ * ethers v6 factories: get<Contract>(runner, chainIdOrNetwork) and get<Contract>At(address, runner).
+ * @param {Object<string, Array>} abis ABIs keyed by contract name
+ * @param {string} displayName
+ * @param {Object<string, { contract: string[], entries: Object<string, string[]> }>} docs JSDoc lines from the NatSpec
+ * @returns {{ js: string, mjs: string, dts: string }}
+ */
+const renderEthersModule = (abis, displayName, docs = {}) => {
+  const contracts = Object.keys(abis);
+  const js = `// Auto-generated ethers v6 contract factories for ${displayName} smart contracts
+const { Contract } = require('ethers');
+const { abis, getDeployment } = require('./index.js');
+
+${contracts.map(contract => `exports.get${contract} = (runner, chainIdOrNetwork) =>
+  new Contract(getDeployment(chainIdOrNetwork, '${contract}').address, abis.${contract}, runner);
+exports.get${contract}At = (address, runner) => new Contract(address, abis.${contract}, runner);`).join('\n\n')}
+`;
+
+  const mjs = `// Auto-generated ethers v6 contract factories for ${displayName} smart contracts
+import { Contract } from 'ethers';
+import { abis, getDeployment } from './index.mjs';
+
+${contracts.map(contract => `export const get${contract} = (runner, chainIdOrNetwork) =>
+  new Contract(getDeployment(chainIdOrNetwork, '${contract}').address, abis.${contract}, runner);
+export const get${contract}At = (address, runner) => new Contract(address, abis.${contract}, runner);`).join('\n\n')}
+`;
+
+  const dts = `// Auto-generated ethers v6 contract types for ${displayName} smart contracts
+import type {
+  Addressable,
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+  DeferredTopicFilter
+} from 'ethers';
+import type { DeploymentTarget } from './index';
+
+type ContractBase<T> = Omit<BaseContract, 'connect' | 'attach' | 'filters'> & {
+  connect(runner: ContractRunner | null): T;
+  attach(target: string | Addressable): T;
+};
+
+${contracts.map(contract => `${renderEthersInterface(contract, abis[contract], docs[contract] || {})}
+
+/** ${contract} at its deployment on a chain (chain id or network alias). Throws if it is not deployed there. */
+export declare function get${contract}(runner: ContractRunner | null, chainIdOrNetwork: DeploymentTarget<'${contract}'>): ${contract};
+
+/** ${contract} at any address */
+export declare function get${contract}At(address: string | Addressable, runner: ContractRunner | null): ${contract};`).join('\n\n')}
+`;
+
+  return { js, mjs, dts };
+};
+
+/**
+ * viem factories returning getContract() instances with read/write/simulate/watchEvent typed from the ABI.
+ * Method docs come from the ABI types, so only the contract NatSpec is attached here.
+ * @param {Object<string, Array>} abis ABIs keyed by contract name
+ * @param {string} displayName
+ * @param {Object<string, { contract: string[] }>} docs JSDoc lines from the NatSpec
+ * @returns {{ js: string, mjs: string, dts: string }}
+ */
+const renderViemModule = (abis, displayName, docs = {}) => {
+  const contracts = Object.keys(abis);
+  const js = `// Auto-generated viem contract factories for ${displayName} smart contracts
+const { getContract } = require('viem');
+const { abis, getDeployment } = require('./index.js');
+
+${contracts.map(contract => `exports.get${contract} = (client, chainIdOrNetwork) =>
+  getContract({ address: getDeployment(chainIdOrNetwork, '${contract}').address, abi: abis.${contract}, client });
+exports.get${contract}At = (address, client) => getContract({ address, abi: abis.${contract}, client });`).join('\n\n')}
+`;
+
+  const mjs = `// Auto-generated viem contract factories for ${displayName} smart contracts
+import { getContract } from 'viem';
+import { abis, getDeployment } from './index.mjs';
+
+${contracts.map(contract => `export const get${contract} = (client, chainIdOrNetwork) =>
+  getContract({ address: getDeployment(chainIdOrNetwork, '${contract}').address, abi: abis.${contract}, client });
+export const get${contract}At = (address, client) => getContract({ address, abi: abis.${contract}, client });`).join('\n\n')}
+`;
+
+  const dts = `// Auto-generated viem contract types for ${displayName} smart contracts
+import type { Address, GetContractParameters, GetContractReturnType } from 'viem';
+import type { DeploymentTarget } from './index';
+${contracts.map(contract => `import type { ${contract}ABI } from './${contract}ABI';`).join('\n')}
+
+/** A public client, a wallet client, or { public, wallet } */
+export type ContractClient = GetContractParameters['client'];
+
+${contracts.map(contract => `${formatJsDoc(factoryDocLines(docs[contract], `${contract} at its deployment on a chain (chain id or network alias). Throws if it is not deployed there.`))}
+export declare function get${contract}<C extends ContractClient>(client: C, chainIdOrNetwork: DeploymentTarget<'${contract}'>): GetContractReturnType<typeof ${contract}ABI, C, Address>;
+
+${formatJsDoc(factoryDocLines(docs[contract], `${contract} at any address`))}
+export declare function get${contract}At<C extends ContractClient>(address: Address, client: C): GetContractReturnType<typeof ${contract}ABI, C, Address>;`).join('\n\n')}
+`;
+
+  return { js, mjs, dts };
+};
+
+const RENDERERS = {
+  ethers: renderEthersModule,
+  viem: renderViemModule
+};
+
+module.exports = {
+  WRAPPER_LIBRARIES,
+  PEER_DEPENDENCIES,
+  RENDERERS,
+  formatJsDoc
+};